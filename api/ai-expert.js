@@ -1,67 +1,21 @@
 // /api/ai-expert.js
-// Powerful multi-provider chat endpoint with CORS, image handoff, and safe optional RAG/memory.
+// Powerful multi-provider chat endpoint with streaming, tool calling, slash commands, and safe optional RAG/memory.
 // Environment: GROQ_API_KEY, DEEPINFRA_API_KEY, GEMINI_API_KEY (optional CORS_ORIGINS, AI_PROVIDER_ORDER, *_MODEL)
+// Request fields (conversation_id, options.stream / tools / skill / hedge / remember): see README.md.
 
 'use strict';
 
 // Force Node runtime on Vercel (if supported in your project)
 module.exports.config = { runtime: 'nodejs18.x' };
 
-/* ─────────────── CORS ─────────────── */
-function allowedOrigins() {
-  return (process.env.CORS_ORIGINS || '')
-    .split(',')
-    .map(s => s.trim().replace(/\/+$/, ''))
-    .filter(Boolean);
-}
-function corsHeaders(origin) {
-  const list = allowedOrigins();
-  const o = (origin || '').replace(/\/+$/, '');
-  const ok = !origin || list.length === 0 || list.includes(o);
-  return {
-    ...(ok ? { 'Access-Control-Allow-Origin': origin || '*' } : {}),
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json; charset=utf-8',
-    'Cache-Control': 'no-store',
-  };
-}
-function send(res, status, headers, dataObj) {
-  try { res.writeHead(status, headers); } catch (_) {}
-  res.end(dataObj == null ? null : JSON.stringify(dataObj));
-}
-
 /* ─────────────── Utilities ─────────────── */
-function baseUrl(req){
-  const proto = req.headers['x-forwarded-proto'] || 'https';
-  const host  = req.headers['x-forwarded-host'] || req.headers.host;
-  return `${proto}://${host}`;
-}
 function humanPrefix(kind='text'){ return kind === 'image' ? 'All set! ' : 'Sure — '; }
 function polishAnswer(s){
   const t = String(s || '').trim();
   if (!t) return 'I don’t have an answer for that yet — could you rephrase?';
   return t.replace(/\n{3,}/g, '\n\n').replace(/(^#+\s*$)/gm, '');
 }
-function wantsImage(q) {
-  const t = String(q || '').toLowerCase();
-  return [
-    /\b(draw|sketch|illustrate|paint)\b/,
-    /\b(generate|make|create)\s+(an?\s+)?(image|picture|art|logo|poster|icon|photo)\b/,
-    /\bimage\s+(please|plz|for me)\b/,
-    /\bshow me\b.*\b(image|picture|poster|logo|icon|photo|diagram)\b/,
-    /^\/gen\b/
-  ].some(rx => rx.test(t));
-}
-function detectCommand(raw){
-  const q = String(raw || '').trim();
-  const gen = q.match(/^\/?gen(?:erate)?\s+(.+)/i);
-  if (gen) return { kind:'gen', prompt: gen[1].trim() };
-  const br = q.match(/^\/?browse\s+(.+)/i);
-  if (br)  return { kind:'browse', query: br[1].trim() };
-  return null;
-}
-function buildSystemPrompt(chatId){
+function buildSystemPrompt(chatId, profileText = ''){
   return [
     'You are a friendly, human-like expert assistant.',
     'Tone: warm, concise, practical. Use simple, clear language.',
@@ -71,267 +25,512 @@ function buildSystemPrompt(chatId){
     '- Use any provided context faithfully; if unknown, say so.',
     '- If asked for visuals, suggest ideas; this app can generate them.',
     '- Use emojis sparingly when it truly adds warmth or clarity.',
-    `Session: ${chatId || 'anonymous'}.`
+    `Session: ${chatId || 'anonymous'}.`,
+    ...(profileText ? ['', profileText] : [])
   ].join('\n');
 }
-function asOpenAIMessages(messages){
-  return messages.map(m => ({ role: m.role, content: m.content }));
-}
-function toGeminiContents(messages){
-  return messages.map(m => ({
-    role: m.role === 'system' ? 'user' : (m.role || 'user'),
-    parts: [{ text: m.content || '' }]
-  }));
+/* ─────────────── Skills & slash commands ─────────────── */
+const { resolveSkill, buildSkillPrompt, detectTopic, SKILL_META } = require('./skills');
+const { runCommand } = require('../lib/commands');
+const { CITATION_INSTRUCTIONS, formatContext, buildSources, applyCitations } = require('../lib/citations');
+const { parseFilters } = require('../lib/filters');
+const { withApi, send, readJson, afterResponse } = require('../lib/http');
+const { rateLimit, checkQuota, useQuota, tokensUsed } = require('../lib/ratelimit');
+const { chat, chatStream, withFallback, race, hedgeOptions, providersFor, supportsTools } = require('../lib/providers');
+const { selectTools, runToolLoop } = require('../lib/tools');
+const { generateImage } = require('./img');
+
+/* ─────────────── Optional DB/RAG hooks (safe if missing) ─────────────── */
+let db = null; // expects ../db with: saveMessage, conversation helpers
+let retrieval = null; // ../lib/retrieval: hybrid (vector + keyword) search, shared with /api/ask
+let memory = null; // ../lib/memory: token-budgeted history with rolling summaries
+try {
+  db = require('../db');
+  retrieval = require('../lib/retrieval');
+  memory = require('../lib/memory');
+} catch { /* optional */ }
+let auth = null; // ../lib/auth: caller identity (without it every caller is anonymous)
+try { auth = require('../lib/auth'); } catch { /* optional */ }
+let profile = null; // ../lib/profile: remembered user facts (needs zod)
+try { profile = require('../lib/profile'); } catch { /* optional */ }
+
+// → { text, sources, report }. Only chunks that clear the rerank threshold are used, so `text` may be ''.
+// `text` numbers the chunks [1], [2]… and `sources` maps those markers back to documents.
+async function tryRagContext({ question, userId, filters, options }) {
+  // Without a database this returns no context and RAG is skipped; without DEEPINFRA_API_KEY it is keyword-only.
+  const none = { text: '', sources: [], report: null };
+  try {
+    if (!retrieval) return none;
+    const { chunks, report } = await retrieval.retrieveContext({ userId, query: question, topK: 3, filters, options });
+    return { text: formatContext(chunks), sources: buildSources(chunks), report };
+  } catch (err) {
+    console.warn('[ai-expert] RAG skipped:', err?.message || err);
+    return none;
+  }
 }
-function getOrder() {
-  const DEFAULT = ['groq','deepinfra','gemini'];
-  const raw = (process.env.AI_PROVIDER_ORDER || DEFAULT.join(','))
-    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
-  const allow = ['groq','deepinfra','gemini'];
-  const hasKey = (p) =>
-    (p==='groq'      && !!process.env.GROQ_API_KEY) ||
-    (p==='deepinfra' && !!process.env.DEEPINFRA_API_KEY) ||
-    (p==='gemini'    && !!process.env.GEMINI_API_KEY);
-  return raw.filter(p => allow.includes(p)).filter(hasKey);
+// Summary + recalled + recent messages that fit the smallest history budget among `order`
+async function tryLoadMemory({ userId, conversationId, question, order }){
+  try {
+    if (!memory) return [];
+    const mem = await memory.loadMemory({ userId, conversationId, question, budget: memory.memoryBudget(order) });
+    return memory.memoryMessages(mem);
+  } catch (err) {
+    console.warn('[ai-expert] memory skipped:', err?.message || err);
+    return [];
+  }
 }
 
-/* ─────────────── Optional DB/RAG hooks (safe if missing) ─────────────── */
-let db = null; // expects ../db with: getRecentMessages, saveMessage, getRelevantDocs
-try { db = require('../db'); } catch { /* optional */ }
+// Condense turns that fell out of the history window into the conversation's summary
+async function tryCompactMemory({ conversation, order }){
+  if (!memory || !conversation) return;
+  const summarize = async (previous, turns, maxTokens) => {
+    const transcript = turns
+      .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${String(m.content).slice(0, 1500)}`)
+      .join('\n\n');
+    const prompt = [
+      previous ? `Current summary:\n${previous}\n` : '',
+      `New conversation turns:\n${transcript}\n`,
+      'Update the summary so it covers everything above: facts the user shared, decisions, open questions and preferences.',
+      `Write at most ${Math.round(maxTokens * 0.75)} words of plain prose. Reply with the summary only.`
+    ].join('\n');
+    return withFallback(order, async (provider) => {
+      const out = await chat({
+        provider,
+        messages: [
+          { role: 'system', content: 'You maintain a concise running summary of a chat conversation.' },
+          { role: 'user', content: prompt }
+        ],
+        params: { max_tokens: maxTokens, temperature: 0.2 },
+        timeoutMs: 15000
+      });
+      if (!out.text) throw new Error('no summary produced');
+      return out.text;
+    });
+  };
+  try {
+    await memory.compactMemory({ conversationId: conversation.id, budget: memory.memoryBudget(order), summarize });
+  } catch (err) {
+    console.warn('[ai-expert] memory compaction skipped:', err?.message || err);
+  }
+}
+async function trySaveMsg(userId, role, content, conversationId=null){
+  try { if (db?.saveMessage) await db.saveMessage(userId, role, content, conversationId); }
+  catch { /* ignore */ }
+}
 
-async function tryRagContext({ question, userId }) {
-  // If you don't have @ai-sdk/deepinfra or a vector pipeline, this returns '' and is skipped.
+/* ─────────────── Conversations ─────────────── */
+// choice: a conversation id, "new", or empty (continue the latest one, creating it if needed).
+// → { conversation } | { error: 404 } ; conversation is null when there is no DB.
+async function tryConversation(userId, choice){
+  if (!db?.createConversation) return { conversation: null };
   try {
-    if (!db?.getRelevantDocs || !process.env.DEEPINFRA_API_KEY) return '';
-    const { createDeepInfra } = await import('@ai-sdk/deepinfra');
-    const { embed } = await import('ai');
+    if (choice === 'new') return { conversation: await db.createConversation(userId) };
+    if (choice) {
+      const conversation = await db.getConversation(choice, userId);
+      return conversation ? { conversation } : { error: 404 };
+    }
+    return { conversation: (await db.latestConversation(userId)) || (await db.createConversation(userId)) };
+  } catch (err) {
+    console.warn('[ai-expert] conversations unavailable:', err?.message || err);
+    return { conversation: null };
+  }
+}
 
-    const deepinfraProvider = createDeepInfra({ apiKey: process.env.DEEPINFRA_API_KEY });
-    const EMBED_MODEL_ID = 'BAAI/bge-large-en-v1.5';
+// First sentence of the question, cut on a word boundary
+function titleFromText(text){
+  const t = String(text || '').replace(/^\/\S+\s*/, '').replace(/\s+/g, ' ').trim();
+  const first = (t.match(/^.*?[.!?](\s|$)/) || [t])[0].trim().replace(/[.!?]+$/, '');
+  if (first.length <= 60) return first || 'New conversation';
+  return first.slice(0, 60).replace(/\s+\S*$/, '') + '…';
+}
 
-    const e = await embed({ model: deepinfraProvider.textEmbedding(EMBED_MODEL_ID), value: question });
-    const chunks = await db.getRelevantDocs(userId, e.embedding, 3);
-    return (chunks && chunks.length) ? chunks.join('\n---\n') : '';
+// Short title for a conversation from its first exchange: asks the first provider,
+// falls back to the question's first sentence.
+async function generateTitle(order, question, answer){
+  const p = order[0];
+  if (p) {
+    try {
+      const out = await chat({
+        provider: p,
+        messages: [
+          { role: 'system', content: 'You write titles for chat conversations. Reply with the title only: 3–6 words, no quotes, no trailing punctuation.' },
+          { role: 'user', content: `User: ${question.slice(0, 500)}\nAssistant: ${answer.slice(0, 500)}` }
+        ],
+        params: { max_tokens: 20, temperature: 0.2 },
+        timeoutMs: 5000
+      });
+      const title = String(out.text || '').split('\n')[0].replace(/^["'“”*#\s]+|["'“”*.\s]+$/g, '').slice(0, 80);
+      if (title) return title;
+    } catch { /* fall through */ }
+  }
+  return titleFromText(question);
+}
+
+/* ─────────────── User profile ─────────────── */
+async function tryLoadFacts(userId){
+  try { return profile && userId ? await profile.listFacts(userId) : []; }
+  catch (err) { console.warn('[ai-expert] profile skipped:', err?.message || err); return []; }
+}
+
+// New durable facts from this exchange → stored (runs after the response)
+async function tryExtractFacts({ chatId, conversation, question, answer, facts, order }){
+  if (!profile) return [];
+  const complete = async (msgs) => withFallback(order, async (provider) =>
+    (await chat({ provider, messages: msgs, params: { max_tokens: 300, temperature: 0 }, timeoutMs: 10000 })).text);
+  try {
+    const stored = await profile.extractFacts({
+      userId: chatId, conversationId: conversation?.id || null, question, answer, existing: facts, complete
+    });
+    return stored.map(f => f.fact);
   } catch (err) {
-    console.warn('[ai-expert] RAG skipped:', err?.message || err);
-    return '';
+    console.warn('[ai-expert] fact extraction skipped:', err?.message || err);
+    return [];
   }
 }
-async function tryLoadHistory(userId, n=10){
-  try { return db?.getRecentMessages ? await db.getRecentMessages(userId, n) : []; }
-  catch { return []; }
+
+// Save the exchange → { conversation_id, title } for the response. A new conversation shows the
+// question's first sentence until afterExchange stores a generated title.
+async function saveExchange({ chatId, conversation, question, answer }){
+  if (!chatId) return {};
+  await trySaveMsg(chatId, 'user', question, conversation?.id);
+  await trySaveMsg(chatId, 'assistant', answer, conversation?.id);
+  return conversation ? { conversation_id: conversation.id, title: conversation.title || titleFromText(question) } : {};
 }
-async function trySaveMsg(userId, role, content){
-  try { if (db?.saveMessage) await db.saveMessage(userId, role, content); }
-  catch { /* ignore */ }
+
+// After the response: title an untitled conversation, update the summary and the user profile
+async function afterExchange({ chatId, conversation, question, answer, order, facts, remember }){
+  if (!chatId) return;
+  if (conversation) {
+    if (!conversation.title) {
+      const title = await generateTitle(order, question, answer);
+      try { await db.setDefaultTitle(conversation.id, title); } catch { /* ignore */ }
+    }
+    await tryCompactMemory({ conversation, order });
+  }
+  if (remember) await tryExtractFacts({ chatId, conversation, question, answer, facts, order });
 }
 
-/* ─────────────── Image handoff to /api/img ─────────────── */
-async function handleImageIntent(req, prompt, options){
-  const imgProvider = options?.imgProvider || 'deepinfra';
-  const size = options?.size || '1024x1024';
-  const url = new URL('/api/img', baseUrl(req));
-  url.searchParams.set('provider', imgProvider);
-  url.searchParams.set('size', size);
-  url.searchParams.set('prompt', prompt);
-  url.searchParams.set('chat', '1');
+// Adds an answer's tokens to the caller's daily quota (~4 characters per token when the provider reports none)
+async function countTokens(req, limits, messages, out){
+  await useQuota(req, 'tokens', tokensUsed(messages, out), limits);
+}
 
-  const r = await fetch(url.toString(), { method: 'GET', headers: { 'Content-Type': 'application/json' } });
-  const j = await r.json().catch(()=> ({}));
-  if (!r.ok || !j?.imageUrl) throw new Error(j?.error || `Image API failed (${r.status})`);
+/* ─────────────── Images (/api/img's generation) ─────────────── */
+// One image for the caller, under /api/img's "img" rate limit and daily images quota.
+// caller: { userId, admin } – the headers of this response stay those of the ai-expert limit.
+async function makeImage(req, caller, prompt, options){
+  await rateLimit(req, 'img', caller);
+  await checkQuota(req, 'images', caller);
+  const j = await generateImage({
+    prompt,
+    provider: options?.imgProvider || 'deepinfra',
+    size: options?.size || '1024x1024',
+    chat: '1',
+    seed: options?.seed,
+    steps: options?.steps,
+    model: options?.model
+  });
+  await useQuota(req, 'images', 1, caller);
+  return j;
+}
 
+// /gen: the image as a chat answer
+async function handleImageIntent(req, caller, prompt, options){
+  const j = await makeImage(req, caller, prompt, options);
   const lead = humanPrefix('image') + 'Here’s your image. Want tweaks (style, mood, camera angle)? ✨';
   const md = `${lead}\n\n![](${j.imageUrl})`;
   return { answer: md, provider: j.meta?.providerUsed || 'image', model: j.meta?.modelUsed || 'image-gen' };
 }
 
-/* ─────────────── Providers ─────────────── */
-async function callGroq(model, messages, opts, signal){
-  const key = process.env.GROQ_API_KEY;
-  if (!key) throw new Error('Missing GROQ_API_KEY');
-  const r = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST', signal,
-    headers: { 'Authorization': `Bearer ${key}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model,
-      messages: asOpenAIMessages(messages),
-      temperature: opts.temperature ?? 0.3,
-      max_tokens: opts.max_tokens ?? 1024,
-      stream: false
-    })
-  });
-  const j = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(j?.error?.message || `Groq error ${r.status}`);
-  const c = j.choices?.[0];
-  return { text: c?.message?.content || '', finish_reason: c?.finish_reason || '', usage: j.usage };
+/* ─────────────── Streaming (SSE) ─────────────── */
+function wantsStream(req, options){
+  if (options?.stream != null) return options.stream === true || options.stream === 'true';
+  return /text\/event-stream/i.test(req.headers.accept || '');
+}
+function sseHeaders(headers){
+  return {
+    ...headers,
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  };
+}
+function sseEvent(res, event, data){
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+// Sends an already-complete result as a one-shot stream (image handoff, fallbacks).
+function sendStreamed(res, headers, out){
+  try { res.writeHead(200, sseHeaders(headers)); } catch (_) {}
+  if (out.answer) sseEvent(res, 'delta', { text: out.answer });
+  sseEvent(res, 'done', { finish_reason: 'stop', ...out });
+  res.end();
 }
 
-async function callDeepInfra(model, messages, opts, signal){
-  const key = process.env.DEEPINFRA_API_KEY;
-  if (!key) throw new Error('Missing DEEPINFRA_API_KEY');
-  const r = await fetch('https://api.deepinfra.com/v1/openai/chat/completions', {
-    method: 'POST', signal,
-    headers: { 'Authorization': `Bearer ${key}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model,
-      messages: asOpenAIMessages(messages),
-      temperature: opts.temperature ?? 0.3,
-      max_tokens: opts.max_tokens ?? 1024,
-      stream: false
-    })
-  });
-  const j = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(j?.error?.message || `DeepInfra error ${r.status}`);
-  const c = j.choices?.[0];
-  return { text: c?.message?.content || '', finish_reason: c?.finish_reason || '', usage: j.usage };
+/* ─────────────── Follow-ups ─────────────── */
+// Topic-aware follow-ups from the skills registry
+function followupsBlock(contextText){
+  const followups = SKILL_META.followups(detectTopic(contextText));
+  return followups.length ? '\n\n**Follow-up questions:**\n' + followups.map(q => '- ' + q).join('\n') : '';
 }
 
-async function callGemini(model, messages, opts, signal){
-  const key = process.env.GEMINI_API_KEY;
-  if (!key) throw new Error('Missing GEMINI_API_KEY');
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${key}`;
-  const r = await fetch(url, {
-    method: 'POST', signal,
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: toGeminiContents(messages),
-      generationConfig: { temperature: opts.temperature ?? 0.3, maxOutputTokens: opts.max_tokens ?? 1024 }
-    })
-  });
-  const j = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(j?.error?.message || `Gemini error ${r.status}`);
-  const txt = (j?.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
-  return { text: txt, finish_reason: j?.candidates?.[0]?.finishReason || '', usage: undefined };
+/* ─────────────── Model calls ─────────────── */
+// complete(messages, { tools, toolChoice }) → one model result, over `order`: a hedged race, or each
+// provider in turn. With onDelta the call streams; a provider that fails before emitting a token is
+// skipped in favour of the next one, one that fails after ends the answer (the error is marked
+// `interrupted`). When hedging, the first provider to produce a token streams; the other is aborted.
+function completer({ order, hedge, onDelta }){
+  return async (messages, { tools, toolChoice } = {}) => {
+    let sent = false;
+    const call = (provider, signal, win) => onDelta
+      ? chatStream({
+          provider,
+          messages,
+          tools,
+          toolChoice,
+          signal,
+          onDelta: (delta) => {
+            if (win && !win()) return;
+            sent = true;
+            onDelta(delta);
+          }
+        })
+      : chat({ provider, messages, tools, toolChoice, signal });
+    try {
+      if (hedge) {
+        const won = await race(order, call, hedge);
+        return { ...won.result, hedge: won.hedge };
+      }
+      let lastErr = null;
+      for (const p of order) {
+        try { return await call(p); }
+        catch (e) {
+          if (!lastErr || e?.kind !== 'circuit_open') lastErr = e;
+          if (sent) throw e;
+        }
+      }
+      throw lastErr;
+    } catch (e) {
+      if (sent && e && typeof e === 'object') e.interrupted = true;
+      throw e;
+    }
+  };
 }
 
-async function dispatch(provider, model, messages, opts){
-  const ac = new AbortController();
-  const t  = setTimeout(() => ac.abort(), opts.timeoutMs || 30000);
-  try {
-    if (provider === 'groq')      return await callGroq(model, messages, opts, ac.signal);
-    if (provider === 'deepinfra') return await callDeepInfra(model, messages, opts, ac.signal);
-    if (provider === 'gemini')    return await callGemini(model, messages, opts, ac.signal);
-    throw new Error(`Unknown provider: ${provider}`);
-  } finally { clearTimeout(t); }
+// The model's answer to `messages` → { out, trace }; with tools, through the tool loop (../lib/tools.js)
+async function answerWith(complete, { messages, tools, toolCtx }, onTool){
+  if (!tools.length) return { out: await complete(messages), trace: [] };
+  return runToolLoop({ messages, tools, ctx: toolCtx, complete, onTool });
 }
 
-/* ─────────────── Handler ─────────────── */
-module.exports = async (req, res) => {
-  const headers = corsHeaders(req.headers.origin || req.headers.Origin);
+// Generated images the answer does not already show, as markdown
+function imagesBlock(text, images){
+  const missing = images.filter(img => !String(text || '').includes(img.url));
+  return missing.map(img => `\n\n![${img.alt.replace(/[[\]]/g, '')}](${img.url})`).join('');
+}
 
-  if (req.method === 'OPTIONS') return send(res, 204, headers, null);
-  if (req.method !== 'POST')    return send(res, 405, headers, { error: 'Method not allowed. Use POST.' });
+const SORRY = 'I’m having trouble reaching my AI providers. Please try again shortly.';
 
-  // parse body (string or pre-parsed object)
-  let body = {};
-  try { body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {}); }
-  catch { body = {}; }
+/* ─────────────── Finishing an answer ─────────────── */
+// Citations, generated images, follow-ups, token count and saved messages for a finished answer.
+// → { body (the response, or the `done` event), appended (what follows the model's text),
+//     after (memory work to run once the response is sent) }
+async function finishAnswer({ req, limits, order, messages, contextText, sources, retrievalReport, chatId, conversation, facts, remember, question, skill, toolCtx }, { out, trace }){
+  const appended = imagesBlock(out.text, toolCtx.images) + followupsBlock(contextText);
+  const cited = applyCitations(polishAnswer(out.text), sources);
+  const answer = cited.answer + appended;
 
-  const question = (body?.question || '').trim();
-  const chatId   = (body?.chat_id || '').trim();
-  const options  = body?.options || {};
-  if (!question) return send(res, 400, headers, { error: 'Missing "question".' });
+  await countTokens(req, limits, messages, out);
 
-  // Slash commands
-  const cmd = detectCommand(question);
-  if (cmd?.kind === 'gen') {
-    try {
-      const out = await handleImageIntent(req, cmd.prompt, options);
-      return send(res, 200, headers, out);
-    } catch (e) {
-      const fallback = humanPrefix('image') +
-        'I tried to create an image but hit a hiccup. Try again with a short, specific prompt?';
-      return send(res, 200, headers, { answer: fallback, provider: 'image-fallback' });
+  // Save memory (best-effort), once the full answer is assembled
+  const thread = await saveExchange({ chatId, conversation, question, answer });
+
+  return {
+    appended,
+    after: () => afterExchange({ chatId, conversation, question, answer, order, facts, remember }),
+    body: {
+      answer,
+      provider: out.provider,
+      model: out.model,
+      skill: skill?.id || null,
+      finish_reason: out.finish_reason,
+      usage: out.usage,
+      sources: cited.sources,
+      ...thread,
+      ...(retrievalReport ? { retrieval: retrievalReport } : {}),
+      ...(trace.length ? { tool_calls: trace } : {}),
+      ...(out.hedge ? { hedge: out.hedge } : {})
     }
-  }
-  if (cmd?.kind === 'browse') {
-    const msg = humanPrefix() + 'I can’t browse right now, but if you paste text or a link I can analyze it for you.';
-    return send(res, 200, headers, { answer: msg, provider: 'none' });
-  }
+  };
+}
 
-  // Natural-language image intent
-  if (wantsImage(question)) {
-    try {
-      const out = await handleImageIntent(req, question, options);
-      return send(res, 200, headers, out);
-    } catch (e) {
-      const fallback = humanPrefix('image') +
-        'I tried to create an image but ran into a temporary issue. Please try again.';
-      return send(res, 200, headers, { answer: fallback, provider: 'image-fallback' });
+/* ─────────────── Streaming answer ─────────────── */
+// Events: `delta` as tokens arrive, `tool` per tool call (its trace entry), then `done` with the final
+// answer (invented citation markers removed), `sources` and `tool_calls` – or `error` when a provider
+// failed mid-answer.
+async function streamAnswer(res, headers, opts){
+  try { res.writeHead(200, sseHeaders(headers)); } catch (_) {}
+
+  let sent = false;
+  const complete = completer({
+    order: opts.order,
+    hedge: opts.hedge,
+    onDelta: (delta) => {
+      sent = true;
+      sseEvent(res, 'delta', { text: delta });
     }
+  });
+  let result;
+  try {
+    result = await answerWith(complete, opts, (entry) => sseEvent(res, 'tool', entry));
+  } catch (e) {
+    if (e?.interrupted) {
+      sseEvent(res, 'error', { provider: e.provider, model: e.model, error: e.message || 'stream interrupted', ...(e.hedge ? { hedge: e.hedge } : {}) });
+      return res.end();
+    }
+    const sorry = humanPrefix() + SORRY;
+    sseEvent(res, 'delta', { text: sorry });
+    sseEvent(res, 'done', {
+      answer: sorry,
+      provider: 'none',
+      error: e?.message || 'all providers failed',
+      ...(e?.hedge ? { hedge: e.hedge } : {})
+    });
+    return res.end();
   }
 
-  // Build messages (system + optional KB + history + user)
-  const sys = buildSystemPrompt(chatId);
-  const messages = [{ role: 'system', content: sys }];
+  if (!sent) sseEvent(res, 'delta', { text: polishAnswer(result.out.text) });
+  const { body, appended, after } = await finishAnswer(opts, result);
+  if (appended) sseEvent(res, 'delta', { text: appended });
+  sseEvent(res, 'done', body);
+  res.end();
+  afterResponse(after);
+}
+
+/* ─────────────── Handler ─────────────── */
+module.exports = withApi(async (req, res, { headers }) => {
+  const body = await readJson(req);
+
+  const question = (body?.question || '').trim();
+  const options  = body?.options || {};
+  if (!question) return send(res, 400, headers, { error: 'Missing "question".' });
+
+  const caller = auth ? await auth.resolveUser(req, { requested: body?.chat_id, optional: true }) : { userId: null, admin: false };
+  const chatId = caller.userId || '';
+  const limits = { userId: caller.userId, admin: caller.admin, setHeader: (k, v) => res.setHeader(k, v) };
+  await rateLimit(req, 'ai-expert', limits);
 
-  // Optional RAG
-  let contextText = '';
+  const streaming = wantsStream(req, options);
+  const reply = (out) => streaming ? sendStreamed(res, headers, out) : send(res, 200, headers, out);
+
+  // Conversation thread for memory (signed-in users only)
+  let conversation = null;
   if (chatId) {
-    contextText = await tryRagContext({ question, userId: chatId });
-    if (contextText) messages.push({ role: 'system', content: 'Relevant context:\n' + contextText });
+    const choice = String(body?.conversation_id || options.conversation_id || '').trim();
+    const found = await tryConversation(chatId, choice);
+    if (found.error) return send(res, 404, headers, { error: 'Conversation not found', conversation_id: choice });
+    conversation = found.conversation;
   }
 
-  // Optional memory
-  if (chatId) {
-    const history = await tryLoadHistory(chatId, 10);
-    for (const m of history) {
-      if (m?.role && m?.content) messages.push({ role: m.role, content: m.content });
-    }
+  // Slash commands (see ../lib/commands.js). They either answer directly or rewrite
+  // the prompt/skill/context and continue through the normal chat pipeline.
+  let cmd = null;
+  try {
+    cmd = await runCommand(question, {
+      req,
+      userId: chatId,
+      conversationId: conversation?.id || null,
+      options,
+      db,
+      generateImage: (prompt, flags) => handleImageIntent(req, caller, prompt, {
+        ...options,
+        ...flags,
+        ...(flags.provider ? { imgProvider: flags.provider } : {})
+      })
+    });
+  } catch (e) {
+    if (e?.statusCode) throw e; // 429s keep their Retry-After through withApi
+    return send(res, 500, headers, { error: e?.message || 'Command failed', code: 'command_failed' });
   }
+  if (cmd?.type === 'error') return send(res, cmd.status, headers, { ...cmd.body, command: cmd.command });
+  if (cmd?.type === 'reply') return reply(cmd.body);
 
-  messages.push({ role: 'user', content: question });
+  const prompt = cmd?.chat?.question || question;
+  const fixedContext = cmd?.chat?.context ?? null;
 
-  // Provider fallback
-  const order = getOrder();
-  if (order.length === 0) return send(res, 502, headers, { error: 'No provider API keys configured.' });
+  // Skill: options.skill forces an id, false/"none" disables it, otherwise auto-detect
+  const { skill, error: skillError } = resolveSkill(prompt, cmd?.chat?.skill ?? options.skill);
+  if (skillError) return send(res, 400, headers, { error: skillError });
 
-  const models = {
-    groq:      process.env.GROQ_MODEL      || 'llama-3.1-70b-versatile',
-    deepinfra: process.env.DEEPINFRA_MODEL || 'meta-llama/Meta-Llama-3.1-70B-Instruct',
-    gemini:    process.env.GEMINI_MODEL    || 'gemini-1.5-pro'
-  };
-  const gen = {
-    max_tokens:  +(process.env.AI_MAX_TOKENS || 1024),
-    temperature: +(process.env.AI_TEMPERATURE || 0.3),
-    timeoutMs:   +(process.env.AI_REQUEST_TIMEOUT_MS || 30000)
-  };
+  // Retrieval scope: options.filters (collection / tags / docIds / from / to / metadata)
+  let filters;
+  try { filters = parseFilters(options.filters); }
+  catch (e) { return send(res, 400, headers, { error: e.message }); }
 
-  let lastErr = null;
-  for (const p of order) {
-    try {
-      const out = await dispatch(p, models[p], messages, gen);
-      let answer = polishAnswer(out.text);
-
-      // Simple, topic-aware follow-ups
-      const followups = [];
-      if (/AAVSS/i.test(contextText)) {
-        followups.push('Do you want calibration steps?', 'Show safety alert thresholds?', 'List recommended hardware profiles?', 'Need an integration checklist?');
-      } else if (/(dataset|annotation)/i.test(contextText)) {
-        followups.push('Do you want dataset splits?', 'Show annotation schema examples?', 'Summarize licensing/allowed use?', 'Suggest evaluation metrics?');
-      } else {
-        followups.push('Want a brief summary?', 'Need a checklist?', 'Generate an image (/gen …)?');
-      }
-      if (followups.length) {
-        answer += '\n\n**Follow-up questions:**\n' + followups.map(q => '- ' + q).join('\n');
-      }
+  await checkQuota(req, 'tokens', limits);
 
-      // Save memory (best-effort)
-      if (chatId) {
-        await trySaveMsg(chatId, 'user', question);
-        await trySaveMsg(chatId, 'assistant', answer);
-      }
+  // Build messages (system + optional KB + history + user)
+  const facts = await tryLoadFacts(chatId);
+  const remember = !!chatId && options.remember !== false;
+  const sys = buildSystemPrompt(chatId, profile ? profile.profilePrompt(facts) : '');
+  const messages = [{ role: 'system', content: sys }];
 
-      return send(res, 200, headers, {
-        answer,
-        provider: p,
-        model: models[p],
-        finish_reason: out.finish_reason,
-        usage: out.usage
-      });
-    } catch (e) { lastErr = e; }
+  // Optional RAG, unless a command supplied the context (a skill prompt embeds the context itself)
+  let contextText = fixedContext || '';
+  let retrievalReport = null, sources = [];
+  if (fixedContext == null && chatId) {
+    ({ text: contextText, sources, report: retrievalReport } = await tryRagContext({ question: prompt, userId: chatId, filters, options: options.retrieval }));
   }
+  if (contextText && !skill) messages.push({ role: 'system', content: 'Relevant context:\n' + contextText });
+  if (sources.length) messages.push({ role: 'system', content: CITATION_INSTRUCTIONS });
 
-  const sorry = humanPrefix() + 'I’m having trouble reaching my AI providers. Please try again shortly.';
-  return send(res, 200, headers, { answer: sorry, provider: 'none', error: lastErr?.message || 'all providers failed' });
-};
+  // Provider fallback
+  const chatOrder = providersFor('chat');
+  if (chatOrder.length === 0) return send(res, 502, headers, { error: 'No provider API keys configured.', code: 'no_provider' });
+
+  // Tools (../lib/tools.js) when a provider's model can call them; only those providers are used then.
+  // options.tools: false turns them off, an array of names picks some.
+  const toolCtx = {
+    req,
+    userId: chatId,
+    db,
+    retrieval,
+    filters,
+    retrievalOptions: options.retrieval,
+    sources,
+    images: [],
+    generateImage: (p, { size } = {}) => makeImage(req, caller, p, { ...options, ...(size ? { size } : {}) })
+  };
+  const toolOrder = chatOrder.filter(p => supportsTools(p));
+  const tools = toolOrder.length ? selectTools(options.tools, toolCtx) : [];
+  const order = tools.length ? toolOrder : chatOrder;
+
+  // Optional memory: running summary, recalled turns and the recent window, within the token budget
+  if (chatId) {
+    messages.push(...await tryLoadMemory({ userId: chatId, conversationId: conversation?.id, question: prompt, order }));
+  }
+
+  const topic = detectTopic(contextText);
+  messages.push({
+    role: 'user',
+    content: skill ? buildSkillPrompt({ question: prompt, ctx: contextText, topic, skill }) : prompt
+  });
+
+  const opts = { req, limits, order, hedge: hedgeOptions(options.hedge), messages, tools, toolCtx, contextText, sources, retrievalReport, chatId, conversation, facts, remember, question, skill };
+  if (streaming) return streamAnswer(res, headers, opts);
+
+  let result;
+  try {
+    result = await answerWith(completer(opts), opts);
+  } catch (e) {
+    return send(res, 200, headers, {
+      answer: humanPrefix() + SORRY,
+      provider: 'none',
+      error: e?.message || 'all providers failed',
+      ...(e?.hedge ? { hedge: e.hedge } : {})
+    });
+  }
+  const { body: out, after } = await finishAnswer(opts, result);
+  send(res, 200, headers, out);
+  afterResponse(after);
+}, { methods: ['POST'] });
@@ -1,101 +1,70 @@
 // pages/api/ask.js
 export const config = { api: { bodyParser: true, responseLimit: false } };
 
-import { Pool } from "pg";
+import { resolveSkill, buildSkillPrompt, detectTopic } from "./skills";
+import { retrieveContext } from "../lib/retrieval";
+import { parseFilters } from "../lib/filters";
+import { CITATION_INSTRUCTIONS, formatContext, buildSources, applyCitations } from "../lib/citations";
+import { resolveUser } from "../lib/auth";
+import { withApi, send, readJson } from "../lib/http";
+import { rateLimit, checkQuota, useQuota, tokensUsed } from "../lib/ratelimit";
+import { chat, withFallback, providersFor } from "../lib/providers";
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
+export default withApi(async function handler(req, res, { headers }) {
+  const body = await readJson(req);
+  const question = (body.question || "").trim();
+  const options  = body.options || {};
+  if (!question) return send(res, 400, headers, { error: 'Missing "question"' });
 
-const EMBED_MODEL = "BAAI/bge-large-en-v1.5";
+  // Searches the authenticated user's documents; admins search everyone's, or one user's with userId
+  const { userId, admin } = await resolveUser(req, { requested: body.userId || body.user_id, allUsers: true });
+  const caller = { userId, admin, setHeader: (k, v) => res.setHeader(k, v) };
+  await rateLimit(req, "ask", caller);
+  await checkQuota(req, "tokens", caller);
 
-async function embedText(text, signal) {
-  const key = process.env.DEEPINFRA_API_KEY;
-  if (!key) throw new Error("DEEPINFRA_API_KEY not set");
-  const url = `https://api.deepinfra.com/v1/inference/${encodeURIComponent(EMBED_MODEL)}`;
-  const r = await fetch(url, {
-    method: "POST",
-    signal,
-    headers: {
-      "Authorization": `Bearer ${key}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ input: [text] }),
-  });
-  const j = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(j?.error || `DeepInfra embed HTTP ${r.status}`);
-  const vec =
-    j?.data?.[0]?.embedding || j?.embeddings?.[0] || j?.output?.[0];
-  if (!Array.isArray(vec)) throw new Error("Embedding not returned");
-  return vec;
-}
-
-async function askGroq(model, messages, temperature = 0.3, max_tokens = 768, signal) {
-  const key = process.env.GROQ_API_KEY;
-  if (!key) throw new Error("GROQ_API_KEY not set");
-  const r = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-    method: "POST",
-    signal,
-    headers: { "Authorization": `Bearer ${key}`, "Content-Type": "application/json" },
-    body: JSON.stringify({
-      model,
-      messages,
-      temperature,
-      max_tokens,
-      stream: false,
-    }),
-  });
-  const j = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(j?.error?.message || `Groq error ${r.status}`);
-  return j.choices?.[0]?.message?.content || "";
-}
-
-export default async function handler(req, res) {
-  if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+  // options.skill forces a skill id, false/"none" disables it, otherwise auto-detect
+  const { skill, error: skillError } = resolveSkill(question, options.skill);
+  if (skillError) return send(res, 400, headers, { error: skillError });
 
-  try {
-    const body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : (req.body || {});
-    const userId   = (body.userId || body.user_id || "").trim();
-    const question = (body.question || "").trim();
-    if (!question) return res.status(400).json({ error: 'Missing "question"' });
+  // options.filters: collection / tags / docIds / from / to / metadata (lib/filters.js)
+  const filters = parseFilters(options.filters);
 
-    // 1) Embed question
-    const qVec = await embedText(question);
+  // 1) Retrieval: hybrid search → rerank → threshold / near-duplicate / token-budget filters.
+  //    options.retrieval tunes it; chunks that don't clear the threshold are not sent at all.
+  const { chunks, report } = await retrieveContext({ userId, query: question, topK: 5, filters, options: options.retrieval });
+  const context = formatContext(chunks);
+  const sys = [
+    "You are a concise expert assistant.",
+    "Use the provided CONTEXT if relevant; if not, answer from general knowledge and say so.",
+    "Prefer bullet points and short paragraphs.",
+    ...(chunks.length ? [CITATION_INSTRUCTIONS] : []),
+  ].join("\n");
 
-    // 2) Similarity search (cosine distance)
-    const vecStr = "[" + qVec.join(",") + "]";
-    const topk = await pool.query(
-      `SELECT content
-         FROM document_chunks
-        WHERE ($1::text = '' OR user_id = $1)
-        ORDER BY embeddings <=> $2::vector   -- cosine distance
-        LIMIT 5`,
-      [userId, vecStr]
-    );
+  const messages = skill
+    ? [
+        { role: "system", content: sys },
+        { role: "user",   content: buildSkillPrompt({ question, ctx: context, topic: detectTopic(context), skill }) },
+      ]
+    : [
+        { role: "system", content: sys },
+        { role: "system", content: "CONTEXT:\n" + (context || "(no matching context)") },
+        { role: "user",   content: question },
+      ];
 
-    const context = topk.rows.map(r => r.content).join("\n---\n");
-    const sys = [
-      "You are a concise expert assistant.",
-      "Use the provided CONTEXT if relevant; if not, answer from general knowledge and say so.",
-      "Prefer bullet points and short paragraphs.",
-    ].join("\n");
+  // 2) Answer: the chat providers in order (lib/providers); when all fail the last ProviderError is the response
+  const out = await withFallback(providersFor("chat"), (provider) => chat({ provider, messages }));
+  const raw = out.text;
+  await useQuota(req, "tokens", tokensUsed(messages, out), caller);
+  const { answer, sources } = applyCitations(raw, buildSources(chunks));
 
-    const messages = [
-      { role: "system", content: sys },
-      { role: "system", content: "CONTEXT:\n" + (context || "(no matching context)") },
-      { role: "user",   content: question },
-    ];
-
-    const model = process.env.GROQ_MODEL || "llama-3.1-70b-versatile";
-    const answer = await askGroq(model, messages, +(process.env.AI_TEMPERATURE || 0.3), +(process.env.AI_MAX_TOKENS || 768));
-
-    return res.status(200).json({
-      ok: true,
-      answer,
-      usedContext: topk.rows.length,
-    });
-  } catch (e) {
-    return res.status(500).json({ error: e?.message || "Server error" });
-  }
-}
+  return send(res, 200, headers, {
+    ok: true,
+    answer,
+    sources,
+    skill: skill?.id || null,
+    provider: out.provider,
+    model: out.model,
+    usedContext: chunks.length,
+    retrieval: report,
+  });
+}, { methods: ["POST"] });
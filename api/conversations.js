@@ -0,0 +1,114 @@
+// pages/api/conversations.js
+// Conversation threads of the authenticated user (admins: of the user named by x-user-id / ?userId=):
+//   GET    /api/conversations                     → { conversations, nextCursor }   (?limit=&before=<cursor>)
+//   POST   /api/conversations { title? }          → new empty conversation
+//   GET    /api/conversations/:id                 → { conversation, messages, nextCursor } (?limit=&before=<cursor>)
+//   PATCH  /api/conversations/:id { title }       → rename (keeps its place in the list)
+//   DELETE /api/conversations/:id                 → delete with its messages
+//   GET    /api/conversations/:id/export          → download as JSON (default) or ?format=markdown
+// Untitled conversations get a title from their first exchange (see /api/ai-expert).
+
+const db = require("../db");
+const { resolveUser } = require("../lib/auth");
+const { withApi, send, readJson } = require("../lib/http");
+
+const MAX_TITLE = 120;
+
+function pageLimit(v, fallback, max) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+function cleanTitle(t) {
+  return String(t || "").replace(/\s+/g, " ").trim().slice(0, MAX_TITLE);
+}
+
+/* ---------------- export ---------------- */
+async function allMessages(conversationId) {
+  const out = [];
+  let before = null;
+  do {
+    const page = await db.getConversationMessages(conversationId, { limit: 500, before });
+    out.unshift(...page.messages);
+    before = page.nextCursor;
+  } while (before);
+  return out;
+}
+
+function toMarkdown(conversation, messages) {
+  const lines = [`# ${conversation.title || "Untitled conversation"}`, "", `_Started ${new Date(conversation.created_at).toISOString()}_`, ""];
+  for (const m of messages) {
+    lines.push(`### ${m.role === "assistant" ? "Assistant" : m.role === "user" ? "You" : "System"}`, "", m.content, "");
+  }
+  return lines.join("\n");
+}
+
+function exportName(conversation, ext) {
+  const slug = String(conversation.title || "conversation").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+  return `${slug || "conversation"}.${ext}`;
+}
+
+/* ---------------- Handler ---------------- */
+export default withApi(async function handler(req, res, { headers }) {
+  const id = req.query.id ? String(req.query.id) : null;
+
+  const { userId } = await resolveUser(req, { requested: req.headers["x-user-id"] || req.query.userId, needUser: true });
+
+  // Collection
+  if (!id) {
+    if (req.method === "GET") {
+      const before = req.query.before ? db.parseConversationCursor(req.query.before) : null;
+      if (req.query.before && !before) {
+        return send(res, 400, headers, { error: "before must be a nextCursor or an ISO date", code: "invalid_cursor" });
+      }
+      const out = await db.listConversations(userId, { limit: pageLimit(req.query.limit, 20, 100), before });
+      return send(res, 200, headers, { ok: true, ...out });
+    }
+    if (req.method === "POST") {
+      const body = await readJson(req);
+      const conversation = await db.createConversation(userId, cleanTitle(body.title) || null);
+      return send(res, 201, headers, { ok: true, conversation });
+    }
+    return send(res, 405, headers, { error: "GET or POST only" });
+  }
+
+  // One conversation
+  const conversation = await db.getConversation(id, userId);
+  if (!conversation) return send(res, 404, headers, { error: "Conversation not found" });
+
+  if (req.query.action === "export") {
+    if (req.method !== "GET") return send(res, 405, headers, { error: "GET only" });
+    const messages = await allMessages(conversation.id);
+    const markdown = /^(md|markdown)$/i.test(String(req.query.format || ""));
+    const body = markdown
+      ? toMarkdown(conversation, messages)
+      : JSON.stringify({ conversation, messages, exported_at: new Date().toISOString() }, null, 2);
+    try {
+      res.writeHead(200, {
+        ...headers,
+        "Content-Type": markdown ? "text/markdown; charset=utf-8" : "application/json; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${exportName(conversation, markdown ? "md" : "json")}"`,
+      });
+    } catch {}
+    return res.end(body);
+  }
+
+  if (req.method === "GET") {
+    const page = await db.getConversationMessages(conversation.id, {
+      limit: pageLimit(req.query.limit, 50, 200),
+      before: /^\d+$/.test(String(req.query.before || "")) ? req.query.before : null,
+    });
+    return send(res, 200, headers, { ok: true, conversation, ...page });
+  }
+  if (req.method === "PATCH") {
+    const title = cleanTitle((await readJson(req)).title);
+    if (!title) return send(res, 400, headers, { error: "Missing title" });
+    const renamed = await db.renameConversation(conversation.id, userId, title);
+    return send(res, 200, headers, { ok: true, conversation: renamed });
+  }
+  if (req.method === "DELETE") {
+    await db.deleteConversation(conversation.id, userId);
+    return send(res, 200, headers, { ok: true, deleted: conversation.id });
+  }
+  return send(res, 405, headers, { error: "Method not allowed" });
+}, { methods: ["GET", "POST", "PATCH", "DELETE"] });
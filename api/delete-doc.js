@@ -1,87 +1,43 @@
-// api/delete-doc.js — Admin-only: remove a document's chunks from storage/docs.json
+// api/delete-doc.js — Delete a document and its chunks from Postgres (documents / document_chunks)
 export const config = { runtime: "nodejs18.x" };
 
-import fs from "fs";
-import path from "path";
-
-/* ── CORS (match your other endpoints) ─────────────────────── */
-function corsHeaders(origin) {
-  const ALLOWED = (process.env.CORS_ORIGINS || "")
-    .split(",")
-    .map(s => s.trim().replace(/\/+$/, ""))
-    .filter(Boolean);
-  const o = (origin || "").replace(/\/+$/, "");
-  const allow = !origin || ALLOWED.length === 0 || ALLOWED.includes(o);
-  return {
-    ...(allow ? { "Access-Control-Allow-Origin": origin || "*" } : {}),
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
-    "Content-Type": "application/json; charset=utf-8",
-    "Cache-Control": "no-store",
-  };
-}
-
-/* ── tiny fs utils ─────────────────────────────────────────── */
-const STORE_DIR  = path.join(process.cwd(), "storage");
-const STORE_PATH = path.join(STORE_DIR, "docs.json");
-
-function readStore() {
-  try {
-    return JSON.parse(fs.readFileSync(STORE_PATH, "utf-8"));
-  } catch {
-    return { docs: [] };
-  }
-}
-function writeStore(obj) {
-  if (!fs.existsSync(STORE_DIR)) fs.mkdirSync(STORE_DIR, { recursive: true });
-  fs.writeFileSync(STORE_PATH, JSON.stringify(obj, null, 2), "utf-8");
-}
+import { deleteDocuments } from "../db";
+import { resolveUser } from "../lib/auth";
+import { withApi, send, readJson } from "../lib/http";
 
 /* ── handler ───────────────────────────────────────────────── */
-export default async function handler(req, res) {
-  const origin = req.headers.origin || "*";
-  const headers = corsHeaders(origin);
-
-  if (req.method === "OPTIONS") { res.writeHead(204, headers); res.end(); return; }
-  if (req.method !== "POST")    { res.writeHead(405, headers); res.end(JSON.stringify({ error: "Only POST allowed" })); return; }
-
-  // Simple admin auth: require Authorization: Bearer <ADMIN_TOKEN>
-  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
-  if (!process.env.ADMIN_TOKEN || token !== process.env.ADMIN_TOKEN) {
-    res.writeHead(401, headers);
-    res.end(JSON.stringify({ error: "Unauthorized" }));
-    return;
+// Body: { docId } | { name } | { url }   (any combination narrows the match)
+// Scope: the authenticated user's documents (lib/auth.js). Admins may delete any user's documents;
+//        x-user-id header / body.userId narrows an admin delete to one user.
+export default withApi(async function handler(req, res, { headers }) {
+  const body = await readJson(req);
+  const { userId, admin: isAdmin } = await resolveUser(req, { requested: req.headers["x-user-id"] || body.userId, allUsers: true });
+
+  const { docId, name, url } = body;
+  if (docId == null && !name && !url) {
+    return send(res, 400, headers, { error: "Provide docId, name or url to delete" });
+  }
+  if (docId != null && !/^\d+$/.test(String(docId))) {
+    return send(res, 400, headers, { error: "docId must be a number" });
   }
 
-  try {
-    const { docId, url } = req.body || {};
-    if (!docId && !url) {
-      res.writeHead(400, headers);
-      res.end(JSON.stringify({ error: "Provide docId or url to delete" }));
-      return;
-    }
-
-    const store = readStore();
-    const before = store.docs.length;
-
-    const keep = store.docs.filter(ch => {
-      if (docId && ch.docId === docId) return false;
-      if (url && ch.url === url) return false;
-      return true;
-    });
-
-    const removed = before - keep.length;
-    writeStore({ docs: keep });
+  const out = await deleteDocuments({
+    docId: docId != null ? String(docId) : null,
+    name: name ? String(name) : null,
+    sourceUrl: url ? String(url) : null,
+    userId,
+  });
 
-    res.writeHead(200, headers);
-    res.end(JSON.stringify({
-      ok: true,
-      removed,
-      remaining: keep.length,
-      by: docId ? { docId } : { url }
-    }));
-  } catch (err) {
-    res.writeHead(500, headers);
-    res.end(JSON.stringify({ error: err?.message || "Server error" }));
+  if (!out.documentIds.length) {
+    return send(res, 404, headers, { error: "No matching document" });
   }
-}
\ No newline at end of file
+
+  return send(res, 200, headers, {
+    ok: true,
+    removed: out.chunks,
+    documents: out.documentIds.length,
+    documentIds: out.documentIds,
+    scope: isAdmin ? (userId ? { admin: true, userId } : { admin: true }) : { userId },
+    by: { ...(docId != null ? { docId } : {}), ...(name ? { name } : {}), ...(url ? { url } : {}) }
+  });
+}, { methods: ["POST"] });
@@ -1,5 +1,8 @@
 // pages/api/docs.json.js
 import { Pool } from "pg";
+import { parseFilters, filterSql } from "../lib/filters";
+import { resolveUser } from "../lib/auth";
+import { withApi, send } from "../lib/http";
 export const config = { api: { bodyParser: true } };
 
 const pool = new Pool({
@@ -7,26 +10,39 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false },
 });
 
-export default async function handler(req, res) {
-  if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
-  const userId = req.query.userId || null;
-
-  try {
-    const docs = await pool.query(
-      `SELECT d.id, d.name, d.created_at,
-              COALESCE(c.cnt,0) AS chunks
-       FROM documents d
-       LEFT JOIN (
-         SELECT doc_id, COUNT(*)::int AS cnt
-         FROM document_chunks GROUP BY doc_id
-       ) c ON c.doc_id = d.id
-       WHERE ($1::text IS NULL OR d.user_id = $1)
-       ORDER BY d.id DESC
-       LIMIT 100`,
-      [userId]
-    );
-    res.status(200).json({ ok: true, rows: docs.rows });
-  } catch (e) {
-    res.status(500).json({ error: e?.message || "Server error" });
-  }
-}
+// One row per document (its current version); `versions` lists every version, newest first,
+// including a replacement that is still being ingested.
+// Lists the authenticated user's documents; admins see every user's, or one user's with ?userId=.
+// Filters: ?collection=&tags=a,b&anyTags=&docIds=1,2&from=&to=&metadata=<json> (see lib/filters.js)
+export default withApi(async function handler(req, res, { headers }) {
+  const { userId } = await resolveUser(req, { requested: req.query.userId, allUsers: true });
+  const params = [userId];
+  const where = filterSql(parseFilters(req.query), params);
+  const docs = await pool.query(
+    `SELECT d.id, d.name, d.source_url, d.created_at,
+            d.status, d.chunks_done, d.chunks_total,
+            d.version, d.lineage_id, d.content_hash,
+            d.collection, d.tags, d.metadata,
+            COALESCE(c.cnt,0) AS chunks,
+            v.versions
+     FROM documents d
+     LEFT JOIN (
+       SELECT doc_id, COUNT(*)::int AS cnt
+       FROM document_chunks GROUP BY doc_id
+     ) c ON c.doc_id = d.id
+     LEFT JOIN LATERAL (
+       SELECT json_agg(json_build_object(
+                'id', h.id, 'version', h.version, 'status', h.status, 'current', h.is_current,
+                'content_hash', h.content_hash, 'created_at', h.created_at, 'superseded_at', h.superseded_at
+              ) ORDER BY h.version DESC) AS versions
+       FROM documents h
+       WHERE h.lineage_id = d.lineage_id
+     ) v ON TRUE
+     WHERE d.is_current
+       AND ($1::text IS NULL OR d.user_id = $1)${where}
+     ORDER BY d.id DESC
+     LIMIT 100`,
+    params
+  );
+  return send(res, 200, headers, { ok: true, rows: docs.rows });
+}, { methods: ["GET"] });
@@ -1,23 +1,26 @@
 // /api/img.js
 // Best-ever image generation endpoint for Vercel (Node 18+ / Edge-compatible).
-// Providers:
+// Providers (clients, models and defaults in ../lib/providers and providers.json):
 //   - deepinfra: primary T2I (FLUX / SDXL / others)
 //   - fal:       optional T2I (great quality; requires FAL_KEY)
-//   - gemini:    prompt booster (uses Gemini to refine the prompt; generation routed to deepinfra/fal)
-//   - groq:      prompt booster (uses Groq LLM to refine the prompt; generation routed to deepinfra/fal)
+//   - any chat provider (gemini, groq, …): prompt booster – its "fast" model refines the prompt,
+//                generation is routed to deepinfra/fal (route_to)
 //
 // Returns chat-friendly JSON with emojis, caption, and alt text.
-// No external deps; uses global fetch.
+// CORS, errors and body limits come from ../lib/http.js.
+// Limits: the "img" rate limit and the daily images quota (../lib/ratelimit.js), per signed-in user or IP.
+// The generation itself (generateImage) is also exported for /api/ai-expert, which applies the same limits.
 
-const PROVIDER_DEFAULT_MODEL = {
-  deepinfra: "black-forest-labs/FLUX.1-dev", // great default
-  fal: "fal-ai/flux/dev"
-};
+const { withApi, send, readJson, httpError } = require("../lib/http");
+const { rateLimit, checkQuota, useQuota } = require("../lib/ratelimit");
+const { chat, image, isConfigured, providersFor, isProviderError } = require("../lib/providers");
+let auth = null; // ../lib/auth: without it (no database) every caller is limited by IP
+try { auth = require("../lib/auth"); } catch { /* optional */ }
+
+const GENERATORS = ["deepinfra", "fal"];
 
 const SAFE_DEFAULTS = {
-  size: "1024x1024",
-  steps: 28,
-  guidance: 7.0
+  size: "1024x1024"
 };
 
 function parseSize(s) {
@@ -33,211 +36,63 @@ function parseSize(s) {
   return { w: W, h: H, label: `${W}x${H}` };
 }
 
-function okJson(res, data, status = 200) {
-  res.statusCode = status;
-  res.setHeader("Content-Type", "application/json; charset=utf-8");
-  res.end(JSON.stringify(data));
-}
-function errJson(res, message, status = 400, extra = {}) {
-  return okJson(res, { ok: false, error: message, ...extra }, status);
-}
-
-async function readBody(req) {
+// GET: query parameters; POST: JSON body
+async function readInput(req) {
   if (req.method === "GET") {
     const url = new URL(req.url, `https://${req.headers.host}`);
     return Object.fromEntries(url.searchParams.entries());
   }
-  try {
-    const chunks = [];
-    for await (const ch of req) chunks.push(ch);
-    const raw = Buffer.concat(chunks).toString("utf8") || "{}";
-    return JSON.parse(raw);
-  } catch {
-    return {};
-  }
+  return readJson(req);
 }
 
-/* ----------------------------- PROMPT BOOSTERS ---------------------------- */
-
-async function boostPromptWithGemini(rawPrompt, intent = "High-quality photorealistic T2I prompt") {
-  const key = process.env.GEMINI_API_KEY;
-  if (!key) return { prompt: rawPrompt, used: false, provider: null };
-  try {
-    // Google Generative Language API (text-only, safe for prompt shaping)
-    const sys = `You rewrite user prompts into concise, vivid prompts for image generation. Keep nouns and critical details.`;
-    const user = `Task: ${intent}\nUser prompt: ${rawPrompt}\nReturn only the improved prompt.`;
-
-    const r = await fetch("https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=" + key, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        contents: [
-          { role: "user", parts: [{ text: sys }] },
-          { role: "user", parts: [{ text: user }] }
-        ]
-      })
-    });
-    const j = await r.json();
-    const text = j?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-    if (text) return { prompt: text, used: true, provider: "gemini" };
-    return { prompt: rawPrompt, used: false, provider: null };
-  } catch {
-    return { prompt: rawPrompt, used: false, provider: null };
-  }
-}
+/* ----------------------------- PROMPT BOOSTER ----------------------------- */
 
-async function boostPromptWithGroq(rawPrompt, intent = "High-quality photorealistic T2I prompt") {
-  const key = process.env.GROQ_API_KEY;
-  if (!key) return { prompt: rawPrompt, used: false, provider: null };
+// Rewrites the prompt with a chat provider's fast model; the raw prompt is kept when that fails
+async function boostPrompt(provider, rawPrompt, intent = "High-quality photorealistic T2I prompt") {
+  const none = { prompt: rawPrompt, used: false, provider: null };
+  if (!isConfigured(provider)) return none;
   try {
-    // Groq Chat Completions API (Llama-3.x)
-    const model = "llama-3.1-8b-instant";
-    const r = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${key}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          { role: "system", content: "You rewrite prompts into concise, vivid image prompts. Keep key nouns, style, lighting, camera hints. Avoid long paragraphs." },
-          { role: "user", content: `Task: ${intent}\nUser prompt: ${rawPrompt}\nReturn only the improved prompt.` }
-        ],
-        temperature: 0.4,
-        max_tokens: 160
-      })
+    const out = await chat({
+      provider,
+      role: "fast",
+      messages: [
+        { role: "system", content: "You rewrite prompts into concise, vivid image prompts. Keep key nouns, style, lighting, camera hints. Avoid long paragraphs." },
+        { role: "user", content: `Task: ${intent}\nUser prompt: ${rawPrompt}\nReturn only the improved prompt.` }
+      ],
+      params: { temperature: 0.4, max_tokens: 160 },
+      timeoutMs: 15000
     });
-    const j = await r.json();
-    const text = j?.choices?.[0]?.message?.content?.trim();
-    if (text) return { prompt: text, used: true, provider: "groq" };
-    return { prompt: rawPrompt, used: false, provider: null };
+    const text = out.text.trim();
+    return text ? { prompt: text, used: true, provider } : none;
   } catch {
-    return { prompt: rawPrompt, used: false, provider: null };
-  }
-}
-
-/* ----------------------------- PROVIDER: FAL ------------------------------ */
-
-async function generateWithFal(opts) {
-  // Docs: https://fal.ai/models (key required)
-  const { prompt, width, height, steps, guidance, seed, model } = opts;
-  const key = process.env.FAL_KEY;
-  if (!key) throw new Error("FAL_KEY is not set");
-
-  // Map model convenience names
-  const route = model?.includes("sdxl")
-    ? "https://fal.run/fal-ai/stable-diffusion-xl"
-    : "https://fal.run/fal-ai/flux/dev";
-
-  const r = await fetch(route, {
-    method: "POST",
-    headers: {
-      "Authorization": `Key ${key}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      prompt,
-      image_size: `${width}x${height}`,
-      num_inference_steps: steps,
-      guidance_scale: guidance,
-      seed
-    })
-  });
-
-  if (!r.ok) {
-    const t = await r.text().catch(() => "");
-    throw new Error(`FAL error: ${r.status} ${t}`);
-  }
-
-  const j = await r.json();
-  // Typical FAL outputs: { images:[{ url }], image:{url}, ... }
-  const url =
-    j?.images?.[0]?.url ||
-    j?.image?.url ||
-    j?.url ||
-    j?.data?.[0]?.url;
-
-  if (!url) throw new Error("FAL: No image URL returned");
-  return { imageUrl: url, provider: "fal", modelUsed: model || "fal-ai/flux/dev" };
-}
-
-/* -------------------------- PROVIDER: DEEPINFRA --------------------------- */
-
-async function generateWithDeepinfra(opts) {
-  // Docs: https://deepinfra.com/docs/inference
-  const { prompt, width, height, steps, guidance, seed, model } = opts;
-  const key = process.env.DEEPINFRA_API_KEY;
-  if (!key) throw new Error("DEEPINFRA_API_KEY is not set");
-
-  const mdl = model || PROVIDER_DEFAULT_MODEL.deepinfra;
-  const url = `https://api.deepinfra.com/v1/inference/${encodeURIComponent(mdl)}`;
-
-  // DeepInfra commonly accepts SDXL/FLUX style params:
-  const payload = {
-    prompt,
-    image_size: `${width}x${height}`,
-    num_inference_steps: steps,
-    guidance_scale: guidance
-  };
-  if (typeof seed === "number") payload.seed = seed;
-
-  const r = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${key}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!r.ok) {
-    const t = await r.text().catch(() => "");
-    throw new Error(`DeepInfra error: ${r.status} ${t}`);
-  }
-
-  const j = await r.json();
-
-  // Handle several possible result shapes
-  let urlOut =
-    j?.images?.[0]?.url ||
-    j?.images?.[0] ||
-    j?.image?.url ||
-    j?.image ||
-    j?.output?.[0]?.url ||
-    j?.output?.[0];
-
-  // Some models may return base64. You can extend to upload to storage if needed.
-  if (!urlOut) {
-    // Attempt to find any http(s) URL in the payload:
-    const maybe = JSON.stringify(j).match(/https?:\/\/[^"'\s]+/);
-    if (maybe) urlOut = maybe[0];
+    return none;
   }
-
-  if (!urlOut) throw new Error("DeepInfra: No image URL returned");
-  return { imageUrl: urlOut, provider: "deepinfra", modelUsed: mdl };
 }
 
-/* --------------------------------- MAIN ---------------------------------- */
-
-module.exports = async (req, res) => {
-  if (req.method !== "GET" && req.method !== "POST") {
-    return errJson(res, "Method not allowed", 405);
+/* ------------------------------- GENERATION ------------------------------ */
+
+// One image from endpoint-style inputs (prompt, provider, model, size, steps, guidance, seed, route_to,
+// chat) → the response body. Limits and quotas are the caller's job: the handler below, and
+// /api/ai-expert's generate_image tool.
+async function generateImage(q) {
+  const rawPrompt = String(q.prompt || q.q || "").trim();
+  if (!rawPrompt) throw httpError(400, "Missing 'prompt'", null, { ok: false });
+
+  // Actual generator: the requested one, or route_to (deepinfra by default) after a booster
+  const providerReq = (q.provider || "deepinfra").toLowerCase();
+  let generator = providerReq;
+  if (!GENERATORS.includes(providerReq)) {
+    generator = (q.route_to || "deepinfra").toLowerCase();
+    if (!GENERATORS.includes(generator)) throw httpError(400, `route_to must be one of: ${GENERATORS.join(", ")}`, null, { ok: false });
   }
 
   try {
-    const q = await readBody(req);
-
-    // Inputs
-    const rawPrompt = (q.prompt || q.q || "").trim();
-    if (!rawPrompt) return errJson(res, "Missing 'prompt'");
-
-    const providerReq = (q.provider || "deepinfra").toLowerCase();
     const model = q.model || undefined;
 
     const { w, h, label } = parseSize(q.size || SAFE_DEFAULTS.size);
-    const steps = Number.isFinite(+q.steps) ? Math.max(8, Math.min(60, +q.steps)) : SAFE_DEFAULTS.steps;
-    const guidance = Number.isFinite(+q.guidance) ? Math.max(0, Math.min(20, +q.guidance)) : SAFE_DEFAULTS.guidance;
+    // Unset steps / guidance use the model's defaults (providers.json)
+    const steps = q.steps != null && Number.isFinite(+q.steps) ? Math.max(1, Math.min(60, +q.steps)) : undefined;
+    const guidance = q.guidance != null && Number.isFinite(+q.guidance) ? Math.max(0, Math.min(20, +q.guidance)) : undefined;
     const seed = q.seed !== undefined ? parseInt(q.seed, 10) : undefined;
 
     const wantChatMsg = q.chat === "1" || q.chat === 1 || String(q.chat || "").toLowerCase() === "true";
@@ -246,22 +101,13 @@ module.exports = async (req, res) => {
     let boosted = { prompt: rawPrompt, used: false, provider: null };
     let providerChainInfo = [];
 
-    if (providerReq === "gemini") {
-      boosted = await boostPromptWithGemini(rawPrompt);
-      providerChainInfo.push("gemini:prompt-boost");
-    } else if (providerReq === "groq") {
-      boosted = await boostPromptWithGroq(rawPrompt);
-      providerChainInfo.push("groq:prompt-boost");
+    if (!GENERATORS.includes(providerReq) && providersFor("chat", [providerReq]).length) {
+      boosted = await boostPrompt(providerReq, rawPrompt);
+      providerChainInfo.push(`${providerReq}:prompt-boost`);
     }
 
-    // Choose actual generator (deepinfra preferred; fal if requested)
-    let generator = providerReq;
-    if (providerReq === "gemini" || providerReq === "groq") {
-      // For image generation, route to deepinfra by default (or fal if user asked)
-      generator = (q.route_to || "deepinfra").toLowerCase();
-    }
-
-    // Try primary provider, then fallback
+    // Try the generator, then the other one if configured. A requested model only applies to
+    // the requested generator; the fallback uses its own default.
     let out;
     const opts = {
       prompt: boosted.prompt,
@@ -269,36 +115,20 @@ module.exports = async (req, res) => {
       height: h,
       steps,
       guidance,
-      seed,
-      model
+      seed
     };
-
-    if (generator === "fal") {
-      try {
-        out = await generateWithFal(opts);
-      } catch (e) {
-        providerChainInfo.push("fal:fail");
-        // Fallback to deepinfra if available
-        out = await generateWithDeepinfra(opts);
-        providerChainInfo.push("deepinfra:fallback");
-      }
-    } else {
-      try {
-        out = await generateWithDeepinfra(opts);
-      } catch (e) {
-        providerChainInfo.push("deepinfra:fail");
-        // Fallback to FAL if configured
-        if (process.env.FAL_KEY) {
-          out = await generateWithFal(opts);
-          providerChainInfo.push("fal:fallback");
-        } else {
-          throw e;
-        }
-      }
+    try {
+      out = await image({ ...opts, provider: generator, model });
+    } catch (e) {
+      providerChainInfo.push(`${generator}:fail`);
+      const backup = GENERATORS.find(g => g !== generator && isConfigured(g));
+      if (!backup) throw e;
+      out = await image({ ...opts, provider: backup });
+      providerChainInfo.push(`${backup}:fallback`);
     }
 
     const finalProvider = out.provider;
-    const finalModel = out.modelUsed || model || PROVIDER_DEFAULT_MODEL[finalProvider] || "unknown";
+    const finalModel = out.model || "unknown";
 
     // Friendly chat text + caption/alt
     const caption = rawPrompt;
@@ -316,19 +146,42 @@ module.exports = async (req, res) => {
       boosted: boosted.used ? true : false,
       boostProvider: boosted.provider || null,
       chain: providerChainInfo,
-      width: w, height: h, steps, guidance, seed: seed ?? null
+      width: w, height: h, steps: out.steps, guidance: out.guidance, seed: seed ?? null
     };
 
-    return okJson(res, {
+    return {
       ok: true,
-      imageUrl: out.imageUrl,
+      imageUrl: out.url,
       alt,
       caption,
       message,
       meta
-    });
+    };
   } catch (err) {
     const msg = (err && err.message) ? err.message : "Unknown error";
-    return errJson(res, "Image generation failed: " + msg, 500);
+    // Provider errors keep their status (429, 504…) and say why in `reason`
+    const typed = isProviderError(err);
+    const e = httpError(typed ? err.statusCode : 502, "Image generation failed: " + msg, "image_generation_failed",
+      { ok: false, ...(typed ? { reason: err.code, ...err.details } : {}) });
+    if (typed && err.headers) e.headers = err.headers;
+    throw e;
   }
-};
+}
+
+/* --------------------------------- MAIN ---------------------------------- */
+
+module.exports = withApi(async (req, res, { headers }) => {
+  const { userId, admin } = auth ? await auth.resolveUser(req, { optional: true }) : { userId: null, admin: false };
+  const caller = { userId, admin, setHeader: (k, v) => res.setHeader(k, v) };
+  await rateLimit(req, "img", caller);
+  await checkQuota(req, "images", caller);
+
+  const q = await readInput(req);
+  if (!String(q.prompt || q.q || "").trim()) return send(res, 400, headers, { ok: false, error: "Missing 'prompt'" });
+
+  const body = await generateImage(q);
+  await useQuota(req, "images", 1, caller);
+  return send(res, 200, headers, body);
+}, { methods: ["GET", "POST"] });
+
+module.exports.generateImage = generateImage;
@@ -0,0 +1,165 @@
+// pages/api/ingest.js
+// Ingest a document by raw upload (any supported Content-Type), by multipart/form-data (a `file` part
+// plus any of the fields below), by JSON { file: base64, filename }, { text, filename } or { url }.
+// Uploads and URL downloads are limited to INGEST_MAX_BYTES (20 MB); URLs must point at public hosts
+// (lib/remote.js). Supported: PDF, DOCX, Markdown, HTML, plain text, CSV.
+// The format is detected from magic bytes, Content-Type and file extension (see lib/extract.js).
+// Chunking: JSON { chunking: "structure" | { strategy, maxTokens, overlap } } or
+//           ?chunking=<strategy>&chunkTokens=<n>&overlap=<n> (see lib/chunking.js).
+// Versions: identical content returns the stored document ({ duplicate: true }) instead of a copy.
+//           JSON { mode: "replace", replace?: <documentId> } or ?mode=replace&replace=<id> stores a new
+//           version of that document (or of the current one with the same URL / name) and swaps it in
+//           once it is ready; { mode: "new" } always stores a separate document.
+// Labels:   JSON { collection, tags: [..], metadata: {..} } or ?collection=&tags=a,b&metadata=<json>
+//           scope retrieval (see options.filters on /api/ask and /api/ai-expert).
+// Resume:   JSON { resume: <documentId> } or ?resume=<documentId> continues a pending/failed ingest.
+// Async:    JSON { async: true }, ?async=1 or "Prefer: respond-async" queues a background job and
+//           answers 202 { jobId, statusUrl } at once; the worker then runs in this invocation
+//           (lib/http.js afterResponse). Poll GET /api/jobs/:id for progress.
+// Owner:    the authenticated user (lib/auth.js); admins may ingest for ?userId= / x-user-id, or without
+//           one for documents that belong to no user.
+// /api/ingest-pdf is an alias of this endpoint.
+
+export const config = {
+  api: {
+    bodyParser: false,      // <-- IMPORTANT: allow binary uploads (fixes “Invalid JSON body”)
+    responseLimit: false,
+  },
+};
+
+const { ingestDocument, resumeDocument, fetchDocument, checkSourceUrl, MODES, MAX_BYTES } = require("../lib/ingest");
+const { enqueueIngest, runWorker } = require("../lib/jobs");
+const { SUPPORTED_FORMATS } = require("../lib/extract");
+const { chunkingOptions } = require("../lib/chunking");
+const { normalizeTags, normalizeCollection, normalizeMetadata } = require("../lib/filters");
+const { resolveUser } = require("../lib/auth");
+const { withApi, send, afterResponse, readRaw, parseMultipart, httpError } = require("../lib/http");
+const { rateLimit } = require("../lib/ratelimit");
+
+function truthy(v) {
+  return v === true || v === 1 || /^(1|true|yes)$/i.test(String(v || ""));
+}
+
+/* ---------------- Handler ---------------- */
+export default withApi(async function handler(req, res, { headers }) {
+  try {
+    const { userId, admin } = await resolveUser(req, { requested: req.query.userId || req.headers["x-user-id"], allUsers: true });
+    await rateLimit(req, "ingest", { userId, admin, setHeader: (k, v) => res.setHeader(k, v) });
+
+    // 1) Read input: (a) raw upload with the file's Content-Type
+    //                (b) multipart form: a `file` part and text fields
+    //                (c) JSON body { url } | { file: base64, filename?, contentType? } | { text, filename? }
+    let buffer = null, contentType = "", filename = "", sourceUrl = null;
+    let runAsync = truthy(req.query.async) || /respond-async/i.test(req.headers.prefer || "");
+    let chunking = {
+      strategy: req.query.chunking,
+      maxTokens: req.query.chunkTokens,
+      overlap: req.query.overlap,
+    };
+    let mode = req.query.mode || null;
+    let replaceId = req.query.replace ?? null;
+    const labels = { collection: req.query.collection, tags: req.query.tags, metadata: req.query.metadata };
+
+    const ct = String(req.headers["content-type"] || "").toLowerCase();
+    const raw = await readRaw(req, { maxBytes: MAX_BYTES });
+    if (ct && !ct.includes("application/json") && !ct.startsWith("multipart/form-data")) {
+      buffer = raw;
+      contentType = ct;
+      filename = String(req.query.filename || req.headers["x-filename"] || "");
+    } else {
+      let json = {};
+      if (ct.startsWith("multipart/form-data")) {
+        const form = parseMultipart(raw, req.headers["content-type"]);
+        json = { ...form.fields };
+        if (json.chunking && /^\s*\{/.test(json.chunking)) {
+          try { json.chunking = JSON.parse(json.chunking); }
+          catch { throw httpError(400, "chunking must be a strategy name or a JSON object"); }
+        }
+        const file = form.files.find(f => f.field === "file") || form.files[0];
+        if (file) {
+          buffer = file.data;
+          contentType = file.contentType || "";
+          filename = file.filename || "";
+        }
+      } else {
+        const text = raw.toString("utf8");
+        try { json = text.trim() ? JSON.parse(text) : {}; }
+        catch { throw httpError(400, "Invalid JSON body", "invalid_json"); }
+      }
+      if (json.chunking) chunking = json.chunking;
+      if (json.async != null) runAsync = truthy(json.async);
+      if (json.mode) mode = json.mode;
+      if (json.replace != null) replaceId = json.replace;
+      for (const k of ["collection", "tags", "metadata"]) if (json[k] != null) labels[k] = json[k];
+
+      const resumeId = json.resume ?? req.query.resume;
+      if (resumeId != null) {
+        if (!/^\d+$/.test(String(resumeId))) return send(res, 400, headers, { error: "resume must be a document id" });
+        const out = await resumeDocument(String(resumeId), { userId });
+        return send(res, 200, headers, { ok: out.status === "ready", ...out });
+      }
+
+      // (a multipart `file` part already filled buffer)
+      if (!buffer && typeof json.file === "string") {
+        buffer = Buffer.from(json.file, "base64");
+        contentType = json.contentType || "";
+        filename = String(json.filename || "");
+      } else if (!buffer && typeof json.text === "string") {
+        buffer = Buffer.from(json.text, "utf8");
+        contentType = json.contentType || "text/plain";
+        filename = String(json.filename || "document.txt");
+      } else if (!buffer && (json.url || req.query.url)) {
+        sourceUrl = String(json.url || req.query.url);
+        filename = json.filename ? String(json.filename) : "";
+        // In async mode the worker downloads it
+        if (!runAsync) ({ buffer, contentType, filename } = await fetchDocument(sourceUrl, filename));
+        else await checkSourceUrl(sourceUrl);
+      }
+    }
+
+    if (mode && !MODES.includes(String(mode))) {
+      return send(res, 400, headers, { error: `mode must be one of: ${MODES.join(", ")}` });
+    }
+    if (replaceId != null && !/^\d+$/.test(String(replaceId))) {
+      return send(res, 400, headers, { error: "replace must be a document id" });
+    }
+    if (replaceId != null) mode = "replace";
+
+    // Validated here so a background job can't fail on them later (errors are 400s)
+    chunking = chunkingOptions(chunking);
+    const documentMeta = {
+      collection: normalizeCollection(labels.collection),
+      tags: labels.tags == null || labels.tags === "" ? null : normalizeTags(labels.tags),
+      metadata: normalizeMetadata(labels.metadata),
+    };
+
+    // 2a) Background: queue a job and return immediately
+    if (runAsync && (buffer?.length || sourceUrl)) {
+      const job = await enqueueIngest({
+        userId, buffer: buffer?.length ? buffer : null, contentType, filename, sourceUrl, chunking, mode, replaceId, documentMeta,
+      });
+      send(res, 202, { ...headers, Location: `/api/jobs/${job.id}` }, {
+        ok: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
+      // Start on it in this invocation, after the response; job polling and the cron pick up the rest
+      afterResponse(() => runWorker());
+      return;
+    }
+
+    if (!buffer || !buffer.length) {
+      return send(res, 400, headers, { error: "No file, text or URL provided.", formats: SUPPORTED_FORMATS });
+    }
+
+    // 2b) Inline: extract, chunk, embed, store
+    const out = await ingestDocument({ userId, buffer, contentType, filename, sourceUrl, chunking, mode, replaceId, ...documentMeta });
+    return send(res, out.status === "ready" ? 200 : 202, headers, { ok: out.status === "ready", ...out });
+  } catch (err) {
+    // A half-ingested document can be resumed; unsupported formats list the supported ones
+    if (err?.documentId) err.details = { ...err.details, documentId: err.documentId, resumable: true };
+    if (err?.statusCode === 415) err.details = { ...err.details, formats: SUPPORTED_FORMATS };
+    throw err;
+  }
+}, { methods: ["POST"], allowHeaders: ["X-Filename", "Prefer"] });
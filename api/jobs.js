@@ -0,0 +1,44 @@
+// pages/api/jobs.js
+// GET  /api/jobs/:id  → background ingest job status: stage, chunks done/total, error, documentId.
+//   A job waiting for a worker (handed back after the time budget, or retrying) gets a worker run
+//   after the response, so polling keeps a large ingest moving between cron runs.
+// GET|POST /api/jobs/run → process queued jobs: Vercel cron (Authorization: Bearer <CRON_SECRET>, which
+//   it sends once CRON_SECRET is set) or an admin. Without CRON_SECRET only admins can run it.
+//   The cron in vercel.json runs daily (the Hobby plan's limit) as a fallback for jobs nobody polls;
+//   on Pro it can run every minute ("* * * * *"), elsewhere use `npm run worker`.
+
+const { getJob, describeJob, needsWorker, runWorker } = require("../lib/jobs");
+const { resolveUser, sameSecret } = require("../lib/auth");
+const { withApi, send, afterResponse } = require("../lib/http");
+
+function bearer(req) {
+  return (req.headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
+}
+// Each run spends embedding quota and up to a minute of function time: the cron and admins only
+async function mayRunWorker(req) {
+  if (process.env.CRON_SECRET && sameSecret(bearer(req), process.env.CRON_SECRET)) return true;
+  return (await resolveUser(req, { optional: true })).admin;
+}
+
+/* ---------------- Handler ---------------- */
+export default withApi(async function handler(req, res, { headers }) {
+  const id = String(req.query.id || "").trim();
+
+  if (id === "run") {
+    if (!(await mayRunWorker(req))) return send(res, 401, headers, { error: "Unauthorized" });
+    const jobs = await runWorker();
+    return send(res, 200, headers, { ok: true, processed: jobs.length, jobs });
+  }
+
+  if (req.method !== "GET") return send(res, 405, headers, { error: "GET only" });
+  if (!id) return send(res, 400, headers, { error: "Missing job id" });
+
+  // Jobs are visible to their owner and admins
+  const auth = await resolveUser(req, { requested: req.query.userId || req.headers["x-user-id"], allUsers: true });
+  const job = await getJob(id);
+  if (!job || (!auth.admin && job.user_id !== auth.userId)) {
+    return send(res, 404, headers, { error: "Job not found" });
+  }
+  send(res, 200, headers, { ok: true, job: describeJob(job) });
+  if (needsWorker(job)) afterResponse(() => runWorker());
+}, { methods: ["GET", "POST"] });
@@ -0,0 +1,51 @@
+// pages/api/keys.js
+// API keys of the calling user (see lib/auth.js):
+//   GET    /api/keys                         → { keys }  (never the keys themselves)
+//   POST   /api/keys { name?, expiresAt? }   → { key, … } – the only time the key is shown
+//   DELETE /api/keys/:id                     → revoke
+// Admins may pass userId (?userId= / body.userId) to manage another user's keys, list every
+// user's keys by omitting it, and create admin keys with { role: "admin" }.
+
+const { resolveUser, createApiKey, listApiKeys, revokeApiKey } = require("../lib/auth");
+const { withApi, send, readJson } = require("../lib/http");
+
+const MAX_NAME = 80;
+
+/* ---------------- Handler ---------------- */
+export default withApi(async function handler(req, res, { headers }) {
+  const id = req.query.id ? String(req.query.id) : null;
+  if (id && !/^\d+$/.test(id)) return send(res, 400, headers, { error: "Invalid key id" });
+
+  const body = req.method === "POST" ? await readJson(req) : {};
+  const requested = body.userId || req.query.userId || req.headers["x-user-id"];
+
+  if (!id && req.method === "GET") {
+    const auth = await resolveUser(req, { requested, allUsers: true });
+    return send(res, 200, headers, { ok: true, keys: await listApiKeys(auth.userId) });
+  }
+
+  if (!id && req.method === "POST") {
+    const auth = await resolveUser(req, { requested, needUser: true });
+    const role = body.role || "user";
+    if (!["user", "admin"].includes(role)) return send(res, 400, headers, { error: "role must be user or admin" });
+    if (role === "admin" && !auth.admin) return send(res, 403, headers, { error: "Only admins can create admin keys" });
+    let expiresAt = null;
+    if (body.expiresAt != null && body.expiresAt !== "") {
+      expiresAt = new Date(body.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return send(res, 400, headers, { error: "expiresAt must be a future date" });
+      }
+    }
+    const name = String(body.name || "").replace(/\s+/g, " ").trim().slice(0, MAX_NAME) || null;
+    const key = await createApiKey({ userId: auth.userId, name, role, expiresAt });
+    return send(res, 201, headers, { ok: true, ...key });
+  }
+
+  if (id && req.method === "DELETE") {
+    const auth = await resolveUser(req, { requested, allUsers: true });
+    if (!(await revokeApiKey(id, auth.userId))) return send(res, 404, headers, { error: "Key not found" });
+    return send(res, 200, headers, { ok: true, revoked: id });
+  }
+
+  return send(res, 405, headers, { error: id ? "DELETE only" : "GET or POST only" });
+}, { methods: ["GET", "POST", "DELETE"] });
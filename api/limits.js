@@ -0,0 +1,25 @@
+// pages/api/limits.js
+// Today's usage against the daily quotas (see lib/ratelimit.js):
+//   GET    /api/limits              → { subject, usage: { images: { used, limit }, tokens: { used, limit } } }
+//   DELETE /api/limits?userId=…     → admin: reset a user's quotas and rate-limit buckets (or ?ip=…)
+// Users see their own usage; admins may pass ?userId= or ?ip= to see anyone's.
+
+const { resolveUser } = require("../lib/auth");
+const { withApi, send } = require("../lib/http");
+const { usage, resetUsage } = require("../lib/ratelimit");
+
+/* ---------------- Handler ---------------- */
+export default withApi(async function handler(req, res, { headers }) {
+  const ip = req.query.ip ? String(req.query.ip).trim() : null;
+  const auth = await resolveUser(req, { requested: req.query.userId || req.headers["x-user-id"] });
+  if (ip && !auth.admin) return send(res, 403, headers, { error: "Only admins can look up an IP" });
+  const subject = ip ? `ip:${ip}` : auth.userId ? `user:${auth.userId}` : null;
+  if (!subject) return send(res, 400, headers, { error: "Name a userId or ip" });
+
+  if (req.method === "DELETE") {
+    if (!auth.admin) return send(res, 403, headers, { error: "Only admins can reset limits" });
+    await resetUsage(subject);
+    return send(res, 200, headers, { ok: true, reset: subject });
+  }
+  return send(res, 200, headers, { ok: true, subject, usage: await usage(subject) });
+}, { methods: ["GET", "DELETE"] });
@@ -1,4 +1,48 @@
-// /api/ping.js – Health check endpoint
-export default function handler(req, res) {
-  res.status(200).json({ status: "ok", message: "AI chatbot backend is running." });
+// /api/ping.js – Health check: database connectivity and provider health
+//   GET /api/ping → { status, message, database: { ok, latencyMs, error? }, routing,
+//                     providers: { <name>: { configured, circuit, requests, errorRate, latencyMs, lastError, … } } }
+// status: "ok"; "degraded" when a provider's circuit is open or half-open; "down" (503) when the
+// database does not answer or no chat provider can take requests. ?db=0 skips the database query.
+// Provider health is this instance's view (see ../lib/providers/health.js).
+const { withApi, send } = require("../lib/http");
+const { healthReport, providersFor, routing } = require("../lib/providers");
+
+const DB_TIMEOUT_MS = 3000;
+
+async function checkDatabase() {
+  const started = Date.now();
+  let timer;
+  try {
+    const { pool } = require("../db");
+    await Promise.race([
+      pool.query("SELECT 1"),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`no answer within ${DB_TIMEOUT_MS}ms`)), DB_TIMEOUT_MS); }),
+    ]);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    // The driver's message may name hosts; it goes to the log, not the public response
+    console.warn("[ping] database check failed:", err?.message || err);
+    return { ok: false, latencyMs: Date.now() - started, error: /no answer within/.test(err?.message) ? "timeout" : "unreachable" };
+  } finally {
+    clearTimeout(timer);
+  }
 }
+
+export default withApi(async function handler(req, res, { headers }) {
+  const skipDb = /^(0|false|no)$/i.test(String(req.query?.db ?? ""));
+  const database = skipDb ? null : await checkDatabase();
+  const providers = healthReport();
+  const chat = providersFor("chat");
+  const canChat = chat.some(p => providers[p]?.circuit !== "open");
+  const unhealthy = Object.values(providers).some(p => p.circuit === "open" || p.circuit === "half_open");
+
+  const status = (database && !database.ok) || !canChat ? "down" : unhealthy ? "degraded" : "ok";
+  return send(res, status === "down" ? 503 : 200, headers, {
+    status,
+    message: status === "down" ? "AI chatbot backend is not fully available." : "AI chatbot backend is running.",
+    ...(database ? { database } : {}),
+    routing: routing(),
+    chatOrder: chat,
+    providers,
+  });
+}, { methods: ["GET", "HEAD"] });
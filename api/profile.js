@@ -0,0 +1,54 @@
+// pages/api/profile.js
+// Remembered facts about the authenticated user (admins: the user named by x-user-id / ?userId=),
+// used by /api/ai-expert:
+//   GET    /api/profile                → { facts }
+//   POST   /api/profile { fact, category?, key? }          → add a fact
+//   PATCH  /api/profile/:id { fact?, category?, key? }     → edit a fact
+//   DELETE /api/profile/:id            → forget one fact
+//   DELETE /api/profile                → forget everything
+// Categories: identity, work, project, preference, language, other (see lib/profile.js).
+
+const { z } = require("zod");
+const profile = require("../lib/profile");
+const { resolveUser } = require("../lib/auth");
+const { withApi, send, readJson, httpError } = require("../lib/http");
+
+/* ---------------- Handler ---------------- */
+export default withApi(async function handler(req, res, { headers }) {
+  const id = req.query.id ? String(req.query.id) : null;
+  if (id && !/^\d+$/.test(id)) return send(res, 400, headers, { error: "Invalid fact id" });
+
+  try {
+    const { userId } = await resolveUser(req, { requested: req.headers["x-user-id"] || req.query.userId, needUser: true });
+
+    if (!id) {
+      if (req.method === "GET") {
+        return send(res, 200, headers, { ok: true, facts: await profile.listFacts(userId), categories: profile.CATEGORIES });
+      }
+      if (req.method === "POST") {
+        const fact = await profile.addFact(userId, await readJson(req));
+        return send(res, 201, headers, { ok: true, fact });
+      }
+      if (req.method === "DELETE") {
+        return send(res, 200, headers, { ok: true, removed: await profile.clearFacts(userId) });
+      }
+      return send(res, 405, headers, { error: "GET, POST or DELETE only" });
+    }
+
+    if (req.method === "PATCH") {
+      const fact = await profile.updateFact(userId, id, await readJson(req));
+      if (!fact) return send(res, 404, headers, { error: "Fact not found" });
+      return send(res, 200, headers, { ok: true, fact });
+    }
+    if (req.method === "DELETE") {
+      if (!(await profile.deleteFact(userId, id))) return send(res, 404, headers, { error: "Fact not found" });
+      return send(res, 200, headers, { ok: true, deleted: id });
+    }
+    return send(res, 405, headers, { error: "PATCH or DELETE only" });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      throw httpError(400, "Invalid fact", "invalid_fact", { issues: err.issues.map(i => ({ path: i.path.join("."), message: i.message })) });
+    }
+    throw err;
+  }
+}, { methods: ["GET", "POST", "PATCH", "DELETE"] });
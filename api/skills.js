@@ -11,17 +11,17 @@ function template(id, matchFn, instructions) {
   return { 
     id, 
     match: matchFn, 
+    // KB block and KB-only rule only with context, so general questions that match a skill aren't refused
     build: ({ question, ctx, topic, owner }) =>
       [
-        "KB:",
-        '"""', ctx || "NO CONTEXT", '"""', "",
+        ...(ctx ? ["KB:", '"""', ctx, '"""', ""] : []),
         `User question: ${question}`, "",
         `Skill: ${id}`,
         "Do the following precisely:",
         instructions,
         "",
         "Rules:",
-        "- Use only facts from KB above; if something is unknown, say it's unspecified or not in the context.",
+        ...(ctx ? ["- Use only facts from KB above; if something is unknown, say it's unspecified or not in the context."] : []),
         "- Be concise. Use bullet points or tables if it improves clarity. Add 1–3 friendly emojis if it suits the answer.",
       ].join("\n")
   };
@@ -74,20 +74,6 @@ const SKILLS = [
   // Additional skills can be added here...
 ];
 
-// Utility to detect slash commands quickly
-function detectCommand(qRaw) {
-  const q = qRaw.trim();
-  const genMatch = q.match(/^\/?gen(?:erate)?\s+(.+)/i);
-  if (genMatch) {
-    return { kind: "gen", prompt: genMatch[1].trim(), n: 2, aspect: "16:9", realism: "photo" };
-  }
-  const brMatch = q.match(/^\/?browse\s+(.+)/i);
-  if (brMatch) {
-    return { kind: "browse", query: brMatch[1].trim(), n: 12 };
-  }
-  return null;
-}
-
 // Follow-up suggestions for specific topics or generic
 const SKILL_META = {
   followups(topic) {
@@ -116,6 +102,14 @@ const SKILL_META = {
   }
 };
 
+// Guess which corpus the KB context is about (keys understood by SKILL_META.followups)
+function detectTopic(text) {
+  const t = String(text || "");
+  if (/AAVSS/i.test(t)) return "aavss";
+  if (/(dataset|annotation)/i.test(t)) return "sldataset";
+  return null;
+}
+
 function matchSkill(question) {
   for (const s of SKILLS) {
     try {
@@ -125,8 +119,40 @@ function matchSkill(question) {
   return null;
 }
 
+function getSkill(id) {
+  const key = normalize(id).trim();
+  return SKILLS.find(s => s.id === key) || null;
+}
+
+function listSkills() {
+  return SKILLS.map(s => s.id);
+}
+
+// Resolve the skill for a request. `choice` comes from options.skill:
+//   undefined/true → auto-detect with matchSkill, false/"none"/"off" → no skill,
+//   any other string → force that skill id (error if it doesn't exist).
+function resolveSkill(question, choice) {
+  if (choice === undefined || choice === null || choice === true || choice === "" || choice === "auto") {
+    return { skill: matchSkill(question) };
+  }
+  if (choice === false || ["none", "off"].includes(normalize(String(choice)))) {
+    return { skill: null };
+  }
+  const skill = getSkill(String(choice));
+  if (!skill) return { skill: null, error: `Unknown skill "${choice}". Available: ${listSkills().join(", ")}` };
+  return { skill };
+}
+
 function buildSkillPrompt({ question, ctx, topic, owner, skill }) {
   return skill.build({ question, ctx, topic, owner });
 }
 
-module.exports = { matchSkill, buildSkillPrompt, detectCommand, SKILL_META };
+module.exports = {
+  matchSkill,
+  getSkill,
+  listSkills,
+  resolveSkill,
+  detectTopic,
+  buildSkillPrompt,
+  SKILL_META
+};
@@ -9,31 +9,157 @@ const pool = new Pool({
   // ssl: { rejectUnauthorized: false }, // use if needed for Neon
 });
 
-// Ensure pgvector extension is enabled (vector similarity search)
-pool.query(`CREATE EXTENSION IF NOT EXISTS vector;`).catch(err => {
-  console.warn("pgvector extension enable failed (maybe already installed or insufficient permission):", err.message);
-});
+// Schema (tables, pgvector extension, indexes) is managed by migrations: npm run db:migrate
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-// Retrieve recent conversation messages for memory
-async function getRecentMessages(userId, limit = 10) {
+// Retrieve recent conversation messages for memory (one conversation when conversationId is given)
+async function getRecentMessages(userId, limit = 10, conversationId = null) {
   const res = await pool.query(
     `SELECT role, content
      FROM messages
      WHERE user_id = $1
-     ORDER BY timestamp DESC
+       AND ($3::uuid IS NULL OR conversation_id = $3)
+     ORDER BY timestamp DESC, id DESC
      LIMIT $2`,
-    [userId, limit]
+    [userId, limit, conversationId]
   );
   // Return in chronological (oldest first) order:
   return res.rows.reverse();
 }
 
 // Save a message (user or assistant) into the conversation history
-async function saveMessage(userId, role, content) {
+async function saveMessage(userId, role, content, conversationId = null) {
   await pool.query(
-    `INSERT INTO messages(user_id, role, content, timestamp) VALUES($1, $2, $3, NOW())`,
-    [userId, role, content]
+    `INSERT INTO messages(user_id, role, content, conversation_id, timestamp) VALUES($1, $2, $3, $4, NOW())`,
+    [userId, role, content, conversationId]
+  );
+  if (conversationId) {
+    await pool.query(`UPDATE conversations SET updated_at = NOW() WHERE id = $1`, [conversationId]);
+  }
+}
+
+// Clear a user's conversation history (or one conversation of it); returns the number of messages removed.
+// The rolling summaries go in the same statement; message embeddings live on the deleted rows.
+async function clearMessages(userId, conversationId = null) {
+  const res = await pool.query(
+    `WITH reset AS (
+       UPDATE conversations SET summary = NULL, summary_upto = NULL, summary_updated_at = NULL
+       WHERE user_id = $1 AND ($2::uuid IS NULL OR id = $2)
+     )
+     DELETE FROM messages WHERE user_id = $1 AND ($2::uuid IS NULL OR conversation_id = $2)`,
+    [userId, conversationId]
+  );
+  return res.rowCount;
+}
+
+/* ---------------- Conversations ---------------- */
+const CONVERSATION_COLUMNS = `c.id, c.title, c.created_at, c.updated_at`;
+
+async function createConversation(userId, title = null) {
+  const res = await pool.query(
+    `INSERT INTO conversations AS c (user_id, title) VALUES ($1, $2) RETURNING ${CONVERSATION_COLUMNS}`,
+    [userId, title]
+  );
+  return res.rows[0];
+}
+
+// A conversation owned by userId (null if missing or not a valid id)
+async function getConversation(conversationId, userId) {
+  if (!UUID_RE.test(String(conversationId || ""))) return null;
+  const res = await pool.query(
+    `SELECT ${CONVERSATION_COLUMNS} FROM conversations c WHERE c.id = $1 AND c.user_id = $2`,
+    [conversationId, userId]
+  );
+  return res.rows[0] || null;
+}
+
+// The user's most recently active conversation
+async function latestConversation(userId) {
+  const res = await pool.query(
+    `SELECT ${CONVERSATION_COLUMNS} FROM conversations c WHERE c.user_id = $1 ORDER BY c.updated_at DESC LIMIT 1`,
+    [userId]
+  );
+  return res.rows[0] || null;
+}
+
+// Conversation list cursor: "<updated_at with microseconds>_<id>", so rows that share a timestamp
+// are neither skipped nor repeated. A plain ISO date or timestamp is accepted too (everything before it).
+// → { at, id } or null when `cursor` is not one.
+function parseConversationCursor(cursor) {
+  const m = String(cursor || "").match(/^(\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}:\d{2}))?)(?:_([0-9a-f-]{36}))?$/i);
+  const day = m && new Date(m[1].slice(0, 10) + "T00:00:00Z");
+  // Date.parse rolls "02-30" over to March; Postgres would reject it with a 500
+  if (!m || Number.isNaN(Date.parse(m[1])) || day.toISOString().slice(0, 10) !== m[1].slice(0, 10)) return null;
+  if (m[2] && !UUID_RE.test(m[2])) return null;
+  return { at: m[1], id: m[2] || null };
+}
+
+// Newest activity first. `before` is a parsed nextCursor of the previous page (parseConversationCursor).
+// Returns { conversations, nextCursor } (nextCursor null on the last page).
+async function listConversations(userId, { limit = 20, before = null } = {}) {
+  const res = await pool.query(
+    `SELECT ${CONVERSATION_COLUMNS},
+            (SELECT COUNT(*)::int FROM messages m WHERE m.conversation_id = c.id) AS message_count,
+            to_char(c.updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_at
+     FROM conversations c
+     WHERE c.user_id = $1
+       AND ($2::timestamptz IS NULL OR c.updated_at < $2 OR (c.updated_at = $2 AND c.id < $3::uuid))
+     ORDER BY c.updated_at DESC, c.id DESC
+     LIMIT $4`,
+    [userId, before?.at ?? null, before?.id ?? null, limit + 1]
+  );
+  const more = res.rows.length > limit;
+  const conversations = res.rows.slice(0, limit).map(({ cursor_at, ...c }) => c);
+  const last = res.rows[conversations.length - 1];
+  return { conversations, nextCursor: more ? `${last.cursor_at}_${last.id}` : null };
+}
+
+// Page of messages, oldest first within the page. Pages walk backwards from the newest message:
+// `before` is the nextCursor (a message id) of the previous page.
+async function getConversationMessages(conversationId, { limit = 50, before = null } = {}) {
+  const res = await pool.query(
+    `SELECT id, role, content, timestamp
+     FROM messages
+     WHERE conversation_id = $1 AND ($2::bigint IS NULL OR id < $2)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [conversationId, before, limit + 1]
   );
+  const more = res.rows.length > limit;
+  const messages = res.rows.slice(0, limit).reverse();
+  return { messages, nextCursor: more ? String(messages[0].id) : null };
+}
+
+// Metadata only: updated_at tracks message activity, so a rename doesn't reorder the list
+async function renameConversation(conversationId, userId, title) {
+  if (!UUID_RE.test(String(conversationId || ""))) return null;
+  const res = await pool.query(
+    `UPDATE conversations AS c SET title = $3
+     WHERE c.id = $1 AND c.user_id = $2
+     RETURNING ${CONVERSATION_COLUMNS}`,
+    [conversationId, userId, title]
+  );
+  return res.rows[0] || null;
+}
+
+// Sets the title only if the conversation has none yet (auto-titling never overrides a rename)
+async function setDefaultTitle(conversationId, title) {
+  const res = await pool.query(
+    `UPDATE conversations SET title = $2 WHERE id = $1 AND title IS NULL`,
+    [conversationId, title]
+  );
+  return res.rowCount > 0;
+}
+
+// Deletes the conversation and its messages; false if it wasn't found
+async function deleteConversation(conversationId, userId) {
+  if (!UUID_RE.test(String(conversationId || ""))) return false;
+  const res = await pool.query(
+    `DELETE FROM conversations WHERE id = $1 AND user_id = $2`,
+    [conversationId, userId]
+  );
+  return res.rowCount > 0;
 }
 
 // List documents for a user (for UI or management)
@@ -44,51 +170,149 @@ async function listDocuments(userId) {
   const res = await pool.query(
     `SELECT id, name, created_at
      FROM documents
-     WHERE user_id = $1
+     WHERE user_id = $1 AND is_current
      ORDER BY created_at DESC`,
     [userId]
   );
   return res.rows;
 }
 
-// Delete a document and its chunks (called by delete-doc.js)
+// Fetch a single document owned by the user (null if missing)
+async function getDocument(docId, userId) {
+  const res = await pool.query(
+    `SELECT id, name, created_at
+     FROM documents
+     WHERE id = $1 AND user_id = $2`,
+    [docId, userId]
+  );
+  return res.rows[0] || null;
+}
+
+// Text of a document's chunks in ingest order (capped to keep prompts bounded)
+async function getDocumentChunks(docId, userId, limit = 40) {
+  const res = await pool.query(
+    `SELECT content
+     FROM document_chunks
+     WHERE doc_id = $1 AND user_id = $2
+     ORDER BY chunk_index NULLS LAST, id
+     LIMIT $3`,
+    [docId, userId, limit]
+  );
+  return res.rows.map(r => r.content);
+}
+
+// Delete documents (and their chunks) matching docId, name and/or sourceUrl, in one transaction.
+// Every version of a matched document goes with it.
+// userId limits the delete to that user's documents; pass null for an admin (all users) delete.
+// Returns { documentIds, chunks } — the ids removed and the number of chunks removed with them.
+async function deleteDocuments({ docId = null, name = null, sourceUrl = null, userId = null }) {
+  if (docId == null && !name && !sourceUrl) {
+    throw new Error("deleteDocuments needs docId, name or sourceUrl");
+  }
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const docs = await client.query(
+      `SELECT id
+       FROM documents
+       WHERE lineage_id IN (
+         SELECT lineage_id
+         FROM documents
+         WHERE ($1::bigint IS NULL OR id = $1)
+           AND ($2::text IS NULL OR name = $2)
+           AND ($3::text IS NULL OR source_url = $3)
+           AND ($4::text IS NULL OR user_id = $4)
+       )
+       FOR UPDATE`,
+      [docId, name, sourceUrl, userId]
+    );
+    const documentIds = docs.rows.map(r => r.id);
+    let chunks = 0;
+    if (documentIds.length) {
+      const del = await client.query(`DELETE FROM document_chunks WHERE doc_id = ANY($1::bigint[])`, [documentIds]);
+      chunks = del.rowCount;
+      await client.query(`DELETE FROM documents WHERE id = ANY($1::bigint[])`, [documentIds]);
+    }
+    await client.query("COMMIT");
+    return { documentIds, chunks };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Delete a single document owned by userId
 async function deleteDocument(docId, userId) {
-  await pool.query(`DELETE FROM document_chunks WHERE doc_id = $1 AND user_id = $2`, [docId, userId]);
-  await pool.query(`DELETE FROM documents WHERE id = $1 AND user_id = $2`, [docId, userId]);
+  return deleteDocuments({ docId, userId });
 }
 
-// Semantic search for relevant document chunks given a query embedding
+// Keep the first (best-ranked) row per content hash, up to `limit` rows
+function dedupeByHash(rows, limit) {
+  const seen = new Set();
+  const out = [];
+  for (const r of rows) {
+    const key = r.content_hash || r.content;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(r);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+// Semantic search for relevant document chunks given a query embedding (vector only;
+// the endpoints use the hybrid search in lib/retrieval.js). Cosine distance, like the HNSW index.
+// Only current document versions are searched; identical passages from different
+// documents count once (we over-fetch so the top-k stays full after de-duplication).
 async function getRelevantDocs(userId, embedding, topK = 3) {
   const embeddingStr = '[' + embedding.join(',') + ']';
   let query, params;
   if (userId) {
     query = `
-      SELECT content
-      FROM document_chunks
-      WHERE user_id = $1
-      ORDER BY embeddings <-> $2::vector
+      SELECT c.content, c.content_hash
+      FROM document_chunks c
+      JOIN documents d ON d.id = c.doc_id AND d.is_current
+      WHERE c.user_id = $1 AND c.embeddings IS NOT NULL
+      ORDER BY c.embeddings <=> $2::vector
       LIMIT $3
     `;
-    params = [userId, embeddingStr, topK];
+    params = [userId, embeddingStr, topK * 3];
   } else {
     // If no user specified, search across all docs (public)
     query = `
-      SELECT content
-      FROM document_chunks
-      ORDER BY embeddings <-> $1::vector
+      SELECT c.content, c.content_hash
+      FROM document_chunks c
+      JOIN documents d ON d.id = c.doc_id AND d.is_current
+      WHERE c.embeddings IS NOT NULL
+      ORDER BY c.embeddings <=> $1::vector
       LIMIT $2
     `;
-    params = [embeddingStr, topK];
+    params = [embeddingStr, topK * 3];
   }
   const res = await pool.query(query, params);
-  return res.rows.map(r => r.content);
+  return dedupeByHash(res.rows, topK).map(r => r.content);
 }
 
 module.exports = {
   pool,
   getRecentMessages,
   saveMessage,
+  clearMessages,
+  createConversation,
+  getConversation,
+  latestConversation,
+  listConversations,
+  parseConversationCursor,
+  getConversationMessages,
+  renameConversation,
+  setDefaultTitle,
+  deleteConversation,
   listDocuments,
+  getDocument,
+  getDocumentChunks,
   deleteDocument,
+  deleteDocuments,
   getRelevantDocs
 };
@@ -0,0 +1,210 @@
+// lib/auth.js – Caller identity for every endpoint, resolved server-side.
+//
+// Credentials (Authorization: Bearer <token>, or X-Api-Key: <key>):
+//   • JWT signed with HS256 (AUTH_JWT_SECRET) or RS256 (AUTH_JWT_PUBLIC_KEY, PEM). When set,
+//     AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE (comma-separated) must match iss / aud.
+//     The user id is the AUTH_JWT_USER_CLAIM claim (default "sub"); role "admin", "admin" in
+//     roles[] or the "admin" scope makes the caller an admin. AUTH_JWT_LEEWAY (60 s) allows clock skew.
+//     Tokens must carry exp; AUTH_JWT_REQUIRE_EXP=0 also accepts tokens that never expire.
+//   • API key ("ak_…", created through /api/keys), stored hashed in api_keys.
+//   • ADMIN_TOKEN – a static admin credential, as before.
+//
+// Users only ever act on their own data: a user id named by the request (userId, x-user-id,
+// chat_id…) must be the caller's own. Admins may name any user, or none for cross-user operations.
+// AUTH_TRUST_USER_HEADER=1 restores the old behaviour of trusting the named id when no credentials
+// are sent – for local development only.
+
+const crypto = require("crypto");
+const { pool } = require("../db");
+
+const KEY_PREFIX = "ak_";
+const JWT_ALGS = ["HS256", "RS256"];
+
+function authError(message, statusCode = 401) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function list(v) {
+  return String(v || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function sameSecret(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/* ---------------- JWT ---------------- */
+function decodePart(part) {
+  try { return JSON.parse(Buffer.from(part, "base64url").toString("utf8")); }
+  catch { throw authError("Malformed token"); }
+}
+
+function publicKey() {
+  // Env vars often carry the PEM with literal "\n"
+  const pem = process.env.AUTH_JWT_PUBLIC_KEY;
+  return pem ? pem.replace(/\\n/g, "\n") : null;
+}
+
+// Verified claims of a compact JWT; throws a 401 error otherwise.
+// The algorithm must have a configured key, so an RS256 public key can never be used as an HMAC secret.
+function verifyJwt(token, now = Date.now()) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw authError("Malformed token");
+  const [h, p, s] = parts;
+  const header = decodePart(h);
+  if (!JWT_ALGS.includes(header.alg)) throw authError(`Unsupported token algorithm ${header.alg}`);
+
+  const data = Buffer.from(`${h}.${p}`);
+  const signature = Buffer.from(s, "base64url");
+  let valid = false;
+  if (header.alg === "HS256") {
+    const secret = process.env.AUTH_JWT_SECRET;
+    if (!secret) throw authError("HS256 tokens are not accepted");
+    const expected = crypto.createHmac("sha256", secret).update(data).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    const key = publicKey();
+    if (!key) throw authError("RS256 tokens are not accepted");
+    valid = crypto.verify("RSA-SHA256", data, key, signature);
+  }
+  if (!valid) throw authError("Invalid token signature");
+
+  const claims = decodePart(p);
+  const leeway = +(process.env.AUTH_JWT_LEEWAY || 60);
+  const t = Math.floor(now / 1000);
+  if (claims.exp == null && !/^(0|false|no|off)$/i.test(process.env.AUTH_JWT_REQUIRE_EXP || "")) {
+    throw authError("Token has no expiry (exp)");
+  }
+  if (claims.exp != null && !(t - leeway < +claims.exp)) throw authError("Token expired");
+  if (claims.nbf != null && t + leeway < +claims.nbf) throw authError("Token not yet valid");
+
+  const issuers = list(process.env.AUTH_JWT_ISSUER);
+  if (issuers.length && !issuers.includes(claims.iss)) throw authError("Token issuer not accepted");
+  const audiences = list(process.env.AUTH_JWT_AUDIENCE);
+  if (audiences.length) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.some(a => audiences.includes(a))) throw authError("Token audience not accepted");
+  }
+  return claims;
+}
+
+function isAdminClaims(claims) {
+  const roles = [].concat(claims.role || [], claims.roles || []);
+  const scopes = String(claims.scope || "").split(/\s+/);
+  return roles.includes("admin") || scopes.includes("admin");
+}
+
+/* ---------------- API keys ---------------- */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+const KEY_COLUMNS = `id, user_id, name, prefix, role, created_at, expires_at, last_used_at, revoked_at`;
+
+// → { key, ...row }. The plain key is only ever returned here.
+async function createApiKey({ userId, name = null, role = "user", expiresAt = null }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const res = await pool.query(
+    `INSERT INTO api_keys(user_id, name, prefix, key_hash, role, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${KEY_COLUMNS}`,
+    [userId, name, key.slice(0, 10), hashKey(key), role, expiresAt]
+  );
+  return { key, ...res.rows[0] };
+}
+
+// userId null lists every user's keys (admin)
+async function listApiKeys(userId) {
+  const res = await pool.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys WHERE ($1::text IS NULL OR user_id = $1) ORDER BY created_at DESC`,
+    [userId]
+  );
+  return res.rows;
+}
+
+// false if no such active key (owned by userId, unless userId is null)
+async function revokeApiKey(id, userId) {
+  const res = await pool.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR user_id = $2)`,
+    [id, userId]
+  );
+  return res.rowCount > 0;
+}
+
+async function verifyApiKey(key) {
+  const res = await pool.query(
+    `UPDATE api_keys
+     SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id, user_id, role`,
+    [hashKey(key)]
+  );
+  if (!res.rows[0]) throw authError("Invalid API key");
+  return res.rows[0];
+}
+
+/* ---------------- request identity ---------------- */
+function credentials(req) {
+  const apiKey = String(req.headers["x-api-key"] || "").trim();
+  if (apiKey) return apiKey;
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : "";
+}
+
+// → { userId, admin, method, keyId? } or null when the request carries no credentials.
+// Credentials that don't verify are a 401 error, never a fall back to anonymous.
+async function authenticate(req) {
+  const token = credentials(req);
+  if (!token) return null;
+
+  if (process.env.ADMIN_TOKEN && sameSecret(token, process.env.ADMIN_TOKEN)) {
+    return { userId: null, admin: true, method: "admin_token" };
+  }
+  if (token.startsWith(KEY_PREFIX)) {
+    const key = await verifyApiKey(token);
+    return { userId: key.user_id, admin: key.role === "admin", method: "api_key", keyId: key.id };
+  }
+  const claims = verifyJwt(token);
+  const userId = claims[process.env.AUTH_JWT_USER_CLAIM || "sub"];
+  if (userId == null || userId === "") throw authError("Token has no user id");
+  return { userId: String(userId), admin: isAdminClaims(claims), method: "jwt" };
+}
+
+// The user a request acts for → { userId, admin, method }.
+//   requested: the user id the request names, if any.
+//   optional:  anonymous callers get userId null instead of a 401.
+//   allUsers:  an admin naming no one gets userId null – the operation spans all users.
+//   needUser:  the result must name a user (per-user resources such as conversations).
+// Non-admins naming another user get a 403; admins may name anyone, otherwise they act as themselves.
+async function resolveUser(req, { requested = null, optional = false, allUsers = false, needUser = false } = {}) {
+  const named = String(requested || "").trim() || null;
+  let identity = await authenticate(req);
+  if (!identity && named && /^(1|true|yes)$/i.test(process.env.AUTH_TRUST_USER_HEADER || "")) {
+    identity = { userId: named, admin: false, method: "untrusted" };
+  }
+  if (!identity) {
+    if (optional) return { userId: null, admin: false, method: null };
+    throw authError("Authentication required");
+  }
+  if (identity.admin) {
+    const userId = named || (allUsers ? null : identity.userId);
+    if (needUser && !userId) throw authError("Admin requests must name a userId", 400);
+    return { ...identity, userId };
+  }
+  if (named && named !== identity.userId) throw authError("Not allowed to act for another user", 403);
+  return identity;
+}
+
+module.exports = {
+  authenticate,
+  resolveUser,
+  verifyJwt,
+  sameSecret,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  hashKey,
+};
@@ -0,0 +1,125 @@
+// lib/calculator.js – Arithmetic for the calculator tool, without eval.
+//
+// A small recursive-descent parser over numbers, + - * / % ^ (right-associative power), parentheses,
+// unary minus, the constants pi and e, and a fixed set of Math functions:
+//   evaluate("2 * (3 + 4) ^ 2")  → 98
+//   evaluate("sqrt(2) / 2")      → 0.7071067811865476
+// Anything else – identifiers, property access, strings – is a syntax error, so nothing can run.
+
+const MAX_LENGTH = 300;
+const MAX_DEPTH = 50;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+const FUNCTIONS = {
+  abs: Math.abs, sqrt: Math.sqrt, cbrt: Math.cbrt, exp: Math.exp,
+  ln: Math.log, log: Math.log10, log2: Math.log2, log10: Math.log10,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round, trunc: Math.trunc, sign: Math.sign,
+  min: Math.min, max: Math.max, pow: Math.pow, hypot: Math.hypot,
+};
+
+class CalcError extends Error {}
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) throw new CalcError(`unexpected character "${src.slice(pos).trim()[0]}"`);
+    if (m[1] != null) tokens.push({ type: "num", value: parseFloat(m[1]) });
+    else if (m[2] != null) tokens.push({ type: "name", value: m[2].toLowerCase() });
+    else tokens.push({ type: "op", value: m[3] === "**" ? "^" : m[3] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+// expr   := term (("+" | "-") term)*
+// term   := unary (("*" | "/" | "%") unary)*
+// unary  := ("-" | "+") unary | power
+// power  := atom ("^" unary)?
+// atom   := number | constant | name "(" expr ("," expr)* ")" | "(" expr ")"
+function parse(tokens) {
+  let i = 0, depth = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new CalcError(`expected "${v}"`);
+    i++;
+  };
+  const nested = (fn) => {
+    if (++depth > MAX_DEPTH) throw new CalcError("expression is nested too deeply");
+    try { return fn(); } finally { depth--; }
+  };
+
+  function expr() {
+    let v = term();
+    while (isOp("+") || isOp("-")) v = tokens[i++].value === "+" ? v + term() : v - term();
+    return v;
+  }
+  function term() {
+    let v = unary();
+    while (isOp("*") || isOp("/") || isOp("%")) {
+      const op = tokens[i++].value;
+      const r = unary();
+      if ((op === "/" || op === "%") && r === 0) throw new CalcError("division by zero");
+      v = op === "*" ? v * r : op === "/" ? v / r : v % r;
+    }
+    return v;
+  }
+  function unary() {
+    if (isOp("-")) { i++; return nested(() => -unary()); }
+    if (isOp("+")) { i++; return nested(unary); }
+    return power();
+  }
+  function power() {
+    const base = atom();
+    if (!isOp("^")) return base;
+    i++;
+    return base ** nested(unary);
+  }
+  function atom() {
+    const t = peek();
+    if (!t) throw new CalcError("unexpected end of expression");
+    if (t.type === "num") { i++; return t.value; }
+    if (isOp("(")) {
+      i++;
+      const v = nested(expr);
+      expect(")");
+      return v;
+    }
+    if (t.type === "name") {
+      i++;
+      if (Object.hasOwn(CONSTANTS, t.value) && !isOp("(")) return CONSTANTS[t.value];
+      if (!Object.hasOwn(FUNCTIONS, t.value)) throw new CalcError(`unknown name "${t.value}"`);
+      expect("(");
+      const args = [nested(expr)];
+      while (isOp(",")) { i++; args.push(nested(expr)); }
+      expect(")");
+      return FUNCTIONS[t.value](...args);
+    }
+    throw new CalcError(`unexpected "${t.value}"`);
+  }
+
+  const v = expr();
+  if (i < tokens.length) throw new CalcError(`unexpected "${tokens[i].value}"`);
+  return v;
+}
+
+// → the value of `expression`; throws a CalcError (message says what is wrong) for bad input
+function evaluate(expression) {
+  const src = String(expression ?? "").trim();
+  if (!src) throw new CalcError("empty expression");
+  if (src.length > MAX_LENGTH) throw new CalcError(`expression longer than ${MAX_LENGTH} characters`);
+  const value = parse(tokenize(src));
+  if (!Number.isFinite(value)) throw new CalcError("result is not a finite number");
+  return value;
+}
+
+module.exports = {
+  evaluate,
+  CalcError,
+};
@@ -0,0 +1,222 @@
+// lib/chunking.js – Split extracted text into chunks for embedding.
+//
+// Strategies (select per ingest request with `chunking`):
+//   structure  – default. Follows headings and sentence boundaries, sizes chunks by
+//                approximate tokens, overlaps consecutive chunks within a section.
+//   paragraph  – the original splitter: blank-line paragraphs, hard-sliced at 1000 chars.
+//   fixed      – plain token windows with overlap, ignoring structure.
+// CSV records are always packed whole (see packRecords).
+//
+// Every chunk is { content, section, page, index, tokens }.
+
+const { httpError } = require("./http");
+
+// bge-large-en-v1.5 reads at most 512 tokens; stay well under it.
+const DEFAULTS = { strategy: "structure", maxTokens: 400, overlap: 50 };
+const MIN_CHARS = 20;
+const STRATEGIES = ["structure", "paragraph", "fixed"];
+
+// ~4 characters per token for English BPE/WordPiece vocabularies; good enough for sizing.
+function estimateTokens(s) {
+  return Math.ceil(String(s || "").length / 4);
+}
+
+/* ---------------- options ---------------- */
+// Accepts { strategy, maxTokens, overlap } or a bare strategy name; clamps sizes to sane bounds.
+// No strategy means the default; an unknown one is a 400 (invalid_strategy) listing the valid ones.
+function chunkingOptions(input) {
+  const o = typeof input === "string" ? { strategy: input } : (input || {});
+  const name = String(o.strategy ?? "").trim().toLowerCase();
+  if (name && !STRATEGIES.includes(name)) {
+    throw httpError(400, `Unknown chunking strategy "${o.strategy}"; use one of: ${STRATEGIES.join(", ")}`, "invalid_strategy", { strategies: STRATEGIES });
+  }
+  const strategy = name || DEFAULTS.strategy;
+  const maxTokens = Number.isFinite(+o.maxTokens) && +o.maxTokens > 0
+    ? Math.max(64, Math.min(512, Math.round(+o.maxTokens)))
+    : DEFAULTS.maxTokens;
+  const overlap = Number.isFinite(+o.overlap) && +o.overlap >= 0
+    ? Math.min(Math.floor(maxTokens / 2), Math.round(+o.overlap))
+    : Math.min(DEFAULTS.overlap, Math.floor(maxTokens / 2));
+  return { strategy, maxTokens, overlap };
+}
+
+/* ---------------- structure detection ---------------- */
+// Markdown "#" headings (also produced by the HTML extractor), numbered headings
+// ("3.2 Calibration"), and short title-like lines in PDFs ("SAFETY THRESHOLDS").
+function headingOf(line, next) {
+  const t = line.trim();
+  const md = t.match(/^#{1,6}\s+(.+?)\s*#*$/);
+  if (md) return md[1];
+  if (t.length < 3 || t.length > 80 || /[.,;:!?]$/.test(t) || !/[a-z]/i.test(t)) return null;
+  if (!next || !next.trim()) {
+    if (/^(\d+(\.\d+)*|[IVX]+\.|[A-Z]\.)\s+\S/.test(t)) return t;
+    if (t === t.toUpperCase() && /[A-Z]{3}/.test(t) && t.split(/\s+/).length <= 8) return t;
+  }
+  return null;
+}
+
+function splitSentences(paragraph) {
+  return paragraph
+    .replace(/\s*\n\s*(?=[-*•]\s|\d+[.)]\s)/g, "\n") // keep list items on their own line
+    .split(/(?<=[.!?]["”')\]]?)\s+(?=["“(\[]?[A-Z0-9])|\n(?=[-*•]\s|\d+[.)]\s)/)
+    .map(s => s.replace(/\s*\n\s*/g, " ").trim())
+    .filter(Boolean);
+}
+
+// Sentences longer than the budget are split on word boundaries
+function splitLong(sentence, maxTokens) {
+  if (estimateTokens(sentence) <= maxTokens) return [sentence];
+  const out = [];
+  let cur = "";
+  for (const w of sentence.split(/\s+/)) {
+    if (cur && estimateTokens(cur + " " + w) > maxTokens) { out.push(cur); cur = ""; }
+    cur = cur ? cur + " " + w : w;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// → [{ text, section, page }] in reading order
+function toUnits(pages, maxTokens) {
+  const units = [];
+  let section = null;
+  pages.forEach((pageText, i) => {
+    const page = pages.length > 1 ? i + 1 : null;
+    const lines = String(pageText || "").split("\n");
+    let para = [];
+    const flush = () => {
+      const text = para.join("\n").trim();
+      para = [];
+      if (!text) return;
+      for (const s of splitSentences(text)) {
+        for (const piece of splitLong(s, maxTokens)) units.push({ text: piece, section, page });
+      }
+    };
+    for (let j = 0; j < lines.length; j++) {
+      const h = headingOf(lines[j], lines[j + 1]);
+      if (h) { flush(); section = h; continue; }
+      if (!lines[j].trim()) { flush(); continue; }
+      para.push(lines[j]);
+    }
+    flush();
+  });
+  return units;
+}
+
+/* ---------------- strategies ---------------- */
+function chunkStructure(pages, { maxTokens, overlap }) {
+  const units = toUnits(pages, maxTokens);
+  const chunks = [];
+  let cur = [];
+  let tokens = 0;
+
+  const emit = () => {
+    if (!cur.length) return;
+    const content = cur.map((u, k) => (k && /^([-*•]|\d+[.)])\s/.test(u.text) ? "\n" : k ? " " : "") + u.text).join("");
+    chunks.push({ content, section: cur[0].section, page: cur[0].page });
+  };
+
+  for (const u of units) {
+    const t = estimateTokens(u.text);
+    const sectionChanged = cur.length && u.section !== cur[0].section;
+    if (cur.length && (sectionChanged || tokens + t > maxTokens)) {
+      emit();
+      // Carry trailing sentences into the next chunk, but never across a section boundary
+      const carry = [];
+      let carried = 0;
+      if (!sectionChanged) {
+        for (let k = cur.length - 1; k >= 0; k--) {
+          const ct = estimateTokens(cur[k].text);
+          if (carried + ct > overlap || carried + ct + t > maxTokens) break;
+          carry.unshift(cur[k]);
+          carried += ct;
+        }
+      }
+      cur = carry;
+      tokens = carried;
+    }
+    cur.push(u);
+    tokens += t;
+  }
+  emit();
+  return chunks;
+}
+
+function chunkFixed(pages, { maxTokens, overlap }) {
+  const chunks = [];
+  const size = maxTokens * 4;
+  const step = Math.max(1, (maxTokens - overlap) * 4);
+  pages.forEach((pageText, i) => {
+    const text = String(pageText || "").replace(/\s+/g, " ").trim();
+    for (let start = 0; start < text.length; start += step) {
+      chunks.push({ content: text.slice(start, start + size), section: null, page: pages.length > 1 ? i + 1 : null });
+      if (start + size >= text.length) break;
+    }
+  });
+  return chunks;
+}
+
+// The original splitter, kept selectable for comparison
+const PARAGRAPH_SIZE = 1000; // chars
+function splitIntoChunks(raw) {
+  const paras = String(raw || "")
+    .split(/\n\s*\n/)
+    .map(s => s.trim())
+    .filter(Boolean);
+  const out = [];
+  for (const p of paras) {
+    if (p.length <= PARAGRAPH_SIZE) out.push(p);
+    else for (let i = 0; i < p.length; i += PARAGRAPH_SIZE) out.push(p.slice(i, i + PARAGRAPH_SIZE));
+  }
+  return out;
+}
+
+// Tabular records (CSV rows) are packed whole into chunks, never split across two
+function packRecords(records, maxTokens = DEFAULTS.maxTokens) {
+  const out = [];
+  let cur = "";
+  for (const rec of records) {
+    if (cur && estimateTokens(cur + "\n" + rec) > maxTokens) { out.push(cur); cur = ""; }
+    cur = cur ? cur + "\n" + rec : rec;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/* ---------------- entry point ---------------- */
+// extracted: { text, pages?, records? } from lib/extract.js
+function chunkDocument(extracted, options) {
+  const opts = chunkingOptions(options);
+  const pages = extracted.pages?.length ? extracted.pages : [extracted.text || ""];
+
+  let chunks;
+  if (extracted.records) {
+    chunks = packRecords(extracted.records, opts.maxTokens).map(content => ({ content, section: null, page: null }));
+  } else if (opts.strategy === "paragraph") {
+    chunks = pages.flatMap((p, i) =>
+      splitIntoChunks(p).map(content => ({ content, section: null, page: pages.length > 1 ? i + 1 : null })));
+  } else if (opts.strategy === "fixed") {
+    chunks = chunkFixed(pages, opts);
+  } else {
+    chunks = chunkStructure(pages, opts);
+  }
+
+  return chunks
+    .filter(c => c.content && c.content.length >= MIN_CHARS)
+    .map((c, index) => ({ ...c, index, tokens: estimateTokens(c.content) }));
+}
+
+// Text sent to the embedding model: the section title gives short fragments their context
+function embeddingInput(chunk) {
+  return chunk.section ? `${chunk.section}\n\n${chunk.content}` : chunk.content;
+}
+
+module.exports = {
+  chunkDocument,
+  chunkingOptions,
+  embeddingInput,
+  estimateTokens,
+  splitIntoChunks,
+  packRecords,
+  STRATEGIES,
+};
@@ -0,0 +1,90 @@
+// lib/citations.js – Numbered source markers for RAG answers.
+//
+// Retrieved chunks are put into the prompt as numbered blocks ("[1] Manual, p. 4 — Calibration"),
+// the model is told to cite them as [1], [2]…, and the answer is post-processed so that only
+// markers pointing at a real source survive. `sources` maps each marker back to its document.
+
+const SNIPPET_CHARS = 240;
+
+const CITATION_INSTRUCTIONS = [
+  "The CONTEXT is split into numbered sources like [1], [2].",
+  "When a sentence uses information from a source, cite it right after the sentence with its marker, e.g. [1] or [1][3].",
+  "Only cite the numbers that appear in the CONTEXT; never invent sources. Do not add a separate reference list.",
+].join("\n");
+
+function label(chunk) {
+  const parts = [chunk.docName || `Document ${chunk.docId}`];
+  if (chunk.page != null) parts.push(`p. ${chunk.page}`);
+  return parts.join(", ") + (chunk.section ? ` — ${chunk.section}` : "");
+}
+
+function snippet(text) {
+  const s = String(text || "").replace(/\s+/g, " ").trim();
+  if (s.length <= SNIPPET_CHARS) return s;
+  const cut = s.slice(0, SNIPPET_CHARS);
+  return cut.slice(0, Math.max(cut.lastIndexOf(" "), SNIPPET_CHARS / 2)) + "…";
+}
+
+// Chunks (best first) → prompt text with one numbered block per chunk
+function formatContext(chunks) {
+  return chunks.map((c, i) => `[${i + 1}] ${label(c)}\n${c.content}`).join("\n---\n");
+}
+
+// Marker number → source; the order matches formatContext. `start` numbers on from earlier sources
+// (document searches made by /api/ai-expert's tools).
+function buildSources(chunks, start = 1) {
+  return chunks.map((c, i) => ({
+    marker: start + i,
+    chunkId: c.id,
+    docId: c.docId,
+    document: c.docName || null,
+    page: c.page ?? null,
+    section: c.section || null,
+    chunkIndex: c.chunkIndex ?? null,
+    snippet: snippet(c.content),
+  }));
+}
+
+// "[1, 3]", "[2-4]" → [1, 3] / [2, 3, 4]
+function markerNumbers(inner) {
+  const out = [];
+  for (const part of inner.split(/\s*[,;]\s*/)) {
+    const range = part.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+    if (range) {
+      const [a, b] = [+range[1], +range[2]];
+      for (let n = a; n <= b && n - a < 20; n++) out.push(n);
+    } else out.push(+part);
+  }
+  return out;
+}
+
+// Removes markers that don't map to a source (keeps the valid numbers of a mixed "[1, 7]").
+// Code spans and blocks are left alone, as is anything glued to a word (arr[0]) or a link ([1](url)).
+// Returns { answer, sources } with each source flagged `cited`.
+function applyCitations(answer, sources) {
+  const valid = new Set(sources.map(s => s.marker));
+  const cited = new Set();
+  const strip = (prose) => prose.replace(
+    /( ?)(?<!\w)\[(\d{1,3}(?:\s*[,;–-]\s*\d{1,3})*)\](?!\()/g,
+    (m, space, inner) => {
+      const keep = markerNumbers(inner).filter(n => valid.has(n));
+      keep.forEach(n => cited.add(n));
+      return keep.length ? space + keep.map(n => `[${n}]`).join("") : "";
+    }
+  );
+  const text = String(answer || "")
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((part, i) => (i % 2 ? part : strip(part)))
+    .join("");
+  return {
+    answer: text,
+    sources: sources.map(s => ({ ...s, cited: cited.has(s.marker) })),
+  };
+}
+
+module.exports = {
+  CITATION_INSTRUCTIONS,
+  formatContext,
+  buildSources,
+  applyCitations,
+};
@@ -0,0 +1,290 @@
+// lib/commands.js – Slash-command registry.
+// Each command declares its name, aliases, argument schema and handler.
+// Used by /api/ai-expert before anything is sent to the LLM.
+
+const { getSkill, listSkills } = require("../api/skills");
+
+/*
+ * Command shape:
+ *   name     — "/name" triggers it
+ *   aliases  — alternative names
+ *   summary  — one line for /help
+ *   args     — positional args: { name, type: "int"|"string", required, rest }
+ *              (a `rest` arg swallows all remaining words)
+ *   flags    — inline flags: { size: { type: "size" }, seed: { type: "int" } } → "--size 1536x1024 --seed 42"
+ *   run(args, ctx, flags) — returns one of
+ *     { reply: { answer, ... } }                        answer directly, no LLM
+ *     { chat:  { question, skill?, context? } }         continue through the chat pipeline
+ *
+ * ctx: { req, userId, conversationId, options, db, generateImage(prompt, flags) }
+ */
+const COMMANDS = [];
+function defineCommand(def) {
+  COMMANDS.push({ aliases: [], args: [], flags: {}, ...def });
+}
+
+/* ---------------- parsing ---------------- */
+// Split on whitespace, keeping "quoted strings" together
+function tokenize(s) {
+  const out = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(s))) out.push(m[1] ?? m[2] ?? m[3]);
+  return out;
+}
+
+function parseCommand(raw) {
+  const m = String(raw || "").trim().match(/^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+  if (!m) return null;
+  return { name: m[1].toLowerCase(), argText: (m[2] || "").trim() };
+}
+
+const FLAG_TYPES = {
+  int:    (v) => (/^-?\d+$/.test(v) ? parseInt(v, 10) : undefined),
+  size:   (v) => (/^\d{2,4}(x\d{2,4})?$/i.test(v) ? v.toLowerCase() : undefined),
+  string: (v) => (v ? v : undefined),
+  bool:   () => true,
+};
+
+// Returns { args, flags } or { error }
+function bindArgs(cmd, argText) {
+  const tokens = tokenize(argText);
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const fm = tokens[i].match(/^--([a-z][\w-]*)(?:=(.*))?$/i);
+    if (!fm) { positional.push(tokens[i]); continue; }
+    const name = fm[1].toLowerCase();
+    const spec = cmd.flags[name];
+    if (!spec) return { error: `Unknown flag --${name}` };
+    let raw = fm[2];
+    if (spec.type !== "bool" && raw === undefined) raw = tokens[++i];
+    const val = FLAG_TYPES[spec.type || "string"](raw);
+    if (val === undefined) return { error: `Invalid value for --${name}: ${raw ?? "(missing)"}` };
+    flags[name] = val;
+  }
+
+  const args = {};
+  for (let i = 0; i < cmd.args.length; i++) {
+    const spec = cmd.args[i];
+    const raw = spec.rest ? positional.slice(i).join(" ") : positional[i];
+    if (!raw) {
+      if (spec.required) return { error: `Missing <${spec.name}>` };
+      continue;
+    }
+    if (spec.type === "int") {
+      if (!/^\d+$/.test(raw)) return { error: `<${spec.name}> must be a number` };
+      args[spec.name] = parseInt(raw, 10);
+    } else {
+      args[spec.name] = raw;
+    }
+  }
+  return { args, flags };
+}
+
+/* ---------------- lookup ---------------- */
+function findCommand(name) {
+  const n = String(name || "").toLowerCase().replace(/^\//, "");
+  return COMMANDS.find(c => c.name === n || c.aliases.includes(n)) || null;
+}
+
+function usage(cmd) {
+  const args = cmd.args.map(a => (a.required ? `<${a.name}>` : `[${a.name}]`));
+  const flags = Object.entries(cmd.flags).map(([k, v]) => `[--${k}${v.type === "bool" ? "" : ` <${v.type || "value"}>`}]`);
+  return ["/" + cmd.name, ...args, ...flags].join(" ");
+}
+
+function listCommands() {
+  return COMMANDS.map(c => ({ name: c.name, aliases: c.aliases, usage: usage(c), summary: c.summary }));
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+// Closest command names for a typo ("/sumarize" → "/summarize")
+function suggestCommands(name, max = 3) {
+  const n = String(name || "").toLowerCase();
+  return COMMANDS
+    .map(c => ({
+      name: c.name,
+      d: Math.min(...[c.name, ...c.aliases].map(x => (x.startsWith(n) || n.startsWith(x) ? 1 : editDistance(n, x)))),
+    }))
+    .filter(x => x.d <= 2)
+    .sort((a, b) => a.d - b.d)
+    .slice(0, max)
+    .map(x => "/" + x.name);
+}
+
+/* ---------------- built-ins ---------------- */
+function needsDb(ctx, fn) {
+  return !!ctx.db?.[fn];
+}
+const NO_DB = { reply: { answer: "Document storage isn’t configured on this server.", provider: "command" } };
+const NO_SESSION = { reply: { answer: "Sign in first so I know whose data to use.", provider: "command" } };
+
+async function loadDocContext(ctx, docId) {
+  const doc = await ctx.db.getDocument(docId, ctx.userId);
+  if (!doc) return null;
+  const chunks = await ctx.db.getDocumentChunks(docId, ctx.userId);
+  return { doc, context: chunks.join("\n---\n") };
+}
+
+defineCommand({
+  name: "help",
+  aliases: ["commands"],
+  summary: "List available commands, or show usage for one.",
+  args: [{ name: "command" }],
+  run: async ({ command }) => {
+    if (command) {
+      const cmd = findCommand(command);
+      if (!cmd) return { error: `Unknown command "/${command.replace(/^\//, "")}"`, code: "unknown_command", suggestions: suggestCommands(command.replace(/^\//, "")) };
+      return { reply: { answer: `\`${usage(cmd)}\` — ${cmd.summary}`, provider: "command" } };
+    }
+    const lines = COMMANDS.map(c => `- \`${usage(c)}\` — ${c.summary}`);
+    return { reply: { answer: "**Commands:**\n" + lines.join("\n"), provider: "command", commands: listCommands() } };
+  },
+});
+
+defineCommand({
+  name: "docs",
+  aliases: ["documents", "ls"],
+  summary: "List your ingested documents.",
+  run: async (_args, ctx) => {
+    if (!needsDb(ctx, "listDocuments")) return NO_DB;
+    if (!ctx.userId) return NO_SESSION;
+    const docs = await ctx.db.listDocuments(ctx.userId);
+    if (!docs.length) return { reply: { answer: "You don’t have any documents yet. Upload one via /api/ingest.", provider: "command", documents: [] } };
+    const lines = docs.map(d => `- **${d.name}** (id ${d.id})`);
+    return { reply: { answer: "**Your documents:**\n" + lines.join("\n"), provider: "command", documents: docs } };
+  },
+});
+
+defineCommand({
+  name: "summarize",
+  aliases: ["summarise", "tldr"],
+  summary: "Summarize one of your documents.",
+  args: [{ name: "docId", type: "int", required: true }],
+  run: async ({ docId }, ctx) => {
+    if (!needsDb(ctx, "getDocumentChunks")) return NO_DB;
+    if (!ctx.userId) return NO_SESSION;
+    const loaded = await loadDocContext(ctx, docId);
+    if (!loaded) return { error: `Document ${docId} not found`, code: "not_found", status: 404 };
+    return { chat: { question: `Summarize the document "${loaded.doc.name}".`, skill: "summarize", context: loaded.context } };
+  },
+});
+
+defineCommand({
+  name: "doc",
+  aliases: ["ask-doc"],
+  summary: "Ask a question about one specific document.",
+  args: [{ name: "docId", type: "int", required: true }, { name: "question", required: true, rest: true }],
+  run: async ({ docId, question }, ctx) => {
+    if (!needsDb(ctx, "getDocumentChunks")) return NO_DB;
+    if (!ctx.userId) return NO_SESSION;
+    const loaded = await loadDocContext(ctx, docId);
+    if (!loaded) return { error: `Document ${docId} not found`, code: "not_found", status: 404 };
+    return { chat: { question, context: loaded.context } };
+  },
+});
+
+defineCommand({
+  name: "forget",
+  aliases: ["reset", "clear"],
+  summary: "Clear this conversation’s memory.",
+  run: async (_args, ctx) => {
+    if (!needsDb(ctx, "clearMessages")) return NO_DB;
+    if (!ctx.userId) return NO_SESSION;
+    const removed = await ctx.db.clearMessages(ctx.userId, ctx.conversationId || null);
+    return { reply: { answer: "Done — I’ve forgotten our conversation so far. 🧹", provider: "command", removed } };
+  },
+});
+
+defineCommand({
+  name: "skill",
+  aliases: ["as"],
+  summary: "Answer using a specific skill (run /skill alone to list them).",
+  args: [{ name: "id" }, { name: "question", rest: true }],
+  run: async ({ id, question }) => {
+    if (!id) {
+      return { reply: { answer: "**Skills:** " + listSkills().map(s => "`" + s + "`").join(", "), provider: "command", skills: listSkills() } };
+    }
+    if (!getSkill(id)) return { error: `Unknown skill "${id}"`, code: "unknown_skill", suggestions: listSkills() };
+    if (!question) return { error: "Missing <question>", code: "invalid_arguments" };
+    return { chat: { question, skill: id } };
+  },
+});
+
+defineCommand({
+  name: "gen",
+  aliases: ["generate", "image", "img"],
+  summary: "Generate an image.",
+  args: [{ name: "prompt", required: true, rest: true }],
+  flags: { size: { type: "size" }, seed: { type: "int" }, steps: { type: "int" }, provider: { type: "string" }, model: { type: "string" } },
+  run: async ({ prompt }, ctx, flags) => {
+    try {
+      return { reply: await ctx.generateImage(prompt, flags) };
+    } catch (err) {
+      // Our own refusals (rate limit, quota, bad flags) reach the client; only a failed generation gets the fallback
+      if (err?.statusCode && err.code !== "image_generation_failed") throw err;
+      return { reply: { answer: "All set! I tried to create an image but hit a hiccup. Try again with a short, specific prompt?", provider: "image-fallback" } };
+    }
+  },
+});
+
+defineCommand({
+  name: "browse",
+  summary: "Browse the web (not available yet).",
+  args: [{ name: "query", rest: true }],
+  run: async () => ({
+    reply: { answer: "Sure — I can’t browse right now, but if you paste text or a link I can analyze it for you.", provider: "none" },
+  }),
+});
+
+/* ---------------- entry point ---------------- */
+// Returns null if `raw` is not a slash command, otherwise one of
+//   { type: "reply", command, body }
+//   { type: "chat",  command, chat: { question, skill?, context? } }
+//   { type: "error", command, status, body: { error, code, usage?, suggestions? } }
+async function runCommand(raw, ctx) {
+  const parsed = parseCommand(raw);
+  if (!parsed) return null;
+
+  const cmd = findCommand(parsed.name);
+  if (!cmd) {
+    return {
+      type: "error",
+      command: parsed.name,
+      status: 400,
+      body: {
+        error: `Unknown command "/${parsed.name}"`,
+        code: "unknown_command",
+        suggestions: suggestCommands(parsed.name),
+        hint: "Type /help to see available commands.",
+      },
+    };
+  }
+
+  const bound = bindArgs(cmd, parsed.argText);
+  if (bound.error) {
+    return { type: "error", command: cmd.name, status: 400, body: { error: bound.error, code: "invalid_arguments", usage: usage(cmd) } };
+  }
+
+  const out = await cmd.run(bound.args, ctx, bound.flags);
+  if (out.error) {
+    const { status = 400, ...body } = out;
+    return { type: "error", command: cmd.name, status, body };
+  }
+  if (out.chat) return { type: "chat", command: cmd.name, chat: out.chat };
+  return { type: "reply", command: cmd.name, body: { ...out.reply, command: cmd.name } };
+}
+
+module.exports = { runCommand, parseCommand, tokenize, bindArgs, findCommand, listCommands, suggestCommands, defineCommand };
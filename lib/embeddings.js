@@ -0,0 +1,80 @@
+// lib/embeddings.js – Embeddings through lib/providers (the "embed" provider, DeepInfra by default),
+// batched with retry/backoff.
+// The vector columns are 1024 dims: a different embed model must have the same dimensions and
+// means re-embedding every document.
+
+const { embed, providerFor, modelFor, isConfigured } = require("./providers");
+
+const EMBED_PROVIDER = providerFor("embed");
+const EMBED_MODEL = modelFor(EMBED_PROVIDER, "embed"); // BAAI/bge-large-en-v1.5, 1024 dims
+
+const EMBED_BATCH_SIZE  = +(process.env.EMBED_BATCH_SIZE || 32);
+const EMBED_CONCURRENCY = +(process.env.EMBED_CONCURRENCY || 4);
+const EMBED_MAX_RETRIES = +(process.env.EMBED_MAX_RETRIES || 4);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Exponential backoff with jitter; honours Retry-After (seconds) when the server sends it
+function backoffMs(attempt, retryAfter) {
+  const ra = parseFloat(retryAfter);
+  if (Number.isFinite(ra) && ra >= 0) return Math.min(ra * 1000, 30000);
+  const base = 500 * 2 ** attempt;
+  return Math.min(base + Math.random() * base, 15000);
+}
+
+// Embed many texts in one request. Rate limits, timeouts, 5xx and network failures are retried
+// (ProviderError.retryable); a bad key or request, or the caller aborting, is not.
+async function embedBatch(texts, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await embed({ provider: EMBED_PROVIDER, model: EMBED_MODEL, texts, signal });
+    } catch (err) {
+      if (!err?.retryable || attempt >= EMBED_MAX_RETRIES || signal?.aborted) throw err;
+      await sleep(backoffMs(attempt, err.retryAfter));
+    }
+  }
+}
+
+// Whether embeddings can be computed at all (the embed provider has its key)
+function embeddingsEnabled() {
+  return isConfigured(EMBED_PROVIDER);
+}
+
+async function embedText(text, signal) {
+  const [vec] = await embedBatch([text], signal);
+  return vec;
+}
+
+// Run fn over items with at most `limit` in flight; results keep input order.
+// After the first failure no new items are started and the error is rethrown.
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try { out[i] = await fn(items[i], i); }
+      catch (err) { failed = true; throw err; }
+    }
+  });
+  await Promise.all(workers);
+  return out;
+}
+
+// pgvector literal for a query parameter ($n::vector)
+function toVectorLiteral(vec) {
+  return "[" + vec.join(",") + "]";
+}
+
+module.exports = {
+  EMBED_MODEL,
+  EMBED_PROVIDER,
+  EMBED_BATCH_SIZE,
+  EMBED_CONCURRENCY,
+  embedText,
+  embedBatch,
+  embeddingsEnabled,
+  mapLimit,
+  toVectorLiteral,
+};
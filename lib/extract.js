@@ -0,0 +1,211 @@
+// lib/extract.js – Content-type detection and per-format text extraction for ingestion.
+// Formats: pdf, docx, markdown, html, text, csv.
+
+const path = require("path");
+
+const EXT_FORMATS = {
+  ".pdf": "pdf",
+  ".docx": "docx",
+  ".md": "markdown", ".markdown": "markdown", ".mdx": "markdown",
+  ".html": "html", ".htm": "html", ".xhtml": "html",
+  ".txt": "text", ".text": "text", ".log": "text",
+  ".csv": "csv", ".tsv": "csv",
+};
+
+const MIME_FORMATS = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "text/markdown": "markdown", "text/x-markdown": "markdown",
+  "text/html": "html", "application/xhtml+xml": "html",
+  "text/plain": "text",
+  "text/csv": "csv", "application/csv": "csv", "text/tab-separated-values": "csv",
+};
+
+const FORMAT_EXTENSIONS = { pdf: ".pdf", docx: ".docx", markdown: ".md", html: ".html", text: ".txt", csv: ".csv" };
+
+/* ---------------- detection ---------------- */
+function sniff(buf) {
+  if (!buf || !buf.length) return null;
+  if (buf.slice(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  // DOCX is a ZIP (PK\x03\x04) whose entries live under word/
+  if (buf[0] === 0x50 && buf[1] === 0x4b && buf[2] === 0x03 && buf[3] === 0x04) {
+    return buf.includes("word/") ? "docx" : "zip";
+  }
+  const head = buf.slice(0, 1024).toString("utf8").replace(/^\uFEFF/, "").trimStart().toLowerCase();
+  if (head.startsWith("<!doctype html") || head.startsWith("<html") || /<(head|body)[\s>]/.test(head)) return "html";
+  return null;
+}
+
+// Decide the format of an upload. Magic bytes win for binary formats (clients often send
+// application/octet-stream), then an explicit content type, then the file extension.
+function detectFormat({ buffer, contentType, filename }) {
+  const sniffed = sniff(buffer);
+  if (sniffed === "pdf" || sniffed === "docx") return sniffed;
+  if (sniffed === "zip") return null;
+
+  const mime = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (MIME_FORMATS[mime]) return MIME_FORMATS[mime];
+
+  const ext = path.extname(String(filename || "").split("?")[0]).toLowerCase();
+  if (EXT_FORMATS[ext]) return EXT_FORMATS[ext];
+
+  if (sniffed) return sniffed;
+  // Unknown but decodes as text → plain text
+  if (buffer && !buffer.slice(0, 4096).includes(0)) return "text";
+  return null;
+}
+
+/* ---------------- helpers ---------------- */
+function decodeText(buf) {
+  return Buffer.from(buf).toString("utf8").replace(/^\uFEFF/, "");
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", mdash: "—", ndash: "–", hellip: "…", copy: "©", reg: "®" };
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function tidy(s) {
+  return s
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/* ---------------- extractors ---------------- */
+// Renders page by page (same line-joining as pdf-parse's default renderer) so chunks can carry page numbers
+async function extractPdf(buf) {
+  const pdfParse = require("pdf-parse");
+  const pages = [];
+  const parsed = await pdfParse(buf, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY, text = "";
+      for (const item of content.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : "\n" + item.str;
+        lastY = item.transform[5];
+      }
+      pages.push(text);
+      return text;
+    },
+  });
+  return { text: (parsed.text || "").trim(), pages, meta: { pages: parsed.numpages } };
+}
+
+async function extractDocx(buf) {
+  const mammoth = require("mammoth");
+  const out = await mammoth.extractRawText({ buffer: buf });
+  return { text: tidy(out.value || ""), meta: {} };
+}
+
+function extractMarkdown(buf) {
+  const text = decodeText(buf)
+    .replace(/^---\n[\s\S]*?\n---\n/, "")           // front matter
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")       // images → alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")        // links → link text
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/^```[^\n]*$/gm, "");                  // keep code, drop fences
+  return { text: tidy(text), meta: {} };
+}
+
+// Boilerplate stripping: drop non-content elements, prefer <main>/<article> when present,
+// keep headings as Markdown "#" lines so chunking can still see the document structure.
+function extractHtml(buf) {
+  let html = decodeText(buf);
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+
+  html = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|canvas|iframe|nav|header|footer|aside|form|button|select)\b[\s\S]*?<\/\1>/gi, "");
+
+  const main = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i) || html.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i);
+  if (main) html = main[1];
+  else html = (html.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i) || [null, html])[1];
+
+  const text = html
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, n, inner) => `\n\n${"#".repeat(+n)} ${inner.replace(/<[^>]+>/g, "").trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<(td|th)\b[^>]*>/gi, " | ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|main|ul|ol|table|tr|blockquote|pre|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+
+  return { text: tidy(decodeEntities(text)), meta: title ? { title: tidy(decodeEntities(title)) } : {} };
+}
+
+function extractText(buf) {
+  return { text: tidy(decodeText(buf)), meta: {} };
+}
+
+// RFC 4180-ish parser: quoted fields, doubled quotes, newlines inside quotes
+function parseCsv(src, delim) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === "\"" && src[i + 1] === "\"") { field += "\""; i++; }
+      else if (c === "\"") quoted = false;
+      else field += c;
+    } else if (c === "\"" && field === "") quoted = true;
+    else if (c === delim) { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+  return rows;
+}
+
+// Each data row becomes one record ("column: value; ...") so rows are never split mid-way
+function extractCsv(buf, filename) {
+  const src = decodeText(buf);
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delim = /\.tsv$/i.test(filename || "") ? "\t"
+    : [",", ";", "\t"].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+  const rows = parseCsv(src, delim);
+  if (!rows.length) return { text: "", records: [], meta: { rows: 0 } };
+  const header = rows[0].map((h, i) => h.trim() || `column_${i + 1}`);
+  const records = rows.slice(1).map(r =>
+    header.map((h, i) => (r[i] ?? "").trim() ? `${h}: ${r[i].trim()}` : null).filter(Boolean).join("; ")
+  ).filter(Boolean);
+
+  return { text: records.join("\n"), records, meta: { rows: records.length, columns: header } };
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  markdown: extractMarkdown,
+  html: extractHtml,
+  text: extractText,
+  csv: extractCsv,
+};
+
+// Returns { format, text, pages?, records?, meta }
+async function extract({ buffer, contentType, filename, format }) {
+  const fmt = format || detectFormat({ buffer, contentType, filename });
+  const fn = EXTRACTORS[fmt];
+  if (!fn) {
+    const err = new Error(`Unsupported content type${contentType ? ` "${contentType}"` : ""}${filename ? ` for ${filename}` : ""}.`);
+    err.statusCode = 415;
+    throw err;
+  }
+  const out = await fn(buffer, filename);
+  return { format: fmt, ...out, meta: { format: fmt, ...out.meta } };
+}
+
+module.exports = { detectFormat, extract, FORMAT_EXTENSIONS, SUPPORTED_FORMATS: Object.keys(EXTRACTORS) };
@@ -0,0 +1,109 @@
+// lib/filters.js – Document metadata (collection, tags, JSON metadata) and retrieval filters.
+//
+// Filters (all optional, combined with AND), accepted by /api/ask and /api/ai-expert as
+// options.filters and by /api/docs.json as query parameters:
+//   collection  "aavss" or ["aavss", "sl-dataset"]  – document is in one of these collections
+//   tags        ["lidar", "safety"] or "lidar,safety" – document has every tag
+//   anyTags     same shapes                          – document has at least one of the tags
+//   docIds      [12, 15] or "12,15"                  – only these documents (any of their versions)
+//   from / to   ISO dates                            – document created_at range (inclusive)
+//   metadata    { "site": "Colombo" }                – JSON containment on documents.metadata
+// The clauses are applied inside the retrieval SQL (alias d = documents).
+
+const MAX_LIST = 50;
+const TAG_RE = /^[\p{L}\p{N}][\p{L}\p{N} _.:\/-]{0,63}$/u;
+
+function filterError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function list(v) {
+  if (v == null || v === "") return [];
+  const arr = Array.isArray(v) ? v : String(v).split(",");
+  return arr.map(x => String(x).trim()).filter(Boolean);
+}
+
+// Tags are matched case-insensitively, so they are stored lower-case
+function normalizeTags(v, field = "tags") {
+  const tags = [...new Set(list(v).map(t => t.toLowerCase()))];
+  if (tags.length > MAX_LIST) throw filterError(`${field}: at most ${MAX_LIST} tags`);
+  const bad = tags.find(t => !TAG_RE.test(t));
+  if (bad) throw filterError(`${field}: invalid tag "${bad}"`);
+  return tags;
+}
+
+function normalizeCollection(v) {
+  if (v == null || v === "") return null;
+  const c = String(v).trim().toLowerCase();
+  if (!TAG_RE.test(c)) throw filterError(`collection: invalid name "${v}"`);
+  return c;
+}
+
+function normalizeMetadata(v, field = "metadata") {
+  if (v == null || v === "") return null;
+  let m = v;
+  if (typeof m === "string") {
+    try { m = JSON.parse(m); } catch { throw filterError(`${field} must be a JSON object`); }
+  }
+  if (!m || typeof m !== "object" || Array.isArray(m)) throw filterError(`${field} must be a JSON object`);
+  if (JSON.stringify(m).length > 8192) throw filterError(`${field} is too large (8 KB max)`);
+  return m;
+}
+
+function date(v, field) {
+  if (v == null || v === "") return null;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw filterError(`${field} must be a date`);
+  // A bare date as the upper bound includes that whole day
+  if (field === "to" && /^\d{4}-\d{2}-\d{2}$/.test(String(v).trim())) d.setUTCHours(23, 59, 59, 999);
+  return d.toISOString();
+}
+
+// Validates and normalises filter input (throws 400 errors); returns null when nothing is set
+function parseFilters(input) {
+  const o = input || {};
+  const collections = list(o.collection).map(normalizeCollection);
+  const docIds = list(o.docIds ?? o.docId);
+  if (docIds.some(id => !/^\d+$/.test(id))) throw filterError("docIds must be document ids");
+  if (docIds.length > MAX_LIST) throw filterError(`docIds: at most ${MAX_LIST} ids`);
+
+  const f = {
+    collections,
+    tags: normalizeTags(o.tags),
+    anyTags: normalizeTags(o.anyTags, "anyTags"),
+    docIds,
+    from: date(o.from, "from"),
+    to: date(o.to, "to"),
+    metadata: normalizeMetadata(o.metadata),
+  };
+  const empty = !f.collections.length && !f.tags.length && !f.anyTags.length && !f.docIds.length
+    && !f.from && !f.to && !f.metadata;
+  return empty ? null : f;
+}
+
+// Appends the filter values to `params` and returns the matching " AND ..." SQL
+function filterSql(f, params, alias = "d") {
+  if (!f) return "";
+  const clauses = [];
+  const p = (v) => { params.push(v); return `$${params.length}`; };
+  if (f.collections.length) clauses.push(`${alias}.collection = ANY(${p(f.collections)}::text[])`);
+  if (f.tags.length) clauses.push(`${alias}.tags @> ${p(f.tags)}::text[]`);
+  if (f.anyTags.length) clauses.push(`${alias}.tags && ${p(f.anyTags)}::text[]`);
+  if (f.docIds.length) {
+    clauses.push(`${alias}.lineage_id IN (SELECT lineage_id FROM documents WHERE id = ANY(${p(f.docIds)}::bigint[]))`);
+  }
+  if (f.from) clauses.push(`${alias}.created_at >= ${p(f.from)}::timestamptz`);
+  if (f.to) clauses.push(`${alias}.created_at <= ${p(f.to)}::timestamptz`);
+  if (f.metadata) clauses.push(`${alias}.metadata @> ${p(JSON.stringify(f.metadata))}::jsonb`);
+  return clauses.map(c => ` AND ${c}`).join("");
+}
+
+module.exports = {
+  parseFilters,
+  filterSql,
+  normalizeTags,
+  normalizeCollection,
+  normalizeMetadata,
+};
@@ -0,0 +1,273 @@
+// lib/http.js – Request pipeline shared by every endpoint: CORS and preflight, method checks,
+// request ids, body parsing with size limits, and structured JSON errors.
+//
+//   Node handlers:  export default withApi(async (req, res, ctx) => { … }, { methods: ["GET", "POST"] })
+//   Edge handlers:  export default withEdgeApi(async (request, ctx) => { … }, { methods: ["POST"] })
+//
+// Errors: throw httpError(status, message, code?, details?) – or any Error with `statusCode` – and the
+// pipeline answers { error, code, requestId, ...details }, plus any `err.headers` (e.g. Retry-After). Codes are stable strings clients can switch
+// on (ERROR_CODES below, or a more specific one such as "invalid_json"). Unexpected errors are a 500
+// "internal_error" and are logged with the request id.
+//
+// CORS: CORS_ORIGINS (comma-separated; empty allows any origin). Every response carries X-Request-Id
+// (the caller's own X-Request-Id when it is a sane token, otherwise a new one).
+// Body limits: API_MAX_JSON_BYTES (1 MB) unless the route sets maxBytes.
+//
+// No Node-only APIs at module level: the Edge runtime loads this file too.
+
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "upstream_error",
+  503: "unavailable",
+  504: "upstream_timeout",
+};
+const BASE_ALLOW_HEADERS = ["Content-Type", "Authorization", "X-Api-Key", "X-User-Id", "X-Request-Id"];
+const MAX_JSON_BYTES = +(process.env.API_MAX_JSON_BYTES || 1024 * 1024);
+const MAX_PARTS = 50;
+
+/* ---------------- errors ---------------- */
+function httpError(statusCode, message, code = null, details = null) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (code) err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Status of a thrown error: its statusCode, 504 for a timed-out upstream call, else 500
+function errorStatus(err) {
+  if (err?.statusCode >= 400 && err.statusCode < 600) return err.statusCode;
+  if (err?.name === "AbortError") return 504;
+  return 500;
+}
+
+// → { error, code, requestId, ...details }. Only errors raised on purpose (with a statusCode) may carry
+// their own code – driver errors such as pg's "23505" never leak as API codes.
+function errorBody(err, requestId) {
+  const status = errorStatus(err);
+  const own = err?.statusCode && typeof err.code === "string" && /^[a-z][a-z0-9_]*$/.test(err.code) ? err.code : null;
+  const message = status === 504 && err?.name === "AbortError" ? "Upstream request timed out" : err?.message || "Server error";
+  return { error: message, code: own || ERROR_CODES[status] || "error", ...(requestId ? { requestId } : {}), ...(err?.details || {}) };
+}
+
+/* ---------------- CORS / request id ---------------- */
+function allowedOrigins() {
+  return (process.env.CORS_ORIGINS || "").split(",").map(s => s.trim().replace(/\/+$/, "")).filter(Boolean);
+}
+
+// methods: the route's methods (OPTIONS is added); allowHeaders: request headers beyond the base set
+function corsHeaders(origin, { methods = ["POST"], allowHeaders = [] } = {}) {
+  const allowed = allowedOrigins();
+  const o = (origin || "").replace(/\/+$/, "");
+  const ok = !origin || allowed.length === 0 || allowed.includes(o);
+  return {
+    ...(ok ? { "Access-Control-Allow-Origin": origin || "*" } : {}),
+    ...(origin && allowed.length ? { Vary: "Origin" } : {}),
+    "Access-Control-Allow-Methods": [...methods, "OPTIONS"].join(", "),
+    "Access-Control-Allow-Headers": [...BASE_ALLOW_HEADERS, ...allowHeaders].join(", "),
+    "Access-Control-Expose-Headers": "X-Request-Id, Location",
+    "Access-Control-Max-Age": "600",
+    "Cache-Control": "no-store",
+    "Content-Type": "application/json; charset=utf-8",
+  };
+}
+
+function newRequestId(incoming) {
+  const id = String(incoming || "");
+  if (/^[\w.:-]{8,128}$/.test(id)) return id;
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+}
+
+/* ---------------- Node: responses ---------------- */
+// JSON response. Error bodies ({ error }) without a code get one, plus the request id from the headers.
+function send(res, status, headers, obj) {
+  let body = obj;
+  if (status >= 400 && body && body.error && !body.code) {
+    body = { ...body, code: ERROR_CODES[status] || "error", ...(headers?.["X-Request-Id"] ? { requestId: headers["X-Request-Id"] } : {}) };
+  }
+  try { res.writeHead(status, headers); } catch {}
+  res.end(body == null ? "" : JSON.stringify(body));
+}
+
+// Work that finishes after the response was sent (memory, titles). Vercel keeps the function alive for
+// it through waitUntil; elsewhere the process simply stays up. Failures are logged, never thrown.
+function afterResponse(task) {
+  const done = Promise.resolve().then(task).catch((err) => console.warn("[http] background task failed:", err?.message || err));
+  try { require("@vercel/functions").waitUntil(done); } catch { /* not on Vercel */ }
+  return done;
+}
+
+/* ---------------- Node: bodies ---------------- */
+function tooLarge(maxBytes, what = "Request body") {
+  const limit = maxBytes >= 1024 * 1024 ? `${+(maxBytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(maxBytes / 1024)} KB`;
+  return httpError(413, `${what} too large (${limit} max)`);
+}
+
+// Raw body as a Buffer, at most maxBytes (413 beyond that)
+async function readRaw(req, { maxBytes = MAX_JSON_BYTES } = {}) {
+  if (+req.headers["content-length"] > maxBytes) throw tooLarge(maxBytes);
+  const bufs = [];
+  let size = 0;
+  for await (const ch of req) {
+    size += ch.length;
+    if (size > maxBytes) throw tooLarge(maxBytes);
+    bufs.push(ch);
+  }
+  return Buffer.concat(bufs);
+}
+
+// JSON object body ({} when empty). Uses the platform's pre-parsed req.body when there is one.
+async function readJson(req, { maxBytes = MAX_JSON_BYTES } = {}) {
+  if (+req.headers["content-length"] > maxBytes) throw tooLarge(maxBytes);
+  let pre;
+  try { pre = req.body; }
+  catch { throw httpError(400, "Invalid JSON body", "invalid_json"); }
+  let raw;
+  if (pre && typeof pre === "object" && !Buffer.isBuffer(pre)) return pre;
+  if (typeof pre === "string") raw = pre;
+  else if (Buffer.isBuffer(pre)) raw = pre.toString("utf8");
+  else raw = (await readRaw(req, { maxBytes })).toString("utf8");
+  if (!raw.trim()) return {};
+  try {
+    const json = JSON.parse(raw);
+    if (!json || typeof json !== "object" || Array.isArray(json)) throw new Error("not an object");
+    return json;
+  } catch {
+    throw httpError(400, "Invalid JSON body", "invalid_json");
+  }
+}
+
+function headerParam(value, name) {
+  const m = String(value || "").match(new RegExp(`(?:^|;)\\s*${name}="?([^";]*)"?`, "i"));
+  return m ? m[1] : null;
+}
+
+// multipart/form-data → { fields: { name: value }, files: [{ field, filename, contentType, data }] }
+function parseMultipart(buffer, contentType) {
+  const boundary = headerParam(contentType, "boundary");
+  if (!boundary) throw httpError(400, "Multipart body without a boundary", "invalid_multipart");
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {}, files = [];
+  let pos = buffer.indexOf(delimiter);
+  if (pos < 0) throw httpError(400, "Malformed multipart body", "invalid_multipart");
+  for (let n = 0; n <= MAX_PARTS; n++) {
+    pos += delimiter.length;
+    if (buffer.slice(pos, pos + 2).toString() === "--") return { fields, files };
+    if (n === MAX_PARTS) break;
+    const headEnd = buffer.indexOf("\r\n\r\n", pos);
+    const next = buffer.indexOf(Buffer.concat([Buffer.from("\r\n"), delimiter]), headEnd);
+    if (headEnd < 0 || next < 0) throw httpError(400, "Malformed multipart body", "invalid_multipart");
+    const head = buffer.slice(pos, headEnd).toString("utf8");
+    const data = buffer.slice(headEnd + 4, next);
+    const disposition = (head.match(/content-disposition:([^\r\n]*)/i) || [])[1] || "";
+    const field = headerParam(disposition, "name");
+    const filename = headerParam(disposition, "filename");
+    if (filename != null) {
+      files.push({ field, filename, contentType: ((head.match(/content-type:([^\r\n]*)/i) || [])[1] || "").trim(), data });
+    } else if (field) {
+      fields[field] = data.toString("utf8");
+    }
+    pos = next + 2;
+  }
+  throw httpError(413, `Too many multipart parts (${MAX_PARTS} max)`);
+}
+
+async function readMultipart(req, { maxBytes = MAX_JSON_BYTES } = {}) {
+  return parseMultipart(await readRaw(req, { maxBytes }), req.headers["content-type"]);
+}
+
+/* ---------------- Node: pipeline ---------------- */
+// Wraps a Node handler (req, res, ctx). ctx: { requestId, headers, send(status, obj, extraHeaders?) }.
+// Options: methods (405 otherwise), allowHeaders (extra CORS request headers).
+function withApi(fn, { methods = ["POST"], allowHeaders = [] } = {}) {
+  return async function handler(req, res) {
+    const requestId = newRequestId(req.headers["x-request-id"]);
+    const headers = { ...corsHeaders(req.headers.origin || req.headers.Origin, { methods, allowHeaders }), "X-Request-Id": requestId };
+    if (req.method === "OPTIONS") return send(res, 204, headers, null);
+    if (!methods.includes(req.method)) {
+      return send(res, 405, { ...headers, Allow: methods.join(", ") }, { error: `${methods.join(" or ")} only` });
+    }
+
+    const ctx = {
+      requestId,
+      headers,
+      send: (status, obj, extra) => send(res, status, extra ? { ...headers, ...extra } : headers, obj),
+    };
+    try {
+      return await fn(req, res, ctx);
+    } catch (err) {
+      const status = errorStatus(err);
+      if (status >= 500) console.error(`[api] ${req.method} ${req.url} (${requestId}):`, err);
+      if (res.headersSent) { try { res.end(); } catch {} return; }
+      return send(res, status, { ...headers, ...err?.headers }, errorBody(err, requestId));
+    }
+  };
+}
+
+/* ---------------- Edge ---------------- */
+// Wraps an Edge handler (request, ctx) → Response. ctx: { requestId, headers, json(status, obj),
+// readJson({ maxBytes }) }.
+function withEdgeApi(fn, { methods = ["POST"], allowHeaders = [] } = {}) {
+  return async function handler(request) {
+    const requestId = newRequestId(request.headers.get("x-request-id"));
+    const headers = { ...corsHeaders(request.headers.get("origin") || undefined, { methods, allowHeaders }), "X-Request-Id": requestId };
+    const json = (status, obj) => {
+      let body = obj;
+      if (status >= 400 && body?.error && !body.code) body = { ...body, code: ERROR_CODES[status] || "error", requestId };
+      return new Response(body == null ? null : JSON.stringify(body), { status, headers });
+    };
+    if (request.method === "OPTIONS") return new Response(null, { status: 204, headers });
+    if (!methods.includes(request.method)) {
+      return new Response(JSON.stringify({ error: `${methods.join(" or ")} only`, code: ERROR_CODES[405], requestId }),
+        { status: 405, headers: { ...headers, Allow: methods.join(", ") } });
+    }
+
+    const readJsonBody = async ({ maxBytes = MAX_JSON_BYTES } = {}) => {
+      if (+request.headers.get("content-length") > maxBytes) throw tooLarge(maxBytes);
+      const raw = await request.text();
+      if (new TextEncoder().encode(raw).length > maxBytes) throw tooLarge(maxBytes);
+      if (!raw.trim()) return {};
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error("not an object");
+        return body;
+      } catch {
+        throw httpError(400, "Invalid JSON body", "invalid_json");
+      }
+    };
+
+    try {
+      return await fn(request, { requestId, headers, json, readJson: readJsonBody });
+    } catch (err) {
+      const status = errorStatus(err);
+      if (status >= 500) console.error(`[api] ${request.method} ${request.url} (${requestId}):`, err);
+      return new Response(JSON.stringify(errorBody(err, requestId)), { status, headers: { ...headers, ...err?.headers } });
+    }
+  };
+}
+
+module.exports = {
+  withApi,
+  withEdgeApi,
+  httpError,
+  errorBody,
+  corsHeaders,
+  send,
+  afterResponse,
+  readRaw,
+  readJson,
+  tooLarge,
+  readMultipart,
+  parseMultipart,
+  ERROR_CODES,
+};
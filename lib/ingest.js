@@ -0,0 +1,407 @@
+// lib/ingest.js – Shared ingestion pipeline: extract text, chunk, embed (DeepInfra), store to Neon (pgvector).
+// Used by /api/ingest (and its /api/ingest-pdf alias).
+//
+// Chunk rows are written up front (embeddings NULL), then embedded in batches with bounded
+// concurrency. documents.status moves pending → processing → ready | failed, and
+// chunks_done/chunks_total track progress, so an interrupted ingest can be resumed:
+// resumeDocument() only embeds the rows that still have no embedding.
+//
+// Duplicates and versions: documents and chunks carry a SHA-256 content_hash. Ingesting text that
+// is already stored returns the existing document (mode "skip", the default). Mode "replace"
+// builds a new version next to the current one and swaps it in atomically once it is ready
+// (promoteVersion); chunks whose text is unchanged reuse the previous version's embeddings.
+// Mode "new" always stores a separate document.
+
+const crypto = require("crypto");
+const { pool } = require("../db");
+const { extract } = require("./extract");
+const { embedBatch, mapLimit, toVectorLiteral, EMBED_BATCH_SIZE, EMBED_CONCURRENCY } = require("./embeddings");
+const { chunkDocument, chunkingOptions, embeddingInput } = require("./chunking");
+const { normalizeTags, normalizeCollection, normalizeMetadata } = require("./filters");
+const { fetchRemote, readBody, checkUrl } = require("./remote");
+const { publicOnly, lookupHost } = require("./remote-node");
+
+const MAX_BYTES = +(process.env.INGEST_MAX_BYTES || 20 * 1024 * 1024); // uploads and URL downloads
+const MAX_TEXT = 1_000_000; // chars
+const INSERT_BATCH = 500;   // chunk rows per bulk INSERT
+const MODES = ["skip", "replace", "new"];
+
+function ingestError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function documentName(filename) {
+  return String(filename || "document").replace(/\.[a-z0-9]{1,8}$/i, "") || "document";
+}
+
+function contentHash(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+// Document-level hash ignores whitespace differences between extractions of the same file
+function textHash(text) {
+  return contentHash(String(text).replace(/\s+/g, " ").trim());
+}
+
+// Identical passages (repeated headers, boilerplate) are stored once per section
+function dedupeChunks(chunks) {
+  const seen = new Set();
+  return chunks
+    .map(c => ({ ...c, hash: contentHash(c.content) }))
+    .filter(c => {
+      const key = `${c.section || ""}\u0000${c.hash}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((c, index) => ({ ...c, index }));
+}
+
+/* ---------------- Storage ---------------- */
+async function insertChunks(docId, userId, chunks) {
+  for (let i = 0; i < chunks.length; i += INSERT_BATCH) {
+    const part = chunks.slice(i, i + INSERT_BATCH);
+    await pool.query(
+      `INSERT INTO document_chunks(doc_id, user_id, content, content_hash, chunk_index, section, page, token_count)
+       SELECT $1, $2, t.content, t.content_hash, t.chunk_index, t.section, t.page, t.token_count
+       FROM unnest($3::text[], $4::text[], $5::int[], $6::text[], $7::int[], $8::int[])
+         AS t(content, content_hash, chunk_index, section, page, token_count)`,
+      [
+        docId, userId,
+        part.map(c => c.content),
+        part.map(c => c.hash),
+        part.map(c => c.index),
+        part.map(c => c.section),
+        part.map(c => c.page),
+        part.map(c => c.tokens),
+      ]
+    );
+  }
+}
+
+// A new version only needs embeddings for chunks whose text (and section) changed
+async function reuseEmbeddings(docId, fromDocId) {
+  const res = await pool.query(
+    `UPDATE document_chunks AS n
+     SET embeddings = o.embeddings
+     FROM document_chunks AS o
+     WHERE n.doc_id = $1 AND o.doc_id = $2
+       AND n.embeddings IS NULL AND o.embeddings IS NOT NULL
+       AND n.content_hash = o.content_hash
+       AND n.section IS NOT DISTINCT FROM o.section`,
+    [docId, fromDocId]
+  );
+  if (res.rowCount) {
+    await pool.query(
+      `UPDATE documents SET chunks_done = chunks_done + $2, updated_at = NOW() WHERE id = $1`,
+      [docId, res.rowCount]
+    );
+  }
+  return res.rowCount;
+}
+
+async function storeEmbeddings(docId, rows, vecs) {
+  await pool.query(
+    `UPDATE document_chunks AS c
+     SET embeddings = t.vec::vector
+     FROM unnest($2::bigint[], $3::text[]) AS t(id, vec)
+     WHERE c.id = t.id AND c.doc_id = $1`,
+    [docId, rows.map(r => r.id), vecs.map(toVectorLiteral)]
+  );
+  await pool.query(
+    `UPDATE documents SET chunks_done = chunks_done + $2, updated_at = NOW() WHERE id = $1`,
+    [docId, rows.length]
+  );
+}
+
+async function setStatus(docId, status, error = null) {
+  await pool.query(
+    `UPDATE documents SET status = $2, error = $3, updated_at = NOW() WHERE id = $1`,
+    [docId, status, error]
+  );
+}
+
+async function documentProgress(docId) {
+  const res = await pool.query(
+    `SELECT id, name, source_url, format, chunking, status, chunks_total, chunks_done, error,
+            content_hash, lineage_id, version, is_current, collection, tags, metadata
+     FROM documents WHERE id = $1`,
+    [docId]
+  );
+  return res.rows[0] || null;
+}
+
+/* ---------------- Versions ---------------- */
+// Current version for a replace: by document id (any version of it), else by source URL, else by name
+async function findCurrentVersion({ userId, replaceId, sourceUrl, name }) {
+  const res = await pool.query(
+    `SELECT d.id, d.lineage_id, d.version, d.content_hash, d.collection, d.tags, d.metadata
+     FROM documents d
+     WHERE d.is_current
+       AND d.user_id IS NOT DISTINCT FROM $1
+       AND CASE WHEN $2::bigint IS NOT NULL
+                THEN d.lineage_id = (SELECT lineage_id FROM documents WHERE id = $2)
+                WHEN $3::text IS NOT NULL THEN d.source_url = $3
+                ELSE d.name = $4 END
+     ORDER BY d.id DESC
+     LIMIT 1`,
+    [userId, replaceId, sourceUrl, name]
+  );
+  return res.rows[0] || null;
+}
+
+// Make a ready version the current one and retire the version it replaces, in one transaction.
+// A version that finishes after a newer one was already promoted stays in the history only.
+async function promoteVersion(docId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const doc = (await client.query(
+      `SELECT id, lineage_id, version, is_current FROM documents WHERE id = $1`, [docId]
+    )).rows[0];
+    if (!doc || doc.is_current) {
+      await client.query("COMMIT");
+      return false;
+    }
+    const current = await client.query(
+      `SELECT id, version FROM documents WHERE lineage_id = $1 AND is_current FOR UPDATE`,
+      [doc.lineage_id]
+    );
+    if (current.rows.some(r => r.version > doc.version)) {
+      await client.query("COMMIT");
+      return false;
+    }
+    const oldIds = current.rows.map(r => r.id);
+    await client.query(
+      `UPDATE documents SET is_current = FALSE, superseded_at = NOW(), updated_at = NOW() WHERE id = ANY($1::bigint[])`,
+      [oldIds]
+    );
+    // Superseded versions stay listed as history; their chunks would only shadow the new ones
+    await client.query(`DELETE FROM document_chunks WHERE doc_id = ANY($1::bigint[])`, [oldIds]);
+    await client.query(`UPDATE documents SET is_current = TRUE, updated_at = NOW() WHERE id = $1`, [doc.id]);
+    await client.query("COMMIT");
+    return true;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* ---------------- Embedding ---------------- */
+// Embeds every chunk of docId that has no embedding yet. Stops early (leaving the document
+// 'pending' for a later resume) once `deadline` (epoch ms) is near.
+// onProgress({ done, total }) is called after each batch.
+async function embedPending(docId, { deadline, onProgress } = {}) {
+  await setStatus(docId, "processing");
+  try {
+    for (;;) {
+      if (deadline && Date.now() > deadline) {
+        await setStatus(docId, "pending");
+        return { complete: false };
+      }
+      const res = await pool.query(
+        `SELECT id, content, section
+         FROM document_chunks
+         WHERE doc_id = $1 AND embeddings IS NULL
+         ORDER BY chunk_index
+         LIMIT $2`,
+        [docId, EMBED_BATCH_SIZE * EMBED_CONCURRENCY]
+      );
+      if (!res.rows.length) break;
+
+      const batches = [];
+      for (let i = 0; i < res.rows.length; i += EMBED_BATCH_SIZE) batches.push(res.rows.slice(i, i + EMBED_BATCH_SIZE));
+      await mapLimit(batches, EMBED_CONCURRENCY, async (rows) => {
+        const vecs = await embedBatch(rows.map(embeddingInput));
+        await storeEmbeddings(docId, rows, vecs);
+      });
+
+      if (onProgress) {
+        const p = await documentProgress(docId);
+        await onProgress({ done: p.chunks_done, total: p.chunks_total });
+      }
+    }
+    await setStatus(docId, "ready");
+    await promoteVersion(docId);
+    return { complete: true };
+  } catch (err) {
+    await setStatus(docId, "failed", String(err?.message || err)).catch(() => {});
+    throw err;
+  }
+}
+
+function summary(doc, extra = {}) {
+  return {
+    documentId: doc.id,
+    name: doc.name,
+    sourceUrl: doc.source_url,
+    format: doc.format,
+    status: doc.status,
+    chunks: doc.chunks_done,
+    chunksTotal: doc.chunks_total,
+    chunking: doc.chunking,
+    resumable: doc.status === "pending" || doc.status === "failed",
+    version: doc.version,
+    lineageId: doc.lineage_id,
+    current: doc.is_current,
+    contentHash: doc.content_hash,
+    collection: doc.collection,
+    tags: doc.tags,
+    metadata: doc.metadata,
+    ...(doc.error ? { error: doc.error } : {}),
+    ...extra,
+  };
+}
+
+/* ---------------- Input ---------------- */
+// 400 unless `url` may be downloaded (checked before a job is queued for it)
+async function checkSourceUrl(url) {
+  await checkUrl(url, lookupHost);
+}
+
+// Download a document for ingestion; the filename falls back to the last URL path segment
+// (public hosts only, at most MAX_BYTES – see lib/remote.js).
+async function fetchDocument(url, filename) {
+  const fr = await fetchRemote(url, publicOnly());
+  if (!fr.ok) throw ingestError(`Failed to fetch document: ${fr.status}`, 502);
+  return {
+    buffer: Buffer.from(await readBody(fr, MAX_BYTES)),
+    contentType: fr.headers.get("content-type") || "",
+    filename: String(filename || (String(url).split("/").pop() || "").split("?")[0] || "document"),
+  };
+}
+
+/* ---------------- Pipeline ---------------- */
+// Extract, chunk and persist chunk rows; returns the new document id without embedding anything.
+// `chunking` selects the strategy and sizes (see lib/chunking.js).
+// `mode` / `replaceId` control duplicates and versions (see top of file); when the content is
+// already stored the existing document is returned with `duplicate: true`.
+// `collection`, `tags` and `metadata` label the document for retrieval filters (lib/filters.js);
+// a new version keeps the previous version's labels unless new ones are given.
+async function prepareDocument({
+  userId = null, buffer, contentType, filename, sourceUrl = null, format, chunking, mode, replaceId = null,
+  collection = null, tags = null, metadata = null,
+}) {
+  if (!buffer || !buffer.length) throw ingestError("No file, text or URL provided.");
+  mode = mode || (replaceId != null ? "replace" : "skip");
+  if (!MODES.includes(mode)) throw ingestError(`mode must be one of: ${MODES.join(", ")}`);
+  collection = normalizeCollection(collection);
+  tags = tags == null ? null : normalizeTags(tags);
+  metadata = normalizeMetadata(metadata);
+
+  // 1) Extract text
+  const extracted = await extract({ buffer, contentType, filename, format });
+  let text = (extracted.text || "").trim();
+  if (!text) throw ingestError(`The ${extracted.format} file contains no extractable text.`);
+  if (text.length > MAX_TEXT) {
+    text = text.slice(0, MAX_TEXT);
+    delete extracted.pages; // page texts would no longer line up with the truncated text
+  }
+
+  // 2) Duplicate / version check
+  const hash = textHash(text);
+  const docName = documentName(filename);
+  let previous = null;
+  if (mode === "replace") {
+    previous = await findCurrentVersion({ userId, replaceId, sourceUrl, name: docName });
+    if (!previous && replaceId != null) throw ingestError(`Document ${replaceId} not found`, 404);
+    if (previous?.content_hash === hash) return { documentId: previous.id, duplicate: true };
+  } else if (mode === "skip") {
+    const dup = await pool.query(
+      `SELECT id FROM documents
+       WHERE is_current AND content_hash = $1 AND user_id IS NOT DISTINCT FROM $2
+       ORDER BY id LIMIT 1`,
+      [hash, userId]
+    );
+    if (dup.rows[0]) return { documentId: dup.rows[0].id, duplicate: true };
+  }
+
+  // 3) Chunk
+  const opts = chunkingOptions(chunking);
+  const chunks = dedupeChunks(chunkDocument({ ...extracted, text }, opts));
+
+  // 4) Insert the document and its (not yet embedded) chunks. A replacement is not current
+  //    (invisible to retrieval) until promoteVersion() swaps it in.
+  const ins = await pool.query(
+    `WITH next AS (SELECT nextval(pg_get_serial_sequence('documents', 'id')) AS id)
+     INSERT INTO documents(id, lineage_id, version, is_current, content_hash, collection, tags, metadata,
+                           user_id, name, source_url, format, chunking, status, chunks_total, chunks_done, created_at, updated_at)
+     SELECT next.id, COALESCE($7, next.id), $8, $9, $10, $11, $12, $13,
+            $1, $2, $3, $4, $5, 'pending', $6, 0, NOW(), NOW()
+     FROM next
+     RETURNING id`,
+    [userId, docName, sourceUrl, extracted.format, JSON.stringify(opts), chunks.length,
+     previous?.lineage_id ?? null, previous ? previous.version + 1 : 1, !previous, hash,
+     collection ?? previous?.collection ?? null,
+     tags ?? previous?.tags ?? [],
+     JSON.stringify(metadata ?? previous?.metadata ?? {})]
+  );
+  const docId = ins.rows[0].id;
+  await insertChunks(docId, userId, chunks);
+  if (previous) await reuseEmbeddings(docId, previous.id);
+
+  return {
+    documentId: docId,
+    meta: { ...extracted.meta, bytes: buffer.length },
+    preview: text.slice(0, 600),
+  };
+}
+
+// buffer + contentType/filename → stored document. Returns the summary the ingest endpoints send back.
+// `timeBudgetMs` bounds the embedding phase; an unfinished document is left 'pending' and resumable.
+async function ingestDocument({ timeBudgetMs = +(process.env.INGEST_TIME_BUDGET_MS || 0), onProgress, ...input }) {
+  const started = Date.now();
+  const prepared = await prepareDocument(input);
+  if (prepared.duplicate) {
+    return summary(await documentProgress(prepared.documentId), { duplicate: true });
+  }
+  try {
+    await embedPending(prepared.documentId, {
+      deadline: timeBudgetMs ? started + timeBudgetMs : undefined,
+      onProgress,
+    });
+  } catch (err) {
+    err.documentId = prepared.documentId; // lets the caller offer a resume
+    throw err;
+  }
+  const doc = await documentProgress(prepared.documentId);
+  return summary(doc, { meta: prepared.meta, preview: prepared.preview });
+}
+
+// Continue a pending/failed ingest from the first chunk without an embedding.
+// userId (when given) must own the document.
+async function resumeDocument(docId, { userId = null, timeBudgetMs = +(process.env.INGEST_TIME_BUDGET_MS || 0), onProgress } = {}) {
+  const started = Date.now();
+  const res = await pool.query(
+    `SELECT id, status, updated_at < NOW() - INTERVAL '2 minutes' AS stale
+     FROM documents WHERE id = $1 AND ($2::text IS NULL OR user_id = $2)`,
+    [docId, userId]
+  );
+  const doc = res.rows[0];
+  if (!doc) throw ingestError(`Document ${docId} not found`, 404);
+  // A 'processing' row that hasn't moved for a while belongs to a worker that died mid-ingest
+  if (doc.status === "processing" && !doc.stale) throw ingestError(`Document ${docId} is already being processed`, 409);
+  if (doc.status !== "ready") {
+    await embedPending(doc.id, { deadline: timeBudgetMs ? started + timeBudgetMs : undefined, onProgress });
+  }
+  return summary(await documentProgress(doc.id));
+}
+
+module.exports = {
+  ingestDocument,
+  prepareDocument,
+  embedPending,
+  resumeDocument,
+  fetchDocument,
+  checkSourceUrl,
+  documentProgress,
+  documentName,
+  ingestError,
+  promoteVersion,
+  MODES,
+  MAX_BYTES,
+};
@@ -0,0 +1,181 @@
+// lib/jobs.js – Background ingestion jobs (Postgres-backed queue in ingest_jobs)
+//
+// status: queued → running → succeeded | failed
+// stage:  queued → fetching → extracting → embedding → done
+//
+// A worker claims one job at a time with FOR UPDATE SKIP LOCKED, so any number of workers
+// (the cron-triggered /api/jobs/run endpoint, `node worker.js`) can run side by side.
+// Each run works within a time budget; a job that isn't finished goes back to 'queued'
+// and the next run continues from the last embedded chunk. Runs start after an async upload, from the
+// cron, and whenever GET /api/jobs/:id finds its job waiting for a worker (needsWorker) – so a job
+// that was handed back keeps moving while its progress is being polled.
+
+const { pool } = require("../db");
+const { prepareDocument, embedPending, fetchDocument } = require("./ingest");
+
+const MAX_ATTEMPTS = +(process.env.INGEST_JOB_MAX_ATTEMPTS || 3);
+const STALE_LOCK_MS = 5 * 60 * 1000; // a running job untouched this long belongs to a dead worker
+const JOB_TIME_BUDGET_MS = +(process.env.INGEST_JOB_TIME_BUDGET_MS || 45000);
+
+// documentMeta: { collection, tags, metadata } for the stored document
+async function enqueueIngest({ userId = null, buffer = null, contentType = null, filename = null, sourceUrl = null, chunking = null, mode = null, replaceId = null, documentMeta = null }) {
+  const res = await pool.query(
+    `INSERT INTO ingest_jobs(user_id, input, content_type, filename, source_url, chunking, mode, replace_id, document_meta)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+     RETURNING id, status, stage, created_at`,
+    [userId, buffer, contentType, filename, sourceUrl, chunking ? JSON.stringify(chunking) : null, mode, replaceId,
+     documentMeta ? JSON.stringify(documentMeta) : null]
+  );
+  return res.rows[0];
+}
+
+async function getJob(id) {
+  if (!/^[0-9a-f-]{36}$/i.test(String(id || ""))) return null;
+  const res = await pool.query(
+    `SELECT id, user_id, status, stage, document_id, chunks_done, chunks_total, attempts, error,
+            locked_at, created_at, updated_at, finished_at
+     FROM ingest_jobs WHERE id = $1`,
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+// Public shape for GET /api/jobs/:id
+function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    documentId: job.document_id,
+    chunksDone: job.chunks_done,
+    chunksTotal: job.chunks_total,
+    progress: job.chunks_total ? Math.min(1, job.chunks_done / job.chunks_total) : (job.status === "succeeded" ? 1 : 0),
+    attempts: job.attempts,
+    error: job.error || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    finishedAt: job.finished_at,
+  };
+}
+
+// Whether a worker run would claim `job` now: queued (new, out of time or retrying) or held by a dead worker
+function needsWorker(job, now = Date.now()) {
+  if (job?.status === "queued") return true;
+  return job?.status === "running" && !!job.locked_at && now - new Date(job.locked_at).getTime() > STALE_LOCK_MS;
+}
+
+async function updateJob(id, fields) {
+  const keys = Object.keys(fields);
+  const sets = keys.map((k, i) => `${k} = $${i + 2}`);
+  await pool.query(
+    `UPDATE ingest_jobs SET ${sets.join(", ")}, updated_at = NOW() WHERE id = $1`,
+    [id, ...keys.map(k => fields[k])]
+  );
+}
+
+// `skip`: job ids already handled in this run (so a failing job isn't retried in a tight loop)
+async function claimJob(skip = []) {
+  const res = await pool.query(
+    `UPDATE ingest_jobs
+     SET status = 'running', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM ingest_jobs
+       WHERE (status = 'queued'
+          OR (status = 'running' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MS} milliseconds'))
+         AND NOT (id = ANY($1::uuid[]))
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [skip]
+  );
+  return res.rows[0] || null;
+}
+
+async function processJob(job, { deadline }) {
+  let docId = job.document_id;
+
+  // Extract + chunk once; the stored chunk rows are what later runs resume from
+  if (!docId) {
+    let buffer = job.input, contentType = job.content_type, filename = job.filename;
+    if (!buffer && job.source_url) {
+      await updateJob(job.id, { stage: "fetching" });
+      ({ buffer, contentType, filename } = await fetchDocument(job.source_url, filename));
+    }
+    await updateJob(job.id, { stage: "extracting" });
+    const prepared = await prepareDocument({
+      userId: job.user_id,
+      buffer,
+      contentType,
+      filename,
+      sourceUrl: job.source_url,
+      chunking: job.chunking,
+      mode: job.mode,
+      replaceId: job.replace_id,
+      ...(job.document_meta || {}),
+    });
+    docId = prepared.documentId;
+    if (prepared.duplicate) {
+      // Already stored: point the job at the existing document
+      const p = await pool.query(`SELECT chunks_done, chunks_total FROM documents WHERE id = $1`, [docId]);
+      await updateJob(job.id, {
+        status: "succeeded", stage: "done", document_id: docId, input: null, error: null, finished_at: new Date(),
+        chunks_done: p.rows[0].chunks_done, chunks_total: p.rows[0].chunks_total,
+      });
+      return;
+    }
+    const total = await pool.query(`SELECT chunks_total FROM documents WHERE id = $1`, [docId]);
+    await updateJob(job.id, { document_id: docId, chunks_total: total.rows[0].chunks_total, input: null });
+  }
+
+  await updateJob(job.id, { stage: "embedding" });
+  const { complete } = await embedPending(docId, {
+    deadline,
+    onProgress: ({ done, total }) => updateJob(job.id, { chunks_done: done, chunks_total: total, locked_at: new Date() }),
+  });
+
+  if (complete) {
+    const p = await pool.query(`SELECT chunks_done, chunks_total FROM documents WHERE id = $1`, [docId]);
+    await updateJob(job.id, {
+      status: "succeeded", stage: "done", error: null, finished_at: new Date(),
+      chunks_done: p.rows[0].chunks_done, chunks_total: p.rows[0].chunks_total,
+    });
+  } else {
+    // Out of time: hand it back to the queue; this run doesn't count as a failed attempt
+    await pool.query(
+      `UPDATE ingest_jobs SET status = 'queued', locked_at = NULL, attempts = attempts - 1, updated_at = NOW() WHERE id = $1`,
+      [job.id]
+    );
+  }
+}
+
+// Claim and process jobs until the queue is empty or the time budget runs out.
+// Returns the ids of jobs touched in this run.
+async function runWorker({ timeBudgetMs = JOB_TIME_BUDGET_MS, log = () => {} } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  const touched = [];
+  while (Date.now() < deadline) {
+    const job = await claimJob(touched);
+    if (!job) break;
+    touched.push(job.id);
+    log(`job ${job.id} attempt ${job.attempts}`);
+    try {
+      await processJob(job, { deadline });
+    } catch (err) {
+      // 4xx from the pipeline (unsupported format, no text…) won't get better on retry
+      const permanent = err?.statusCode >= 400 && err.statusCode < 500;
+      const failed = permanent || job.attempts >= MAX_ATTEMPTS;
+      await updateJob(job.id, {
+        status: failed ? "failed" : "queued",
+        error: String(err?.message || err),
+        locked_at: null,
+        ...(failed ? { finished_at: new Date() } : {}),
+      });
+      log(`job ${job.id} ${failed ? "failed" : "will retry"}: ${err?.message || err}`);
+    }
+  }
+  return touched;
+}
+
+module.exports = { enqueueIngest, getJob, describeJob, needsWorker, runWorker };
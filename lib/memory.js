@@ -0,0 +1,218 @@
+// lib/memory.js – Token-aware conversation memory.
+//
+// Each request gets, within a token budget for the target model:
+//   1) the conversation's running summary (everything up to conversations.summary_upto),
+//   2) recalled older messages that are semantically close to the question (MEMORY_RECALL=1;
+//      messages are embedded like document chunks),
+//   3) as many of the most recent messages as still fit.
+// After each exchange compactMemory() folds the turns that no longer fit into the summary,
+// so older context is condensed instead of silently dropped.
+//
+// Budgets (estimated tokens) per provider: MEMORY_TOKENS_GROQ (3000), MEMORY_TOKENS_DEEPINFRA (4000),
+// MEMORY_TOKENS_GEMINI (12000); MEMORY_TOKENS overrides the built-in default for any provider.
+// Other knobs: MEMORY_SUMMARY_TOKENS (500), MEMORY_RECALL_K (3), MEMORY_RECALL_MAX_DISTANCE (0.35).
+
+const { pool } = require("../db");
+const { estimateTokens } = require("./chunking");
+const { embedBatch, embedText, embeddingsEnabled, toVectorLiteral } = require("./embeddings");
+
+const DEFAULT_BUDGETS = { groq: 3000, deepinfra: 4000, gemini: 12000 };
+const MESSAGE_OVERHEAD = 4;   // role/formatting tokens per message
+const RECENT_SCAN = 200;      // most recent unsummarised messages looked at per request
+const KEEP_SHARE = 0.6;       // compaction leaves this share of the budget for recent turns
+const SUMMARY_TOKENS = +(process.env.MEMORY_SUMMARY_TOKENS || 500);
+const RECALL_K = +(process.env.MEMORY_RECALL_K || 3);
+const RECALL_MAX_DISTANCE = +(process.env.MEMORY_RECALL_MAX_DISTANCE || 0.35);
+const EMBED_BACKLOG = 32;     // messages embedded per compaction
+const COMPACT_BATCH = 60;     // messages folded into the summary per compaction
+
+function recallEnabled() {
+  return /^(1|true|yes)$/i.test(process.env.MEMORY_RECALL || "") && embeddingsEnabled();
+}
+
+function messageTokens(m) {
+  return estimateTokens(m.content) + MESSAGE_OVERHEAD;
+}
+
+// Token budget for history when any of `providers` may answer: the smallest one wins,
+// since a fallback provider gets the same messages.
+function memoryBudget(providers) {
+  const budgets = (providers || []).map(p => {
+    const env = process.env[`MEMORY_TOKENS_${String(p).toUpperCase()}`] || process.env.MEMORY_TOKENS;
+    return +env > 0 ? +env : (DEFAULT_BUDGETS[p] || 3000);
+  });
+  return budgets.length ? Math.min(...budgets) : 3000;
+}
+
+// Newest-first rows → the longest suffix that fits `budget`, in chronological order
+function fitRecent(rowsNewestFirst, budget) {
+  const out = [];
+  let used = 0;
+  for (const m of rowsNewestFirst) {
+    const t = messageTokens(m);
+    if (used + t > budget) break;
+    out.push(m);
+    used += t;
+  }
+  return { messages: out.reverse(), tokens: used };
+}
+
+async function conversationState(conversationId) {
+  const res = await pool.query(
+    `SELECT summary, summary_upto FROM conversations WHERE id = $1`,
+    [conversationId]
+  );
+  return res.rows[0] || { summary: null, summary_upto: null };
+}
+
+async function unsummarised(conversationId, after) {
+  const res = await pool.query(
+    `SELECT id, role, content
+     FROM messages
+     WHERE conversation_id = $1 AND id > COALESCE($2::bigint, 0)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [conversationId, after, RECENT_SCAN]
+  );
+  return res.rows;
+}
+
+async function recallMessages(conversationId, question, beforeId, budget) {
+  const vec = await embedText(question);
+  const res = await pool.query(
+    `SELECT id, role, content, embedding <=> $2::vector AS distance
+     FROM messages
+     WHERE conversation_id = $1 AND id < $3 AND embedding IS NOT NULL
+     ORDER BY embedding <=> $2::vector
+     LIMIT $4`,
+    [conversationId, toVectorLiteral(vec), beforeId, RECALL_K]
+  );
+  const out = [];
+  let used = 0;
+  for (const m of res.rows) {
+    if (+m.distance > RECALL_MAX_DISTANCE) continue;
+    const t = messageTokens(m);
+    if (used + t > budget) continue;
+    out.push(m);
+    used += t;
+  }
+  return { messages: out.sort((a, b) => a.id - b.id), tokens: used };
+}
+
+/* ---------------- loading ---------------- */
+// → { summary, recalled, messages, tokens, budget }
+// Without a conversation (legacy per-user history) only the recent-message window applies.
+async function loadMemory({ userId, conversationId = null, question = "", budget = 3000 }) {
+  if (!conversationId) {
+    const res = await pool.query(
+      `SELECT id, role, content FROM messages WHERE user_id = $1 ORDER BY timestamp DESC, id DESC LIMIT $2`,
+      [userId, RECENT_SCAN]
+    );
+    const recent = fitRecent(res.rows, budget);
+    return { summary: null, recalled: [], messages: recent.messages, tokens: recent.tokens, budget };
+  }
+
+  const state = await conversationState(conversationId);
+  const summaryTokens = state.summary ? estimateTokens(state.summary) + MESSAGE_OVERHEAD : 0;
+  const rows = await unsummarised(conversationId, state.summary_upto);
+  const recallBudget = recallEnabled() ? Math.floor(budget * 0.2) : 0;
+  const recent = fitRecent(rows, Math.max(0, budget - summaryTokens - recallBudget));
+
+  // Recall looks only at what is neither in the window nor in the summary's most recent part
+  let recalled = { messages: [], tokens: 0 };
+  const oldestInWindow = recent.messages[0]?.id;
+  if (recallBudget && question && oldestInWindow && rows.length > recent.messages.length) {
+    try { recalled = await recallMessages(conversationId, question, oldestInWindow, recallBudget); }
+    catch (err) { console.warn("[memory] recall skipped:", err?.message || err); }
+  }
+
+  return {
+    summary: state.summary || null,
+    recalled: recalled.messages,
+    messages: recent.messages,
+    tokens: summaryTokens + recalled.tokens + recent.tokens,
+    budget,
+  };
+}
+
+// Memory → chat messages (system messages for the summary and recalled turns, then the window)
+function memoryMessages(memory) {
+  const out = [];
+  if (memory.summary) {
+    out.push({ role: "system", content: "Summary of the earlier conversation:\n" + memory.summary });
+  }
+  if (memory.recalled.length) {
+    out.push({
+      role: "system",
+      content: "Earlier messages that may be relevant:\n" +
+        memory.recalled.map(m => `${m.role === "assistant" ? "Assistant" : "User"}: ${m.content}`).join("\n\n"),
+    });
+  }
+  for (const m of memory.messages) {
+    if (m?.role && m?.content) out.push({ role: m.role, content: m.content });
+  }
+  return out;
+}
+
+/* ---------------- compaction ---------------- */
+async function embedBacklog(conversationId) {
+  const res = await pool.query(
+    `SELECT id, content FROM messages
+     WHERE conversation_id = $1 AND embedding IS NULL
+     ORDER BY id DESC
+     LIMIT $2`,
+    [conversationId, EMBED_BACKLOG]
+  );
+  if (!res.rows.length) return;
+  const vecs = await embedBatch(res.rows.map(r => r.content.slice(0, 2000)));
+  await pool.query(
+    `UPDATE messages AS m SET embedding = t.vec::vector
+     FROM unnest($1::bigint[], $2::text[]) AS t(id, vec)
+     WHERE m.id = t.id`,
+    [res.rows.map(r => r.id), vecs.map(toVectorLiteral)]
+  );
+}
+
+// Fold the turns that no longer fit the recent window into the running summary.
+// summarize(previousSummary, messages, maxTokens) → new summary text (an LLM call supplied by the caller).
+// Returns true when the summary changed.
+async function compactMemory({ conversationId, budget, summarize }) {
+  if (!conversationId) return false;
+  if (recallEnabled()) {
+    await embedBacklog(conversationId).catch(err => console.warn("[memory] embedding skipped:", err?.message || err));
+  }
+
+  const state = await conversationState(conversationId);
+  const rows = await unsummarised(conversationId, state.summary_upto);
+  const kept = fitRecent(rows, Math.floor(budget * KEEP_SHARE)).messages;
+  if (kept.length === rows.length && rows.length < RECENT_SCAN) return false;
+  // Oldest unsummarised turns first, a bounded batch per call; a long backlog catches up over several turns
+  const boundary = kept.length ? kept[0].id : +rows[0].id + 1;
+  const batch = await pool.query(
+    `SELECT id, role, content FROM messages
+     WHERE conversation_id = $1 AND id > COALESCE($2::bigint, 0) AND id < $3
+     ORDER BY id
+     LIMIT $4`,
+    [conversationId, state.summary_upto, boundary, COMPACT_BATCH]
+  );
+  const older = batch.rows;
+  if (older.length < 2) return false;
+
+  const summary = String(await summarize(state.summary || "", older, SUMMARY_TOKENS) || "").trim();
+  if (!summary) return false;
+  // Another request may have compacted meanwhile; only apply on top of the state we read
+  const upd = await pool.query(
+    `UPDATE conversations
+     SET summary = $2, summary_upto = $3, summary_updated_at = NOW()
+     WHERE id = $1 AND summary_upto IS NOT DISTINCT FROM $4`,
+    [conversationId, summary, older[older.length - 1].id, state.summary_upto]
+  );
+  return upd.rowCount > 0;
+}
+
+module.exports = {
+  memoryBudget,
+  loadMemory,
+  memoryMessages,
+  compactMemory,
+};
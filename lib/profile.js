@@ -0,0 +1,192 @@
+// lib/profile.js – Long-term user profile: durable facts users state about themselves
+// ("I work on the lidar team", "answer in Sinhala"), kept in user_facts across conversations.
+//
+// After each exchange extractFacts() asks the LLM for new facts as JSON, validated with zod;
+// only confident, durable facts are stored. profilePrompt() renders them for the system prompt.
+// Users see and edit them through /api/profile. PROFILE_MEMORY=off disables extraction.
+
+const { z } = require("zod");
+const { pool } = require("../db");
+
+const CATEGORIES = ["identity", "work", "project", "preference", "language", "other"];
+const MAX_FACTS = +(process.env.PROFILE_MAX_FACTS || 50);
+const MIN_CONFIDENCE = +(process.env.PROFILE_MIN_CONFIDENCE || 0.6);
+
+/* ---------------- schemas ---------------- */
+const FactSchema = z.object({
+  category: z.enum(CATEGORIES).default("other"),
+  // Single-valued facts share a key so a new value replaces the old one (e.g. "response_language")
+  key: z.string().trim().toLowerCase().regex(/^[a-z][a-z0-9_]{0,39}$/).nullish(),
+  fact: z.string().trim().min(3).max(300),
+  confidence: z.number().min(0).max(1).default(0.8),
+});
+
+const ExtractionSchema = z.object({
+  facts: z.array(FactSchema).max(10).default([]),
+});
+
+// What users may send to /api/profile
+const FactInputSchema = FactSchema.omit({ confidence: true });
+const FactPatchSchema = FactInputSchema.partial().refine(o => Object.keys(o).length > 0, "Nothing to update");
+
+/* ---------------- storage ---------------- */
+const FACT_COLUMNS = `id, category, key, fact, source, confidence, conversation_id, created_at, updated_at`;
+
+async function listFacts(userId) {
+  const res = await pool.query(
+    `SELECT ${FACT_COLUMNS} FROM user_facts WHERE user_id = $1 ORDER BY category, updated_at DESC`,
+    [userId]
+  );
+  return res.rows;
+}
+
+async function saveFact(userId, f, { source = "extracted", conversationId = null } = {}) {
+  const params = [userId, f.category, f.key || null, f.fact, source, f.confidence ?? null, conversationId];
+  const res = f.key
+    ? await pool.query(
+        `INSERT INTO user_facts (user_id, category, key, fact, source, confidence, conversation_id)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         ON CONFLICT (user_id, key) WHERE key IS NOT NULL
+         DO UPDATE SET category = EXCLUDED.category, fact = EXCLUDED.fact, source = EXCLUDED.source,
+                       confidence = EXCLUDED.confidence, conversation_id = EXCLUDED.conversation_id, updated_at = NOW()
+         RETURNING ${FACT_COLUMNS}`,
+        params)
+    : await pool.query(
+        `INSERT INTO user_facts (user_id, category, key, fact, source, confidence, conversation_id)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         ON CONFLICT (user_id, lower(fact)) WHERE key IS NULL
+         DO UPDATE SET updated_at = NOW()
+         RETURNING ${FACT_COLUMNS}`,
+        params);
+  return res.rows[0];
+}
+
+// Oldest extracted facts go first when a profile outgrows MAX_FACTS; facts the user entered stay
+async function pruneFacts(userId) {
+  await pool.query(
+    `DELETE FROM user_facts
+     WHERE id IN (
+       SELECT id FROM user_facts
+       WHERE user_id = $1 AND source = 'extracted'
+       ORDER BY updated_at DESC
+       OFFSET $2
+     )`,
+    [userId, MAX_FACTS]
+  );
+}
+
+// A fact the user entered themselves (through /api/profile)
+async function addFact(userId, input) {
+  const fact = await saveFact(userId, { ...FactInputSchema.parse(input), confidence: null }, { source: "user" });
+  await pruneFacts(userId);
+  return fact;
+}
+
+async function updateFact(userId, id, patch) {
+  const p = FactPatchSchema.parse(patch);
+  try {
+    const res = await pool.query(
+      `UPDATE user_facts
+       SET category = COALESCE($3, category),
+           key = CASE WHEN $4::boolean THEN $5 ELSE key END,
+           fact = COALESCE($6, fact),
+           source = 'user', confidence = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${FACT_COLUMNS}`,
+      [id, userId, p.category ?? null, "key" in p, p.key ?? null, p.fact ?? null]
+    );
+    return res.rows[0] || null;
+  } catch (err) {
+    if (err?.code === "23505") {
+      const e = new Error("Another remembered fact already has that key or text");
+      e.statusCode = 409;
+      throw e;
+    }
+    throw err;
+  }
+}
+
+async function deleteFact(userId, id) {
+  const res = await pool.query(`DELETE FROM user_facts WHERE id = $1 AND user_id = $2`, [id, userId]);
+  return res.rowCount > 0;
+}
+
+async function clearFacts(userId) {
+  const res = await pool.query(`DELETE FROM user_facts WHERE user_id = $1`, [userId]);
+  return res.rowCount;
+}
+
+/* ---------------- prompt ---------------- */
+function profilePrompt(facts) {
+  if (!facts?.length) return "";
+  return [
+    "What you know about this user (they told you earlier; follow their stated preferences, e.g. answer language):",
+    ...facts.map(f => `- ${f.fact}`),
+  ].join("\n");
+}
+
+/* ---------------- extraction ---------------- */
+// Pulls the JSON object out of a model reply (tolerates code fences and chatter around it)
+function parseJsonReply(text) {
+  const t = String(text || "").replace(/```(?:json)?/gi, "");
+  const start = t.indexOf("{");
+  const end = t.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try { return JSON.parse(t.slice(start, end + 1)); } catch { return null; }
+}
+
+function extractionPrompt(question, answer, existing) {
+  return [
+    "Read the latest exchange and list durable facts the USER stated about themselves that would help in future conversations:",
+    "who they are, their role/team, projects they work on, lasting preferences (tone, format, answer language).",
+    "Ignore questions, one-off requests, facts about other people or topics, and anything already known.",
+    `Categories: ${CATEGORIES.join(", ")}. Give single-valued preferences a snake_case "key" (e.g. response_language, team) so updates replace the old value.`,
+    "Write each fact as a short third-person sentence (\"Works on the lidar team.\").",
+    "Reply with JSON only: {\"facts\": [{\"category\": \"...\", \"key\": \"...\" | null, \"fact\": \"...\", \"confidence\": 0..1}]} — an empty list if there is nothing new.",
+    "",
+    "Already known:",
+    existing.length ? existing.map(f => `- ${f.fact}`).join("\n") : "(nothing)",
+    "",
+    `User: ${String(question).slice(0, 2000)}`,
+    `Assistant: ${String(answer).slice(0, 1000)}`,
+  ].join("\n");
+}
+
+// Profile facts come from users talking about themselves; other messages skip the model call.
+const SELF_STATEMENT = /\b(i am|i'm|im|i work|i use|i prefer|i like|i live|i study|i lead|i manage|my (name|team|role|job|company|project|lab)|call me|we are|we're|we use|our (team|company|project|lab)|from now on|remember (that|this)|(always|please) (answer|reply|respond|write)|(answer|reply|respond) in)\b/i;
+function mayStateFacts(question) {
+  return SELF_STATEMENT.test(String(question || ""));
+}
+
+// complete(messages) → model reply text. Returns the facts that were stored.
+async function extractFacts({ userId, conversationId = null, question, answer, existing = [], complete }) {
+  if (/^off$/i.test(process.env.PROFILE_MEMORY || "") || !mayStateFacts(question)) return [];
+  const reply = await complete([
+    { role: "system", content: "You extract long-term user profile facts. You reply with JSON only." },
+    { role: "user", content: extractionPrompt(question, answer, existing) },
+  ]);
+  const parsed = ExtractionSchema.safeParse(parseJsonReply(reply));
+  if (!parsed.success) return [];
+
+  const known = new Set(existing.map(f => f.fact.toLowerCase()));
+  const stored = [];
+  for (const f of parsed.data.facts) {
+    if (f.confidence < MIN_CONFIDENCE || known.has(f.fact.toLowerCase())) continue;
+    stored.push(await saveFact(userId, f, { source: "extracted", conversationId }));
+  }
+  if (stored.length) await pruneFacts(userId);
+  return stored;
+}
+
+module.exports = {
+  CATEGORIES,
+  FactInputSchema,
+  listFacts,
+  addFact,
+  updateFact,
+  deleteFact,
+  clearFacts,
+  profilePrompt,
+  mayStateFacts,
+  extractFacts,
+};
@@ -0,0 +1,118 @@
+// lib/providers/anthropic.js – Adapter for the Anthropic Messages API.
+// System messages become the top-level `system`; the rest must alternate user / assistant and start
+// with a user turn, so consecutive turns of one role are merged. Image parts are sent as base64 sources.
+// Tools: an assistant's tool_calls become tool_use blocks, tool results tool_result blocks in a user turn.
+
+const { ProviderError } = require("./errors");
+const { post, postJson, readSSE } = require("./transport");
+
+const API_VERSION = "2023-06-01";
+const TOOL_CHOICES = { auto: "auto", none: "none", required: "any" };
+
+function textOf(content) {
+  return Array.isArray(content) ? content.map(p => p.text || "").join("") : String(content || "");
+}
+
+function toBlocks(content) {
+  if (!Array.isArray(content)) return [{ type: "text", text: String(content || "") }];
+  return content.map(p => p.type === "image"
+    ? { type: "image", source: { type: "base64", media_type: p.mime, data: p.data } }
+    : { type: "text", text: p.text || "" });
+}
+
+// Blocks of one message; empty text blocks are rejected, so a tool-calling turn without text has none
+function blocksOf(m) {
+  if (m.role === "tool") return [{ type: "tool_result", tool_use_id: m.tool_call_id, content: String(m.content ?? "") }];
+  const blocks = m.tool_calls?.length && !m.content ? [] : toBlocks(m.content);
+  for (const c of m.tool_calls || []) blocks.push({ type: "tool_use", id: c.id, name: c.name, input: c.arguments || {} });
+  return blocks;
+}
+
+function toAnthropic(messages) {
+  const system = messages.filter(m => m.role === "system").map(m => textOf(m.content)).filter(Boolean).join("\n\n");
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === "system") continue;
+    const role = m.role === "assistant" ? "assistant" : "user";
+    const last = turns[turns.length - 1];
+    if (last?.role === role) last.content.push(...blocksOf(m));
+    else turns.push({ role, content: blocksOf(m) });
+  }
+  if (!turns.length || turns[0].role !== "user") turns.unshift({ role: "user", content: [{ type: "text", text: "(conversation continues)" }] });
+  return { system, messages: turns };
+}
+
+function requestBody(ctx, messages, params, stream) {
+  const { system, messages: turns } = toAnthropic(messages);
+  return {
+    model: ctx.model,
+    ...(system ? { system } : {}),
+    messages: turns,
+    max_tokens: params.max_tokens,
+    ...(params.temperature != null ? { temperature: Math.min(1, params.temperature) } : {}),
+    ...(params.top_p != null ? { top_p: params.top_p } : {}),
+    ...(params.stop ? { stop_sequences: [].concat(params.stop) } : {}),
+    ...(params.tools?.length ? {
+      tools: params.tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters || { type: "object", properties: {} } })),
+      ...(params.tool_choice ? { tool_choice: { type: TOOL_CHOICES[params.tool_choice] || "auto" } } : {}),
+    } : {}),
+    ...(stream ? { stream: true } : {}),
+  };
+}
+
+function headers(ctx) {
+  return { "x-api-key": ctx.key, "anthropic-version": ctx.version || API_VERSION };
+}
+
+function usageOf(input, output) {
+  if (input == null && output == null) return undefined;
+  return { prompt_tokens: input || 0, completion_tokens: output || 0, total_tokens: (input || 0) + (output || 0) };
+}
+
+async function chat(ctx, messages, params, signal) {
+  const j = await postJson(ctx, `${ctx.baseUrl}/messages`, requestBody(ctx, messages, params, false), { headers: headers(ctx), signal });
+  return {
+    text: (j.content || []).filter(b => b.type === "text").map(b => b.text).join(""),
+    finish_reason: j.stop_reason || "",
+    usage: usageOf(j.usage?.input_tokens, j.usage?.output_tokens),
+    tool_calls: (j.content || []).filter(b => b.type === "tool_use").map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+  };
+}
+
+// Events: message_start (input tokens), content_block_start (a tool_use block), content_block_delta
+// (text, or a tool call's input JSON in pieces), message_delta (stop reason, output tokens), error
+// (e.g. overloaded mid-stream)
+async function chatStream(ctx, messages, params, signal, onDelta) {
+  const r = await post(ctx, `${ctx.baseUrl}/messages`, requestBody(ctx, messages, params, true), { headers: headers(ctx), signal });
+  let text = "", finish_reason = "", input, output;
+  const calls = {}; // tool_use blocks by index
+  for await (const data of readSSE(r.body)) {
+    let j; try { j = JSON.parse(data); } catch { continue; }
+    if (j.type === "message_start") input = j.message?.usage?.input_tokens;
+    else if (j.type === "content_block_start" && j.content_block?.type === "tool_use") {
+      calls[j.index] = { id: j.content_block.id, name: j.content_block.name, json: "" };
+    } else if (j.type === "content_block_delta" && j.delta?.type === "input_json_delta" && calls[j.index]) {
+      calls[j.index].json += j.delta.partial_json || "";
+    } else if (j.type === "content_block_delta" && j.delta?.type === "text_delta" && j.delta.text) {
+      text += j.delta.text;
+      onDelta(j.delta.text);
+    } else if (j.type === "message_delta") {
+      if (j.delta?.stop_reason) finish_reason = j.delta.stop_reason;
+      if (j.usage?.output_tokens != null) output = j.usage.output_tokens;
+    } else if (j.type === "error") {
+      const kind = j.error?.type === "rate_limit_error" ? "rate_limit" : "unavailable";
+      throw new ProviderError(kind, j.error?.message || "stream error", ctx);
+    }
+  }
+  const tool_calls = Object.values(calls).map(c => {
+    let args = {};
+    try { if (c.json) args = JSON.parse(c.json); } catch { args = null; }
+    return { id: c.id, name: c.name, arguments: args };
+  });
+  return { text, finish_reason, usage: usageOf(input, output), tool_calls };
+}
+
+module.exports = {
+  chat,
+  chatStream,
+};
@@ -0,0 +1,63 @@
+// lib/providers/deepinfra.js – DeepInfra: chat through its OpenAI-compatible endpoint (baseUrl),
+// embeddings, reranking and images through the native inference API (inferenceUrl).
+
+const { ProviderError } = require("./errors");
+const { postJson } = require("./transport");
+const openai = require("./openai");
+
+function inference(ctx, body, signal) {
+  return postJson(ctx, `${ctx.inferenceUrl}/${encodeURIComponent(ctx.model)}`, body, { headers: openai.authHeaders(ctx), signal });
+}
+
+// The inference endpoint accepts an `input` array, so a whole batch is one request
+async function embed(ctx, texts, signal) {
+  const j = await inference(ctx, { input: texts }, signal);
+  const vecs = j?.embeddings || j?.data?.map(d => d?.embedding) || j?.output;
+  if (!Array.isArray(vecs) || vecs.length !== texts.length || !vecs.every(Array.isArray)) {
+    throw new ProviderError("bad_response", "embeddings not returned", ctx);
+  }
+  return vecs;
+}
+
+// Cross-encoder scores of each text against the query
+async function rerank(ctx, query, texts, signal) {
+  const j = await inference(ctx, { queries: [query], documents: texts }, signal);
+  const scores = j?.scores;
+  if (!Array.isArray(scores) || scores.length !== texts.length) throw new ProviderError("bad_response", "rerank scores not returned", ctx);
+  return scores.map(Number);
+}
+
+// SDXL / FLUX style parameters → { url }
+async function image(ctx, { prompt, width, height, steps, guidance, seed }, signal) {
+  const j = await inference(ctx, {
+    prompt,
+    image_size: `${width}x${height}`,
+    num_inference_steps: steps,
+    guidance_scale: guidance,
+    ...(typeof seed === "number" ? { seed } : {}),
+  }, signal);
+
+  // Result shapes differ between models
+  let url =
+    j?.images?.[0]?.url ||
+    j?.images?.[0] ||
+    j?.image?.url ||
+    j?.image ||
+    j?.output?.[0]?.url ||
+    j?.output?.[0];
+  if (!url) {
+    // Last resort: any http(s) URL in the payload
+    const maybe = JSON.stringify(j).match(/https?:\/\/[^"'\s]+/);
+    if (maybe) url = maybe[0];
+  }
+  if (typeof url !== "string") throw new ProviderError("bad_response", "no image URL returned", ctx);
+  return { url };
+}
+
+module.exports = {
+  chat: openai.chat,
+  chatStream: openai.chatStream,
+  embed,
+  rerank,
+  image,
+};
@@ -0,0 +1,97 @@
+// lib/providers/errors.js – Typed provider errors.
+//
+// Every failure of a provider call is a ProviderError whose `kind` says what went wrong:
+//   not_configured – no API key (or no model) for the provider
+//   auth           – the provider rejected our key (401/403)
+//   rate_limit     – the provider (or our own provider bucket, lib/ratelimit.js) said slow down
+//   timeout        – no answer within the call's timeout
+//   bad_request    – the provider rejected the request itself (unknown model, prompt too long…)
+//   unavailable    – network failure or a 5xx
+//   bad_response   – a 2xx whose body we could not use
+//   aborted        – the caller cancelled the call
+//   circuit_open   – skipped without a call: the provider's circuit breaker is open (./health.js)
+// It also carries `statusCode` / `code` / `details` (and Retry-After in `headers`), so a handler that
+// lets one escape answers with a structured error through lib/http.js.
+
+const KINDS = {
+  not_configured: { status: 503, retryable: false },
+  auth:           { status: 502, retryable: false },
+  rate_limit:     { status: 429, retryable: true },
+  timeout:        { status: 504, retryable: true },
+  bad_request:    { status: 400, retryable: false },
+  unavailable:    { status: 502, retryable: true },
+  bad_response:   { status: 502, retryable: false },
+  aborted:        { status: 502, retryable: false },
+  circuit_open:   { status: 503, retryable: false },
+};
+
+class ProviderError extends Error {
+  // status: the upstream HTTP status, if any; retryAfter: seconds, from the upstream Retry-After
+  constructor(kind, message, { provider = null, model = null, status = null, retryAfter = null, cause } = {}) {
+    super(provider ? `${provider}: ${message}` : message, cause ? { cause } : undefined);
+    this.name = "ProviderError";
+    this.kind = KINDS[kind] ? kind : "unavailable";
+    this.provider = provider;
+    this.model = model;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.statusCode = KINDS[this.kind].status;
+    this.code = `provider_${this.kind}`;
+    this.details = { provider, ...(model ? { model } : {}), ...(retryAfter != null ? { retryAfter } : {}) };
+    if ((this.kind === "rate_limit" || this.kind === "circuit_open") && retryAfter != null) this.headers = { "Retry-After": String(retryAfter) };
+  }
+
+  get retryable() {
+    return KINDS[this.kind].retryable;
+  }
+}
+
+function isProviderError(err) {
+  return err instanceof ProviderError;
+}
+
+function kindOfStatus(status, message) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate_limit";
+  if (status === 408 || status === 504) return "timeout";
+  // Gemini answers a bad key with 400 INVALID_ARGUMENT
+  if (status === 400 && /api[ _-]?key/i.test(message)) return "auth";
+  if (status >= 500) return "unavailable";
+  return "bad_request";
+}
+
+function parseRetryAfter(value) {
+  const s = parseFloat(value);
+  if (Number.isFinite(s) && s >= 0) return Math.ceil(s);
+  const at = Date.parse(value || "");
+  return Number.isFinite(at) ? Math.max(0, Math.ceil((at - Date.now()) / 1000)) : null;
+}
+
+// Non-2xx fetch Response → ProviderError with the provider's own message when it sent one
+async function fromResponse({ provider, model }, r) {
+  const text = await r.text().catch(() => "");
+  let j = null;
+  try { j = JSON.parse(text); } catch { /* not JSON */ }
+  const e = Array.isArray(j) ? j[0]?.error : j?.error;
+  const message = String(
+    (typeof e === "string" ? e : e?.message) || j?.detail?.error || (typeof j?.detail === "string" ? j.detail : "") ||
+    j?.message || text.slice(0, 300) || `HTTP ${r.status}`
+  ).trim();
+  return new ProviderError(kindOfStatus(r.status, message), message, {
+    provider, model, status: r.status, retryAfter: parseRetryAfter(r.headers.get("retry-after")),
+  });
+}
+
+// Anything thrown around a call (fetch failures, aborts, adapter bugs) → ProviderError
+function fromException({ provider, model }, err) {
+  if (err instanceof ProviderError) return err;
+  if (err?.name === "AbortError") return new ProviderError("aborted", "request aborted", { provider, model, cause: err });
+  return new ProviderError("unavailable", err?.message || String(err), { provider, model, cause: err });
+}
+
+module.exports = {
+  ProviderError,
+  isProviderError,
+  fromResponse,
+  fromException,
+};
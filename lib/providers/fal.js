@@ -0,0 +1,29 @@
+// lib/providers/fal.js – Adapter for fal.ai image models (https://fal.ai/models).
+// The model id is the fal route (fal-ai/flux/dev); other ids are mapped by family.
+
+const { ProviderError } = require("./errors");
+const { postJson } = require("./transport");
+
+function route(model) {
+  if (/^fal-ai\//.test(model)) return model;
+  return /sdxl|stable-diffusion-xl/i.test(model) ? "fal-ai/stable-diffusion-xl" : "fal-ai/flux/dev";
+}
+
+async function image(ctx, { prompt, width, height, steps, guidance, seed }, signal) {
+  const j = await postJson(ctx, `${ctx.baseUrl}/${route(ctx.model)}`, {
+    prompt,
+    image_size: `${width}x${height}`,
+    num_inference_steps: steps,
+    guidance_scale: guidance,
+    seed,
+  }, { headers: { "Authorization": `Key ${ctx.key}` }, signal });
+
+  // Typical outputs: { images: [{ url }] }, { image: { url } }
+  const url = j?.images?.[0]?.url || j?.image?.url || j?.url || j?.data?.[0]?.url;
+  if (!url) throw new ProviderError("bad_response", "no image URL returned", ctx);
+  return { url, model: route(ctx.model) };
+}
+
+module.exports = {
+  image,
+};
@@ -0,0 +1,120 @@
+// lib/providers/gemini.js – Adapter for the Gemini generateContent API.
+// System messages become `systemInstruction`, assistant turns the "model" role; image parts are
+// sent inline. Tools are `functionDeclarations`: an assistant's tool_calls become functionCall parts,
+// tool results functionResponse parts (one user turn per batch of results).
+
+const { post, postJson, readSSE } = require("./transport");
+
+function toParts(content) {
+  if (!Array.isArray(content)) return [{ text: String(content || "") }];
+  return content.map(p => p.type === "image"
+    ? { inline_data: { mime_type: p.mime, data: p.data } }
+    : { text: p.text || "" });
+}
+
+// A tool result (a JSON string from the tool loop) as the object functionResponse wants
+function toolResponse(m) {
+  let result;
+  try { result = JSON.parse(m.content); } catch { result = String(m.content ?? ""); }
+  return { functionResponse: { name: m.name, response: { result } } };
+}
+
+function toContents(messages) {
+  const contents = [];
+  for (const m of messages) {
+    if (m.role === "system") continue;
+    if (m.role === "tool") {
+      const last = contents[contents.length - 1];
+      if (last?.tool) last.parts.push(toolResponse(m));
+      else contents.push({ role: "user", parts: [toolResponse(m)], tool: true });
+      continue;
+    }
+    const parts = m.content || !m.tool_calls?.length ? toParts(m.content) : [];
+    for (const c of m.tool_calls || []) parts.push({ functionCall: { name: c.name, args: c.arguments || {} } });
+    contents.push({ role: m.role === "assistant" ? "model" : "user", parts });
+  }
+  return contents.map(({ tool, ...c }) => c);
+}
+
+// Gemini rejects an object schema without properties: a tool that takes none declares no parameters
+function toDeclaration(t) {
+  const hasParams = Object.keys(t.parameters?.properties || {}).length > 0;
+  return { name: t.name, description: t.description, ...(hasParams ? { parameters: t.parameters } : {}) };
+}
+
+const TOOL_MODES = { auto: "AUTO", none: "NONE", required: "ANY" };
+
+function requestBody(messages, params) {
+  const system = messages.filter(m => m.role === "system").map(m => toParts(m.content).map(p => p.text || "").join("")).join("\n\n");
+  const contents = toContents(messages);
+  return {
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    contents: contents.length ? contents : [{ role: "user", parts: [{ text: system }] }],
+    ...(params.tools?.length ? {
+      tools: [{ functionDeclarations: params.tools.map(toDeclaration) }],
+      ...(params.tool_choice ? { toolConfig: { functionCallingConfig: { mode: TOOL_MODES[params.tool_choice] || "AUTO" } } } : {}),
+    } : {}),
+    generationConfig: {
+      temperature: params.temperature,
+      maxOutputTokens: params.max_tokens,
+      ...(params.top_p != null ? { topP: params.top_p } : {}),
+      ...(params.stop ? { stopSequences: [].concat(params.stop) } : {}),
+    },
+  };
+}
+
+// functionCall parts → tool_calls; Gemini has no call ids, so they are numbered
+function toolCallsOf(parts, offset = 0) {
+  return parts.filter(p => p.functionCall?.name).map((p, i) => ({
+    id: `call_${offset + i}`,
+    name: p.functionCall.name,
+    arguments: p.functionCall.args || {},
+  }));
+}
+
+function usageOf(meta) {
+  if (!meta) return undefined;
+  return {
+    prompt_tokens:     meta.promptTokenCount,
+    completion_tokens: meta.candidatesTokenCount,
+    total_tokens:      meta.totalTokenCount,
+  };
+}
+
+function url(ctx, method) {
+  return `${ctx.baseUrl}/models/${encodeURIComponent(ctx.model)}:${method}`;
+}
+
+async function chat(ctx, messages, params, signal) {
+  const j = await postJson(ctx, url(ctx, "generateContent"), requestBody(messages, params), { headers: { "x-goog-api-key": ctx.key }, signal });
+  const cand = j?.candidates?.[0];
+  const parts = cand?.content?.parts || [];
+  return {
+    text: parts.map(p => p.text || "").join(""),
+    finish_reason: cand?.finishReason || "",
+    usage: usageOf(j.usageMetadata),
+    tool_calls: toolCallsOf(parts),
+  };
+}
+
+async function chatStream(ctx, messages, params, signal, onDelta) {
+  const r = await post(ctx, url(ctx, "streamGenerateContent") + "?alt=sse", requestBody(messages, params), { headers: { "x-goog-api-key": ctx.key }, signal });
+  let text = "", finish_reason = "", usage;
+  const tool_calls = []; // function calls arrive whole, each in its chunk
+  for await (const data of readSSE(r.body)) {
+    let j; try { j = JSON.parse(data); } catch { continue; }
+    const cand = j?.candidates?.[0];
+    const parts = cand?.content?.parts || [];
+    const delta = parts.map(p => p.text || "").join("");
+    if (delta) { text += delta; onDelta(delta); }
+    tool_calls.push(...toolCallsOf(parts, tool_calls.length));
+    if (cand?.finishReason) finish_reason = cand.finishReason;
+    if (j.usageMetadata) usage = usageOf(j.usageMetadata);
+  }
+  return { text, finish_reason, usage, tool_calls };
+}
+
+module.exports = {
+  chat,
+  chatStream,
+};
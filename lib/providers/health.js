@@ -0,0 +1,143 @@
+// lib/providers/health.js – Per-provider health and circuit breakers.
+//
+// Every call to a provider is recorded: outcome and latency (total time for plain calls, time to the
+// first token for streams) over the last `window` calls. From that come the error rate and latency
+// percentiles, and the breaker state:
+//   closed    – calls go through
+//   open      – `consecutiveFailures` failures in a row, or an error rate ≥ `errorRate` over at least
+//               `minRequests` calls: calls are refused for `cooldownMs` (doubling after each failed
+//               trial, up to `maxCooldownMs`)
+//   half_open – the cooldown is over: one trial call goes through; success closes the breaker
+// Only failures that say something about the provider count (auth, rate_limit, timeout, unavailable,
+// bad_response) – not bad requests, cancelled calls or our own limits.
+//
+// State is kept per instance: each serverless instance learns on its own, which is enough to stop
+// one instance from waiting out every timeout of a provider that is down. AI_BREAKER=off disables it.
+
+const COUNTED = new Set(["auth", "rate_limit", "timeout", "unavailable", "bad_response"]);
+const DEFAULTS = { window: 50, minRequests: 10, errorRate: 0.5, consecutiveFailures: 5, cooldownMs: 30000, maxCooldownMs: 300000 };
+
+const states = new Map();
+let clock = () => Date.now(); // setClock() swaps it (tests)
+
+function stateOf(provider) {
+  let s = states.get(provider);
+  if (!s) {
+    s = { samples: [], state: "closed", failures: 0, openUntil: 0, cooldownMs: 0, trial: false, lastError: null, lastSuccessAt: null };
+    states.set(provider, s);
+  }
+  return s;
+}
+
+function enabled() {
+  return !/^(0|off|false|no)$/i.test(process.env.AI_BREAKER || "");
+}
+
+// Moves an open breaker whose cooldown has passed to half_open
+function refresh(s, now = clock()) {
+  if (s.state === "open" && now >= s.openUntil) {
+    s.state = "half_open";
+    s.trial = false;
+  }
+  return s;
+}
+
+// → { allowed, retryAfter? }. A half-open breaker lets exactly one trial call through.
+function allow(provider) {
+  if (!enabled()) return { allowed: true };
+  const s = refresh(stateOf(provider));
+  if (s.state === "closed") return { allowed: true };
+  if (s.state === "half_open" && !s.trial) {
+    s.trial = true;
+    return { allowed: true };
+  }
+  return { allowed: false, retryAfter: Math.max(1, Math.ceil((s.openUntil - clock()) / 1000)) };
+}
+
+function open(s, opts, now) {
+  s.cooldownMs = s.state === "half_open" && s.cooldownMs
+    ? Math.min(s.cooldownMs * 2, opts.maxCooldownMs)
+    : opts.cooldownMs;
+  s.state = "open";
+  s.openUntil = now + s.cooldownMs;
+  s.trial = false;
+}
+
+// Records one call. kind: the ProviderError kind of a failure (null on success).
+function record(provider, { ok, ms, kind = null }, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const s = stateOf(provider);
+  const now = clock();
+  if (!ok && !COUNTED.has(kind)) {
+    if (s.state === "half_open") s.trial = false; // inconclusive trial: let the next call try
+    return;
+  }
+
+  s.samples.push({ ok, ms: ok ? ms : null, at: now });
+  if (s.samples.length > opts.window) s.samples.splice(0, s.samples.length - opts.window);
+
+  if (ok) {
+    s.failures = 0;
+    s.lastSuccessAt = now;
+    if (s.state !== "closed") {
+      s.state = "closed";
+      s.cooldownMs = 0;
+      s.trial = false;
+    }
+    return;
+  }
+
+  s.failures++;
+  s.lastError = { kind, at: now };
+  if (!enabled()) return;
+  const failed = s.samples.filter(x => !x.ok).length;
+  if (
+    s.state === "half_open" ||
+    s.failures >= opts.consecutiveFailures ||
+    (s.samples.length >= opts.minRequests && failed / s.samples.length >= opts.errorRate)
+  ) open(s, opts, now);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// → { circuit, requests, errorRate, latencyMs: { p50, p95, p99 }, lastError, lastSuccessAt, openUntil? }
+function stats(provider) {
+  const s = refresh(stateOf(provider));
+  const lat = s.samples.filter(x => x.ok).map(x => x.ms).sort((a, b) => a - b);
+  const failed = s.samples.length - lat.length;
+  return {
+    circuit: s.state,
+    requests: s.samples.length,
+    errorRate: s.samples.length ? +(failed / s.samples.length).toFixed(3) : null,
+    latencyMs: { p50: percentile(lat, 50), p95: percentile(lat, 95), p99: percentile(lat, 99) },
+    lastError: s.lastError ? { kind: s.lastError.kind, at: new Date(s.lastError.at).toISOString() } : null,
+    lastSuccessAt: s.lastSuccessAt ? new Date(s.lastSuccessAt).toISOString() : null,
+    ...(s.state === "open" ? { openUntil: new Date(s.openUntil).toISOString() } : {}),
+  };
+}
+
+function isOpen(provider) {
+  return enabled() && refresh(stateOf(provider)).state === "open";
+}
+
+// fn: () → ms since the epoch; no argument restores Date.now
+function setClock(fn) {
+  clock = fn || (() => Date.now());
+}
+
+function reset(provider) {
+  if (provider) states.delete(provider);
+  else states.clear();
+}
+
+module.exports = {
+  allow,
+  record,
+  stats,
+  isOpen,
+  reset,
+  setClock,
+};
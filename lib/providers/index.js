@@ -0,0 +1,469 @@
+// lib/providers – One client for every model provider: chat (plain and streamed), embeddings,
+// reranking and images, with a model registry and typed errors (./errors.js).
+//
+//   const { chat } = require("../lib/providers");
+//   const out = await chat({ provider: "groq", messages, params: { max_tokens: 400 } });
+//   // → { text, finish_reason, usage, provider, model }
+//
+// Registry: providers.json (repo root) lists each provider's adapter, endpoint, key variable, the
+// model it uses per role (chat, fast, vision, embed, rerank, image) and its models with their
+// capabilities, context window, output limit and default params. PROVIDERS_CONFIG (JSON) is
+// deep-merged over it, so a deployment can swap models or add one without a code change.
+// Env still wins for the common knobs: AI_PROVIDER_ORDER, <PROVIDER>_MODEL (chat role),
+// <PROVIDER>_<ROLE>_MODEL (e.g. GROQ_FAST_MODEL), <PROVIDER>_BASE_URL, AI_REQUEST_TIMEOUT_MS,
+// AI_MAX_TOKENS, AI_TEMPERATURE. Models missing from the registry may still be used; they just have
+// no known limits.
+//
+// Chat providers: groq, deepinfra, gemini, openai, together, openrouter, anthropic, and the local
+// ollama / llamacpp servers (keyOptional: usable without a key once listed in AI_PROVIDER_ORDER).
+// Pointing <PROVIDER>_BASE_URL at a stub server exercises any of them offline.
+//
+// Adding a provider: an entry in providers.json – "adapter": "openai" covers any OpenAI-compatible
+// endpoint – or, for a new API, an adapter here (chat / chatStream / embed / rerank / image, any subset).
+// Every call takes the provider's shared bucket (lib/ratelimit.js) and has a timeout
+// (timeouts.<capability>, or timeoutMs per call); failures are ProviderErrors.
+//
+// Resilience (config "resilience"): calls pass a per-provider circuit breaker (./health.js) that skips
+// a failing provider for a while; chat calls retry transient failures (rate limits, 5xx, network) with
+// jittered backoff, `retries` times (AI_RETRIES) – timeouts move on to the next provider instead.
+// Routing (config "routing" / AI_ROUTING): "order" keeps the configured order, "latency" prefers the
+// lowest median latency, "cost" the cheapest chat model (models' "cost", USD per million tokens).
+// Providers with an open circuit always go last.
+// Hedging (race(), config "hedge" / AI_HEDGE_MS): for latency over cost, a call can go to two
+// providers – at once or the second after a delay – and the first answer wins.
+// No Node-only APIs: the Edge handler uses this too.
+
+const REGISTRY = require("../../providers.json");
+const { ProviderError, isProviderError, fromException } = require("./errors");
+const { deadline } = require("./transport");
+const health = require("./health");
+const { takeProvider } = require("../ratelimit");
+
+const ADAPTERS = {
+  openai:    require("./openai"),
+  anthropic: require("./anthropic"),
+  deepinfra: require("./deepinfra"),
+  gemini:    require("./gemini"),
+  fal:       require("./fal"),
+};
+
+/* ---------------- config ---------------- */
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Objects merge key by key; anything else (arrays included) replaces
+function merge(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return over === undefined ? base : over;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = merge(base[k], v);
+  return out;
+}
+
+let cached = null, cachedRaw = null;
+function config() {
+  const raw = process.env.PROVIDERS_CONFIG || "";
+  if (cached && raw === cachedRaw) return cached;
+  let over = {};
+  if (raw) {
+    try { over = JSON.parse(raw); }
+    catch (err) { console.warn("[providers] PROVIDERS_CONFIG is not valid JSON, ignored:", err?.message || err); }
+  }
+  cached = merge(REGISTRY, isPlainObject(over) ? over : {});
+  cachedRaw = raw;
+  return cached;
+}
+
+function envName(name) {
+  return String(name).toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+function providerConfig(name) {
+  return config().providers?.[name] || null;
+}
+
+function apiKey(name) {
+  const env = providerConfig(name)?.keyEnv;
+  return env ? process.env[env] || "" : "";
+}
+
+function needsKey(p) {
+  return !!p.keyEnv && !p.keyOptional;
+}
+
+// Known provider whose key (if it needs one) is set
+function isConfigured(name) {
+  const p = providerConfig(name);
+  return !!p && !!ADAPTERS[p.adapter || name] && (!needsKey(p) || !!apiKey(name));
+}
+
+// Model a provider uses for `role` ("chat", "fast", "vision", "embed", "rerank", "image")
+function modelFor(name, role = "chat") {
+  const env = role === "chat" ? `${envName(name)}_MODEL` : `${envName(name)}_${envName(role)}_MODEL`;
+  return process.env[env] || providerConfig(name)?.roles?.[role] || null;
+}
+
+// Registry entry of a model → { id, provider, capabilities, contextWindow, maxOutputTokens, params, … }
+function modelInfo(name, id) {
+  const m = providerConfig(name)?.models?.[id] || {};
+  return { capabilities: [], contextWindow: null, maxOutputTokens: null, params: {}, ...m, id, provider: name };
+}
+
+// Whether the model a provider uses for `role` is listed with the "tools" capability (function
+// calling). Models missing from the registry are not assumed to support it.
+function supportsTools(provider, role = "chat") {
+  return modelInfo(provider, modelFor(provider, role)).capabilities.includes("tools");
+}
+
+// Provider configured for a role outside the chat order (config "use": embed, rerank, image, vision)
+function providerFor(role) {
+  return config().use?.[role] || null;
+}
+
+// Providers that can serve `capability`, configured (key set), in order: AI_PROVIDER_ORDER or
+// the config's order for chat, `order` when given – then routed (see the header)
+function providersFor(capability = "chat", order = null) {
+  const cfg = config();
+  const list = order
+    || (capability === "chat" && process.env.AI_PROVIDER_ORDER ? process.env.AI_PROVIDER_ORDER.split(",") : null)
+    || (capability === "chat" ? cfg.order : Object.keys(cfg.providers || {}));
+  const seen = new Set();
+  const usable = list
+    .map(p => String(p).trim().toLowerCase())
+    .filter(p => p && !seen.has(p) && seen.add(p))
+    .filter(p => isConfigured(p) && typeof ADAPTERS[providerConfig(p).adapter || p][capability] === "function");
+  return route(usable, capability);
+}
+
+// Blended price of a provider's chat model, Infinity when unknown
+function costOf(provider) {
+  const c = modelInfo(provider, modelFor(provider, "chat")).cost;
+  return c && Number.isFinite(c.input + c.output) ? c.input + c.output : Infinity;
+}
+
+function routing() {
+  const mode = String(process.env.AI_ROUTING || config().routing || "order").toLowerCase();
+  return ["order", "latency", "cost"].includes(mode) ? mode : "order";
+}
+
+// Open circuits last; then by median latency (unmeasured first, so they get measured) or cost;
+// ties keep the given order
+function route(list, capability) {
+  const mode = capability === "chat" ? routing() : "order";
+  const score = mode === "latency" ? (p) => health.stats(p).latencyMs.p50 ?? 0
+    : mode === "cost" ? costOf
+    : () => 0;
+  return list
+    .map((p, i) => ({ p, i, open: health.isOpen(healthKey(p, capability)) ? 1 : 0, score: score(p) }))
+    .sort((a, b) => a.open - b.open || a.score - b.score || a.i - b.i)
+    .map(x => x.p);
+}
+
+// Chat and streamed chat share a breaker; other capabilities get their own ("deepinfra/embed")
+function healthKey(provider, capability) {
+  return capability === "chat" || capability === "chatStream" ? provider : `${provider}/${capability}`;
+}
+
+function resilience() {
+  const r = config().resilience || {};
+  return {
+    retries: process.env.AI_RETRIES != null && process.env.AI_RETRIES !== "" ? Math.max(0, +process.env.AI_RETRIES || 0) : (r.retries ?? 1),
+    retryBaseMs: r.retryBaseMs ?? 200,
+    retryMaxMs: r.retryMaxMs ?? 2000,
+    breaker: r.breaker || {},
+  };
+}
+
+function timeoutFor(capability) {
+  if (capability === "chat" && +process.env.AI_REQUEST_TIMEOUT_MS > 0) return +process.env.AI_REQUEST_TIMEOUT_MS;
+  return +config().timeouts?.[capability] || 30000;
+}
+
+// Generation params: config defaults < AI_MAX_TOKENS / AI_TEMPERATURE < the model's params < the call's;
+// max_tokens is capped at the model's output limit
+function chatParams(info, params) {
+  const env = {
+    ...(process.env.AI_MAX_TOKENS ? { max_tokens: +process.env.AI_MAX_TOKENS } : {}),
+    ...(process.env.AI_TEMPERATURE ? { temperature: +process.env.AI_TEMPERATURE } : {}),
+  };
+  const own = Object.fromEntries(Object.entries(params).filter(([, v]) => v !== undefined));
+  const out = { ...config().defaults, ...env, ...info.params, ...own };
+  if (info.maxOutputTokens && out.max_tokens > info.maxOutputTokens) out.max_tokens = info.maxOutputTokens;
+  return out;
+}
+
+/* ---------------- calls ---------------- */
+// Resolves the adapter and model, takes the provider bucket, passes the circuit breaker and runs
+// fn(adapter, ctx, info, deadline, firstByte); every failure comes out as a ProviderError. The outcome
+// and latency (up to firstByte() when a stream calls it) are recorded for the breaker.
+async function run(capability, { provider, model, role, timeoutMs, signal }, fn) {
+  const p = providerConfig(provider);
+  const adapter = p && ADAPTERS[p.adapter || provider];
+  if (!adapter) throw new ProviderError("not_configured", "unknown provider", { provider });
+  if (typeof adapter[capability] !== "function") throw new ProviderError("bad_request", `does not support ${capability}`, { provider });
+  if (needsKey(p) && !apiKey(provider)) throw new ProviderError("not_configured", `missing ${p.keyEnv}`, { provider });
+  const id = model || modelFor(provider, role);
+  if (!id) throw new ProviderError("not_configured", `no ${role} model configured`, { provider });
+
+  const { models, roles, ...settings } = p;
+  const ctx = { ...settings, baseUrl: process.env[`${envName(provider)}_BASE_URL`] || p.baseUrl, provider, model: id, key: apiKey(provider) };
+  if (!(await takeProvider(provider))) throw new ProviderError("rate_limit", "provider rate limit reached", { provider, model: id });
+
+  const key = healthKey(provider, capability);
+  const gate = health.allow(key);
+  if (!gate.allowed) throw new ProviderError("circuit_open", "skipped, circuit open", { provider, model: id, retryAfter: gate.retryAfter });
+
+  const ms = timeoutMs || timeoutFor(capability === "chatStream" ? "chat" : capability);
+  const dl = deadline(ms, signal);
+  const started = Date.now();
+  let firstAt = null;
+  const firstByte = () => { if (firstAt == null) firstAt = Date.now(); };
+  const breaker = resilience().breaker;
+  try {
+    const out = await fn(adapter, ctx, modelInfo(provider, id), dl, firstByte);
+    health.record(key, { ok: true, ms: (firstAt ?? Date.now()) - started }, breaker);
+    return out;
+  } catch (err) {
+    const e = dl.timedOut
+      ? new ProviderError("timeout", `no answer within ${ms}ms`, { provider, model: id, cause: err })
+      : fromException(ctx, err);
+    health.record(key, { ok: false, kind: e.kind }, breaker);
+    throw e;
+  } finally {
+    dl.clear();
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Wait before retry `n` (0-based) of a failed call, or null when it should not be retried: not
+// transient, a timeout (the provider already had its full time), or a Retry-After beyond retryMaxMs
+function retryDelay(err, n, { retries, retryBaseMs, retryMaxMs }) {
+  if (n >= retries || !err?.retryable || err.kind === "timeout") return null;
+  if (err.retryAfter != null) return err.retryAfter * 1000 <= retryMaxMs ? err.retryAfter * 1000 : null;
+  const cap = Math.min(retryMaxMs, retryBaseMs * 2 ** n);
+  return cap / 2 + Math.random() * cap / 2;
+}
+
+// Runs attempt() with retries; canRetry() can veto one (a stream that already sent tokens), and
+// nothing is retried once the caller's signal has aborted
+async function withRetries(attempt, canRetry = () => true, signal) {
+  const opts = resilience();
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      const wait = canRetry() && !signal?.aborted ? retryDelay(err, n, opts) : null;
+      if (wait == null) throw err;
+      await sleep(wait);
+    }
+  }
+}
+
+// Generation params plus the tools offered for this call (see chat())
+function callParams(info, params, tools, toolChoice) {
+  const out = chatParams(info, params);
+  return tools?.length ? { ...out, tools, ...(toolChoice ? { tool_choice: toolChoice } : {}) } : out;
+}
+
+// messages: [{ role: "system" | "user" | "assistant", content }] – content is a string, or parts
+// ({ type: "text", text } / { type: "image", mime, data }) for vision models.
+// params: temperature, max_tokens, top_p, stop. → { text, finish_reason, usage, tool_calls, provider, model }
+// Tools (models with the "tools" capability, see supportsTools()): tools = [{ name, description,
+// parameters (JSON schema) }], toolChoice "auto" | "none" | "required". The model's calls come back as
+// tool_calls: [{ id, name, arguments }] (arguments null when the model sent invalid JSON); the next
+// call carries them on the assistant message, followed by { role: "tool", tool_call_id, name, content }
+// messages with the results.
+async function chat({ provider, model, role = "chat", messages, params = {}, tools, toolChoice, timeoutMs, signal }) {
+  return withRetries(() => run("chat", { provider, model, role, timeoutMs, signal }, async (adapter, ctx, info, dl) => {
+    const out = await adapter.chat(ctx, messages, callParams(info, params, tools, toolChoice), dl.signal);
+    return { ...out, tool_calls: out.tool_calls || [], provider, model: ctx.model };
+  }), undefined, signal);
+}
+
+// Like chat(), calling onDelta(text) per token chunk. timeoutMs is an idle timeout: it is re-armed on
+// every delta, so long answers are not cut off while the provider keeps producing tokens.
+async function chatStream({ provider, model, role = "chat", messages, params = {}, tools, toolChoice, timeoutMs, signal, onDelta }) {
+  let sent = false;
+  return withRetries(() => run("chatStream", { provider, model, role, timeoutMs, signal }, async (adapter, ctx, info, dl, firstByte) => {
+    const out = await adapter.chatStream(ctx, messages, callParams(info, params, tools, toolChoice), dl.signal, (delta) => {
+      firstByte();
+      sent = true;
+      dl.touch();
+      onDelta(delta);
+    });
+    return { ...out, tool_calls: out.tool_calls || [], provider, model: ctx.model };
+  }), () => !sent, signal);
+}
+
+// texts → one vector per text
+async function embed({ provider = providerFor("embed"), model, texts, timeoutMs, signal }) {
+  return run("embed", { provider, model, role: "embed", timeoutMs, signal },
+    (adapter, ctx, info, dl) => adapter.embed(ctx, texts, dl.signal));
+}
+
+// → one relevance score per text
+async function rerank({ provider = providerFor("rerank"), model, query, texts, timeoutMs, signal }) {
+  return run("rerank", { provider, model, role: "rerank", timeoutMs, signal },
+    (adapter, ctx, info, dl) => adapter.rerank(ctx, query, texts, dl.signal));
+}
+
+// → { url, provider, model, steps, guidance }. steps / guidance default to the model's params.
+async function image({ provider = providerFor("image"), model, prompt, width = 1024, height = 1024, steps, guidance, seed, timeoutMs, signal }) {
+  return run("image", { provider, model, role: "image", timeoutMs, signal }, async (adapter, ctx, info, dl) => {
+    const settings = { steps: steps ?? info.params.steps ?? 28, guidance: guidance ?? info.params.guidance ?? 7 };
+    const out = await adapter.image(ctx, { prompt, width, height, seed, ...settings }, dl.signal);
+    return { url: out.url, provider, model: out.model || ctx.model, ...settings };
+  });
+}
+
+// Runs fn(provider) for each provider in turn until one succeeds; throws the last error
+// that came from an actual call (a skipped open circuit says less than a real failure)
+async function withFallback(order, fn) {
+  if (!order.length) throw new ProviderError("not_configured", "No provider API keys configured");
+  let lastErr = null;
+  for (const provider of order) {
+    try { return await fn(provider); }
+    catch (err) { if (!lastErr || err?.kind !== "circuit_open") lastErr = err; }
+  }
+  throw lastErr;
+}
+
+// Hedging as a caller asks for it (options.hedge): "parallel" starts two providers at once; true /
+// "hedged" starts the second after hedge.delayMs (AI_HEDGE_MS); a number is that delay in ms.
+// → { delayMs } or null when the caller did not ask for it
+function hedgeOptions(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  let ms;
+  if (typeof value === "number" || /^\d+$/.test(v)) ms = +v;
+  else if (v === "parallel") ms = 0;
+  else if (/^(true|on|yes|hedged?)$/.test(v)) ms = process.env.AI_HEDGE_MS ? +process.env.AI_HEDGE_MS : +config().hedge?.delayMs;
+  else return null;
+  return { delayMs: Math.min(Math.max(0, ms || 0), MAX_HEDGE_MS) };
+}
+const MAX_HEDGE_MS = 10000;
+
+// Races fn(provider, signal, win) over `order`, at most two calls in flight: the first provider
+// starts at once, the next one after `delayMs` (or as soon as a call fails – then it is plain
+// fallback). The first call to succeed wins and the others are aborted through their signal. A
+// stream claims the win early with win() – on its first token – and only the winner may emit
+// (win() returns false for the others). Provider buckets and breakers apply to every call (run()),
+// so a provider out of quota just fails fast and the next one starts.
+// → { result, provider, hedge: { delayMs, winner, latencyMs, attempts: [{ provider, startedMs, ms, outcome, error? }] } }
+// outcome: "won", "failed", "aborted" (lost the race) or "pending" (never finished: the winner ended it)
+function race(order, fn, { delayMs = 0, signal } = {}) {
+  if (!order.length) return Promise.reject(new ProviderError("not_configured", "No provider API keys configured"));
+  const started = Date.now();
+  const attempts = [];
+  return new Promise((resolve, reject) => {
+    let next = 0, running = 0, winner = null, lastErr = null, timer = null, settled = false;
+
+    const report = () => ({
+      delayMs,
+      winner: winner?.provider || null,
+      latencyMs: winner?.ms ?? null,
+      attempts: attempts.map(({ ac, ...a }) => a),
+    });
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener?.("abort", onAbort);
+      if (err) { err.hedge = report(); reject(err); }
+      else resolve({ ...value, hedge: report() });
+    };
+    const claim = (a) => {
+      if (winner) return winner === a;
+      winner = a;
+      clearTimeout(timer);
+      for (const other of attempts) {
+        if (other === a || other.outcome !== "pending") continue;
+        other.outcome = "aborted";
+        other.ms = Date.now() - started - other.startedMs;
+        other.ac.abort();
+      }
+      return true;
+    };
+    const onAbort = () => { for (const a of attempts) a.ac.abort(); };
+    signal?.addEventListener?.("abort", onAbort, { once: true });
+
+    const launch = () => {
+      if (winner || settled || running >= 2 || next >= order.length) return false;
+      const a = { provider: order[next++], startedMs: Date.now() - started, ms: null, outcome: "pending", ac: new AbortController() };
+      if (signal?.aborted) a.ac.abort();
+      attempts.push(a);
+      running++;
+      Promise.resolve()
+        .then(() => fn(a.provider, a.ac.signal, () => claim(a)))
+        .then((result) => {
+          running--;
+          if (!claim(a)) return; // finished after another call won; already marked aborted
+          a.outcome = "won";
+          a.ms = Date.now() - started - a.startedMs;
+          finish(null, { result, provider: a.provider });
+        }, (err) => {
+          running--;
+          if (a.outcome === "pending") {
+            a.outcome = "failed";
+            a.ms = Date.now() - started - a.startedMs;
+            a.error = err?.kind || err?.message || "failed";
+          }
+          if (winner === a) return finish(err); // the winner failed after claiming: nothing to fall back to
+          if (winner) return;
+          if (!lastErr || err?.kind !== "circuit_open") lastErr = err;
+          if (!launch() && running === 0) finish(lastErr);
+        });
+      return true;
+    };
+
+    launch();
+    if (delayMs > 0) timer = setTimeout(launch, delayMs);
+    else launch();
+  });
+}
+
+// Health of every provider in the registry: { [name]: { configured, circuit, requests, errorRate,
+// latencyMs, lastError, … } } – other capabilities' breakers (e.g. "deepinfra/embed") are listed
+// under `capabilities` when they have seen calls
+function healthReport() {
+  const out = {};
+  for (const [name, p] of Object.entries(config().providers || {})) {
+    const configured = isConfigured(name);
+    if (!configured) { out[name] = { configured }; continue; }
+    const adapter = ADAPTERS[p.adapter || name];
+    const capabilities = {};
+    for (const cap of ["embed", "rerank", "image"]) {
+      if (typeof adapter[cap] !== "function") continue;
+      const s = health.stats(healthKey(name, cap));
+      if (s.requests) capabilities[cap] = s;
+    }
+    out[name] = {
+      configured,
+      ...(typeof adapter.chat === "function" ? health.stats(name) : {}),
+      ...(Object.keys(capabilities).length ? { capabilities } : {}),
+    };
+  }
+  return out;
+}
+
+module.exports = {
+  chat,
+  chatStream,
+  embed,
+  rerank,
+  image,
+  withFallback,
+  race,
+  hedgeOptions,
+  healthReport,
+  routing,
+  providersFor,
+  providerFor,
+  modelFor,
+  modelInfo,
+  supportsTools,
+  isConfigured,
+  config,
+  ProviderError,
+  isProviderError,
+};
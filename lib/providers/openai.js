@@ -0,0 +1,112 @@
+// lib/providers/openai.js – Adapter for OpenAI-compatible chat completions: OpenAI itself, Groq,
+// DeepInfra's /openai, Together, OpenRouter and local servers (Ollama, llama.cpp).
+// ctx: { provider, model, baseUrl, key, headers?, mergeSystem? } from lib/providers/index.js.
+// Tool calling uses the standard `tools` / `tool_calls` fields (Groq, DeepInfra and the others follow them).
+// mergeSystem folds every system message into one leading system message, for servers whose chat
+// templates only accept a system prompt at the start.
+
+const { post, postJson, readSSE } = require("./transport");
+
+// Message content is a string or parts: { type: "text", text } | { type: "image", mime, data (base64) }.
+// Tool turns: an assistant message's tool_calls ([{ id, name, arguments }]) and { role: "tool", tool_call_id, content }.
+function toOpenAIMessages(messages) {
+  return messages.map(m => {
+    if (m.role === "tool") return { role: "tool", tool_call_id: m.tool_call_id, content: String(m.content ?? "") };
+    return {
+      role: m.role,
+      content: Array.isArray(m.content)
+        ? m.content.map(p => p.type === "image"
+            ? { type: "image_url", image_url: { url: `data:${p.mime};base64,${p.data}` } }
+            : { type: "text", text: p.text || "" })
+        : m.content,
+      ...(m.tool_calls?.length ? {
+        tool_calls: m.tool_calls.map(c => ({ id: c.id, type: "function", function: { name: c.name, arguments: JSON.stringify(c.arguments ?? {}) } })),
+      } : {}),
+    };
+  });
+}
+
+// params.tools: [{ name, description, parameters (JSON schema) }]; params.tool_choice: "auto" | "none" | "required"
+function toolFields(params) {
+  if (!params.tools?.length) return {};
+  return {
+    tools: params.tools.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.parameters } })),
+    ...(params.tool_choice ? { tool_choice: params.tool_choice } : {}),
+  };
+}
+
+// Arguments arrive as a JSON string; null when it does not parse
+function parseArguments(raw) {
+  if (raw && typeof raw === "object") return raw;
+  try { return JSON.parse(raw || "{}"); } catch { return null; }
+}
+
+function toolCallsOf(calls) {
+  return (calls || []).filter(c => c?.function?.name).map((c, i) => ({
+    id: c.id || `call_${i}`,
+    name: c.function.name,
+    arguments: parseArguments(c.function.arguments),
+  }));
+}
+
+function mergeSystemMessages(messages) {
+  const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+  const rest = messages.filter(m => m.role !== "system");
+  return system ? [{ role: "system", content: system }, ...rest] : rest;
+}
+
+function requestBody(ctx, messages, params, stream) {
+  return {
+    model: ctx.model,
+    messages: toOpenAIMessages(ctx.mergeSystem ? mergeSystemMessages(messages) : messages),
+    temperature: params.temperature,
+    max_tokens: params.max_tokens,
+    ...(params.top_p != null ? { top_p: params.top_p } : {}),
+    ...(params.stop ? { stop: params.stop } : {}),
+    ...toolFields(params),
+    stream,
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
+  };
+}
+
+// Bearer key (keyless local servers get none) plus the provider's extra headers from the config
+function authHeaders(ctx) {
+  return { ...(ctx.headers || {}), ...(ctx.key ? { "Authorization": `Bearer ${ctx.key}` } : {}) };
+}
+
+async function chat(ctx, messages, params, signal) {
+  const j = await postJson(ctx, `${ctx.baseUrl}/chat/completions`, requestBody(ctx, messages, params, false), { headers: authHeaders(ctx), signal });
+  const c = j.choices?.[0];
+  return { text: c?.message?.content || "", finish_reason: c?.finish_reason || "", usage: j.usage, tool_calls: toolCallsOf(c?.message?.tool_calls) };
+}
+
+async function chatStream(ctx, messages, params, signal, onDelta) {
+  const r = await post(ctx, `${ctx.baseUrl}/chat/completions`, requestBody(ctx, messages, params, true), { headers: authHeaders(ctx), signal });
+  let text = "", finish_reason = "", usage;
+  const calls = []; // tool calls arrive in pieces, keyed by index
+  for await (const data of readSSE(r.body)) {
+    if (data === "[DONE]") break;
+    let j; try { j = JSON.parse(data); } catch { continue; }
+    const c = j.choices?.[0];
+    const delta = c?.delta?.content;
+    if (delta) { text += delta; onDelta(delta); }
+    for (const t of c?.delta?.tool_calls || []) {
+      const i = t.index ?? calls.length;
+      const call = calls[i] || (calls[i] = { id: null, function: { name: "", arguments: "" } });
+      if (t.id) call.id = t.id;
+      if (t.function?.name) call.function.name += t.function.name;
+      if (t.function?.arguments) call.function.arguments += t.function.arguments;
+    }
+    if (c?.finish_reason) finish_reason = c.finish_reason;
+    if (j.usage) usage = j.usage;
+    else if (j.x_groq?.usage) usage = j.x_groq.usage; // Groq reports usage here on the last chunk
+  }
+  return { text, finish_reason, usage, tool_calls: toolCallsOf(calls.filter(Boolean)) };
+}
+
+module.exports = {
+  chat,
+  chatStream,
+  authHeaders,
+  toOpenAIMessages,
+};
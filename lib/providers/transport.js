@@ -0,0 +1,85 @@
+// lib/providers/transport.js – HTTP plumbing shared by the adapters: JSON posts with typed errors,
+// deadlines and server-sent event streams. No Node-only APIs: the Edge handler loads providers too.
+
+const { ProviderError, fromResponse, fromException } = require("./errors");
+
+// Abort signal that fires after `ms`, or as soon as `parent` (the caller's signal) aborts.
+// touch() re-arms the timer, which makes it an idle timeout for streams.
+function deadline(ms, parent) {
+  const ac = new AbortController();
+  let timedOut = false;
+  let t = null;
+  const arm = () => {
+    clearTimeout(t);
+    t = setTimeout(() => { timedOut = true; ac.abort(); }, ms);
+  };
+  const onParent = () => ac.abort();
+  if (parent?.aborted) ac.abort();
+  else parent?.addEventListener?.("abort", onParent, { once: true });
+  arm();
+  return {
+    signal: ac.signal,
+    get timedOut() { return timedOut; },
+    touch: arm,
+    clear() {
+      clearTimeout(t);
+      parent?.removeEventListener?.("abort", onParent);
+    },
+  };
+}
+
+// POST a JSON body → the Response; network failures and non-2xx answers become ProviderErrors
+async function post(ctx, url, body, { headers = {}, signal } = {}) {
+  let r;
+  try {
+    r = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    throw fromException(ctx, err);
+  }
+  if (!r.ok) throw await fromResponse(ctx, r);
+  return r;
+}
+
+// POST a JSON body → the parsed JSON answer
+async function postJson(ctx, url, body, opts) {
+  const r = await post(ctx, url, body, opts);
+  const j = await r.json().catch(() => null);
+  if (j == null) throw new ProviderError("bad_response", "response was not JSON", ctx);
+  return j;
+}
+
+// Yields the `data:` payload of each server-sent event in a response body
+async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  let data = [];
+  const reader = body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl).replace(/\r$/, "");
+      buf = buf.slice(nl + 1);
+      if (line === "") {
+        if (data.length) { yield data.join("\n"); data = []; }
+      } else if (line.startsWith("data:")) {
+        data.push(line.slice(5).trimStart());
+      }
+    }
+  }
+  if (data.length) yield data.join("\n");
+}
+
+module.exports = {
+  deadline,
+  post,
+  postJson,
+  readSSE,
+};
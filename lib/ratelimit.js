@@ -0,0 +1,265 @@
+// lib/ratelimit.js – Rate limits and daily quotas.
+//
+// Rate limits are token buckets per endpoint and caller (the user id when signed in, else the client
+// IP): `capacity` requests at once, refilled at `perMinute`. Defaults below; override with
+// RATE_LIMIT_<ENDPOINT>="<capacity>/<perMinute>" (e.g. RATE_LIMIT_IMG="5/2", "off" disables one).
+// Providers get a shared bucket too (RATE_LIMIT_PROVIDER_<NAME>, unlimited by default): a provider
+// over its limit is skipped like a failing one.
+//
+// Daily quotas (UTC days) per caller: QUOTA_IMAGES_PER_DAY (50) and QUOTA_TOKENS_PER_DAY (200000),
+// 0 for unlimited. Tokens are counted after each answer, so the request that crosses the line completes.
+//
+// Over a limit → 429 with Retry-After; every limited response carries X-RateLimit-Limit / -Remaining /
+// -Reset. Admins and RATE_LIMIT_EXEMPT (comma-separated user ids) are never limited; /api/limits lets
+// admins inspect and reset a caller's usage.
+//
+// Store: RATE_LIMIT_STORE = memory (an LRU per instance – fine for local dev) | redis (Upstash REST,
+// UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN; the default when those are set) | off.
+// Store errors fail open: a limiter outage never takes the API down.
+// No Node-only APIs: the Edge handler uses this too.
+
+const { httpError } = require("./http");
+const { estimateTokens } = require("./chunking");
+
+const DEFAULT_LIMITS = {
+  "ai-expert": "20/10",
+  ai:          "20/10",
+  ask:         "20/10",
+  img:         "5/2",
+  ingest:      "10/5",
+};
+const QUOTAS = {
+  images: { env: "QUOTA_IMAGES_PER_DAY", fallback: 50 },
+  tokens: { env: "QUOTA_TOKENS_PER_DAY", fallback: 200000 },
+};
+const DAY_SECONDS = 24 * 3600;
+
+/* ---------------- config ---------------- */
+function envName(name) {
+  return String(name).toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+// "<capacity>/<perMinute>" → { capacity, perSecond } | null (unlimited)
+function parseLimit(spec) {
+  const m = String(spec || "").trim().match(/^(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (!m || +m[1] <= 0 || +m[2] <= 0) return null;
+  return { capacity: +m[1], perSecond: +m[2] / 60 };
+}
+
+function endpointLimit(endpoint) {
+  return parseLimit(process.env[`RATE_LIMIT_${envName(endpoint)}`] ?? DEFAULT_LIMITS[endpoint]);
+}
+
+function providerLimit(provider) {
+  return parseLimit(process.env[`RATE_LIMIT_PROVIDER_${envName(provider)}`]);
+}
+
+function quotaLimit(name) {
+  const q = QUOTAS[name];
+  const n = +(process.env[q.env] ?? q.fallback);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function exempt({ userId, admin }) {
+  if (admin) return true;
+  return !!userId && String(process.env.RATE_LIMIT_EXEMPT || "").split(",").map(s => s.trim()).includes(userId);
+}
+
+/* ---------------- stores ---------------- */
+// take(key, capacity, perSecond, cost) → { allowed, remaining }
+// incr(key, n, ttlSeconds) → new total;  get(key) → number;  del(keys)
+function memoryStore() {
+  const { LRUCache } = require("lru-cache");
+  const cache = new LRUCache({ max: +(process.env.RATE_LIMIT_MEMORY_KEYS || 10000), ttl: 2 * DAY_SECONDS * 1000 });
+  return {
+    async take(key, capacity, perSecond, cost) {
+      const now = Date.now();
+      const s = cache.get(key) || { tokens: capacity, ts: now };
+      const tokens = Math.min(capacity, s.tokens + ((now - s.ts) / 1000) * perSecond);
+      const allowed = tokens >= cost;
+      const left = allowed ? tokens - cost : tokens;
+      cache.set(key, { tokens: left, ts: now });
+      return { allowed, remaining: left };
+    },
+    async incr(key, n, ttlSeconds) {
+      const total = (cache.get(key) || 0) + n;
+      cache.set(key, total, { ttl: ttlSeconds * 1000 });
+      return total;
+    },
+    async get(key) { return cache.get(key) || 0; },
+    async del(keys) { for (const k of keys) cache.delete(k); },
+  };
+}
+
+// Refill and take in one round trip, atomically
+const TAKE_SCRIPT = `
+local cap, rate, now, cost = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), tonumber(ARGV[4])
+local s = redis.call('HMGET', KEYS[1], 't', 'ts')
+local t = tonumber(s[1]) or cap
+local ts = tonumber(s[2]) or now
+t = math.min(cap, t + (now - ts) / 1000 * rate)
+local ok = 0
+if t >= cost then t = t - cost; ok = 1 end
+redis.call('HSET', KEYS[1], 't', tostring(t), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(cap / rate * 1000) + 1000)
+return { ok, tostring(t) }`;
+
+function redisStore() {
+  const { Redis } = require("@upstash/redis");
+  const redis = Redis.fromEnv();
+  const prefix = process.env.RATE_LIMIT_PREFIX || "rl:";
+  return {
+    async take(key, capacity, perSecond, cost) {
+      const [ok, left] = await redis.eval(TAKE_SCRIPT, [prefix + key], [capacity, perSecond, Date.now(), cost]);
+      return { allowed: +ok === 1, remaining: +left };
+    },
+    async incr(key, n, ttlSeconds) {
+      const total = await redis.incrby(prefix + key, n);
+      if (total === n) await redis.expire(prefix + key, ttlSeconds);
+      return total;
+    },
+    async get(key) { return +(await redis.get(prefix + key)) || 0; },
+    async del(keys) { if (keys.length) await redis.del(...keys.map(k => prefix + k)); },
+  };
+}
+
+let store;
+function getStore() {
+  if (store !== undefined) return store;
+  const kind = (process.env.RATE_LIMIT_STORE || (process.env.UPSTASH_REDIS_REST_URL ? "redis" : "memory")).toLowerCase();
+  try {
+    store = kind === "off" ? null : kind === "redis" ? redisStore() : memoryStore();
+  } catch (err) {
+    console.warn(`[ratelimit] ${kind} store unavailable, limits disabled:`, err?.message || err);
+    store = null;
+  }
+  return store;
+}
+
+// Fail open on store errors
+async function safely(fn, fallback) {
+  try { return await fn(); }
+  catch (err) { console.warn("[ratelimit] store error:", err?.message || err); return fallback; }
+}
+
+/* ---------------- callers ---------------- */
+// First address of X-Forwarded-For (set by Vercel), else X-Real-IP
+function clientIp(getHeader) {
+  const fwd = String(getHeader("x-forwarded-for") || "").split(",")[0].trim();
+  return fwd || String(getHeader("x-real-ip") || "").trim() || "unknown";
+}
+
+// Node (req.headers object) or Edge (Headers) request → header getter
+function headerGetter(req) {
+  return typeof req.headers?.get === "function" ? (k) => req.headers.get(k) : (k) => req.headers[k];
+}
+
+function subjectOf(req, userId) {
+  return userId ? `user:${userId}` : `ip:${clientIp(headerGetter(req))}`;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+function secondsToMidnight() {
+  const d = new Date();
+  return Math.max(1, Math.ceil((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - d.getTime()) / 1000));
+}
+function quotaKey(name, subject, day = today()) {
+  return `quota:${name}:${subject}:${day}`;
+}
+
+/* ---------------- limits ---------------- */
+// Takes one request from the caller's bucket for `endpoint`; throws a 429 when it is empty.
+// setHeader(name, value) receives the X-RateLimit-* headers.
+//   req: Node or Edge request; userId/admin: from lib/auth resolveUser (null when anonymous)
+async function rateLimit(req, endpoint, { userId = null, admin = false, setHeader = () => {} } = {}) {
+  const limit = endpointLimit(endpoint);
+  const s = getStore();
+  if (!limit || !s || exempt({ userId, admin })) return;
+
+  const key = `bucket:${endpoint}:${subjectOf(req, userId)}`;
+  const out = await safely(() => s.take(key, limit.capacity, limit.perSecond, 1), null);
+  if (!out) return;
+  const reset = Math.ceil((limit.capacity - out.remaining) / limit.perSecond);
+  const headers = {
+    "X-RateLimit-Limit": String(limit.capacity),
+    "X-RateLimit-Remaining": String(Math.floor(out.remaining)),
+    "X-RateLimit-Reset": String(reset),
+  };
+  if (!out.allowed) {
+    const retryAfter = Math.max(1, Math.ceil((1 - out.remaining) / limit.perSecond));
+    const err = httpError(429, `Too many requests to ${endpoint}; retry in ${retryAfter}s`, "rate_limited", { retryAfter });
+    err.headers = { ...headers, "Retry-After": String(retryAfter) };
+    throw err;
+  }
+  for (const [k, v] of Object.entries(headers)) setHeader(k, v);
+}
+
+// Throws a 429 when the caller has used up today's `name` quota ("images" | "tokens")
+async function checkQuota(req, name, { userId = null, admin = false } = {}) {
+  const limit = quotaLimit(name);
+  const s = getStore();
+  if (!limit || !s || exempt({ userId, admin })) return;
+  const used = await safely(() => s.get(quotaKey(name, subjectOf(req, userId))), 0);
+  if (used >= limit) {
+    const retryAfter = secondsToMidnight();
+    const err = httpError(429, `Daily ${name} quota of ${limit} used up`, "quota_exceeded", { quota: name, limit, used, retryAfter });
+    err.headers = { "Retry-After": String(retryAfter) };
+    throw err;
+  }
+}
+
+async function useQuota(req, name, amount, { userId = null, admin = false } = {}) {
+  const s = getStore();
+  if (!s || !(amount > 0) || exempt({ userId, admin })) return;
+  await safely(() => s.incr(quotaKey(name, subjectOf(req, userId)), Math.ceil(amount), 2 * DAY_SECONDS), 0);
+}
+
+// Tokens an answer used: the provider's count, else estimated from the prompt and the answer text
+function tokensUsed(messages, out) {
+  return out?.usage?.total_tokens
+    || messages.reduce((n, m) => n + estimateTokens(m.content), 0) + estimateTokens(out?.text);
+}
+
+// false when `provider` has used up its shared bucket (the caller should try the next provider)
+async function takeProvider(provider) {
+  const limit = providerLimit(provider);
+  const s = getStore();
+  if (!limit || !s) return true;
+  const out = await safely(() => s.take(`provider:${provider}`, limit.capacity, limit.perSecond, 1), null);
+  return !out || out.allowed;
+}
+
+/* ---------------- admin ---------------- */
+// Today's usage for a caller: subject is "user:<id>" or "ip:<address>"
+async function usage(subject) {
+  const s = getStore();
+  const out = {};
+  for (const name of Object.keys(QUOTAS)) {
+    out[name] = { used: s ? await safely(() => s.get(quotaKey(name, subject)), 0) : 0, limit: quotaLimit(name) || null };
+  }
+  return out;
+}
+
+// Clears today's quotas and every endpoint bucket of a caller
+async function resetUsage(subject) {
+  const s = getStore();
+  if (!s) return;
+  await s.del([
+    ...Object.keys(QUOTAS).map(name => quotaKey(name, subject)),
+    ...Object.keys(DEFAULT_LIMITS).map(endpoint => `bucket:${endpoint}:${subject}`),
+  ]);
+}
+
+module.exports = {
+  rateLimit,
+  checkQuota,
+  useQuota,
+  tokensUsed,
+  takeProvider,
+  usage,
+  resetUsage,
+  subjectOf,
+  parseLimit,
+};
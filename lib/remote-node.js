@@ -0,0 +1,42 @@
+// lib/remote-node.js – The Node half of ./remote.js: DNS checks that hold for the actual connection.
+//
+//   await fetchRemote(url, { ...publicOnly(), signal });
+//
+// checkUrl's `lookup` refuses names that resolve to internal addresses up front (a clear 400), but
+// fetch resolves the name again when it connects, and a rebinding host can answer differently the
+// second time. The dispatcher from publicOnly() therefore checks the address each connection is made
+// to, in the socket's own lookup: a blocked one fails the request with the same 400 url_not_allowed.
+
+const dns = require("dns");
+const { Agent } = require("undici");
+const { httpError } = require("./http");
+const { isBlockedAddress } = require("./remote");
+
+const lookupHost = (host) => dns.promises.lookup(host, { all: true });
+
+// net.connect `lookup` that resolves through `resolve` (dns.lookup) and refuses blocked addresses
+function publicLookup(resolve = dns.lookup) {
+  return (hostname, options, callback) => {
+    resolve(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!addresses.length || addresses.some(a => isBlockedAddress(a.address))) {
+        return callback(httpError(400, `Fetching from ${hostname} is not allowed`, "url_not_allowed"));
+      }
+      if (options?.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+let agent = null;
+// → { lookup, dispatcher } for fetchRemote (and captionImage)
+function publicOnly() {
+  agent ||= new Agent({ connect: { lookup: publicLookup() } });
+  return { lookup: lookupHost, dispatcher: agent };
+}
+
+module.exports = {
+  publicOnly,
+  publicLookup,
+  lookupHost,
+};
@@ -0,0 +1,135 @@
+// lib/remote.js – Fetch a URL supplied by a user, a document or a model without reaching internal hosts.
+//
+//   const res = await fetchRemote(url, { lookup, signal });   // → Response of the final hop
+//   const bytes = await readBody(res, maxBytes);                // → Uint8Array, 413 past maxBytes
+//
+// Only http(s). Hosts are refused when they are loopback, private, link-local (cloud metadata),
+// CGNAT, multicast or reserved addresses, "localhost" / *.localhost / *.local / *.internal, or a single
+// label ("db", "metadata"). Redirects are followed by hand, at most MAX_REDIRECTS, each hop checked again.
+//
+// No Node-only APIs (the Edge caption handler uses this): names are resolved and their addresses checked
+// only when the caller passes `lookup`. That check alone does not stop DNS rebinding (fetch resolves the
+// name again), so Node callers also pass `dispatcher`, which checks the address it connects to:
+// fetchRemote(url, { ...publicOnly() }) with ./remote-node.js. Edge callers only get the URL checks.
+
+const { httpError, tooLarge } = require("./http");
+
+const MAX_REDIRECTS = 3;
+
+// [address, prefix length]
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+];
+const BLOCKED_NAMES = /(^|\.)(localhost|local|internal)$/i;
+
+function v4ToInt(ip) {
+  const m = String(ip).match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!m || m.slice(1).some(p => +p > 255)) return null;
+  return m.slice(1).reduce((n, p) => n * 256 + +p, 0);
+}
+
+// "::ffff:127.0.0.1" / "fe80::1" → 8 hextets, or null
+function v6ToHextets(ip) {
+  let s = String(ip).toLowerCase().replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+  const dotted = s.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const n = v4ToInt(dotted[2]);
+    if (n == null) return null;
+    s = dotted[1] + (n >>> 16).toString(16) + ":" + (n & 0xffff).toString(16);
+  }
+  const halves = s.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+  if (fill < 0) return null;
+  const parts = [...head, ...Array(fill).fill("0"), ...tail];
+  if (parts.length !== 8 || parts.some(p => !/^[0-9a-f]{1,4}$/.test(p))) return null;
+  return parts.map(p => parseInt(p, 16));
+}
+
+// Whether an IP literal must not be fetched (non-IPs → false)
+function isBlockedAddress(ip) {
+  const n = v4ToInt(ip);
+  if (n != null) {
+    return BLOCKED_V4.some(([base, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(v4ToInt(base) / 2 ** (32 - bits)));
+  }
+  const h = v6ToHextets(ip);
+  if (!h) return false;
+  if (h.slice(0, 7).every(x => x === 0)) return h[7] <= 1;                     // :: and ::1
+  const mapped = h.slice(0, 5).every(x => x === 0) && h[5] === 0xffff;       // ::ffff:a.b.c.d
+  const nat64 = h[0] === 0x64 && h[1] === 0xff9b && h.slice(2, 6).every(x => x === 0); // 64:ff9b::a.b.c.d
+  if (mapped || nat64) return isBlockedAddress([h[6] >> 8, h[6] & 255, h[7] >> 8, h[7] & 255].join("."));
+  return (h[0] & 0xfe00) === 0xfc00 || (h[0] & 0xffc0) === 0xfe80 || (h[0] & 0xff00) === 0xff00;
+}
+
+// → the URL when it may be fetched; 400 (invalid_url / url_not_allowed) otherwise
+async function checkUrl(raw, lookup = null) {
+  let url;
+  try { url = new URL(String(raw)); } catch { throw httpError(400, "Invalid URL", "invalid_url"); }
+  if (url.protocol !== "http:" && url.protocol !== "https:") throw httpError(400, "Only http(s) URLs can be fetched", "invalid_url");
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  const literal = v4ToInt(host) != null || host.includes(":");
+  const refused = () => httpError(400, `Fetching from ${url.hostname} is not allowed`, "url_not_allowed");
+  if (literal ? isBlockedAddress(host) : BLOCKED_NAMES.test(host) || !host.includes(".")) throw refused();
+  if (!literal && lookup) {
+    let addresses;
+    try { addresses = await lookup(host); } catch { throw httpError(400, `Could not resolve ${host}`, "invalid_url"); }
+    if (!addresses.length || addresses.some(a => isBlockedAddress(a.address ?? a))) throw refused();
+  }
+  return url;
+}
+
+// GET `url`, following up to MAX_REDIRECTS redirects; every hop passes checkUrl (and `dispatcher`, if given)
+async function fetchRemote(url, { lookup = null, dispatcher, signal, headers } = {}) {
+  let current = await checkUrl(url, lookup);
+  for (let hop = 0; ; hop++) {
+    let res;
+    try {
+      res = await fetch(current, { redirect: "manual", signal, headers, ...(dispatcher ? { dispatcher } : {}) });
+    } catch (err) {
+      // the dispatcher's own refusal, wrapped by fetch as "fetch failed"
+      if (err?.cause?.code === "url_not_allowed") throw err.cause;
+      throw err;
+    }
+    const location = res.status >= 300 && res.status < 400 ? res.headers.get("location") : null;
+    if (!location) return res;
+    await res.body?.cancel?.();
+    if (hop >= MAX_REDIRECTS) throw httpError(502, `Too many redirects (${MAX_REDIRECTS} max)`, "too_many_redirects");
+    current = await checkUrl(new URL(location, current), lookup);
+  }
+}
+
+// Response body as a Uint8Array, read as a stream and abandoned past maxBytes
+async function readBody(res, maxBytes) {
+  if (+res.headers.get("content-length") > maxBytes) {
+    await res.body?.cancel?.();
+    throw tooLarge(maxBytes, "Remote file");
+  }
+  if (!res.body) return new Uint8Array(0);
+  const reader = res.body.getReader();
+  const parts = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      throw tooLarge(maxBytes, "Remote file");
+    }
+    parts.push(value);
+  }
+  const out = new Uint8Array(size);
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.byteLength; }
+  return out;
+}
+
+module.exports = {
+  fetchRemote,
+  readBody,
+  checkUrl,
+  isBlockedAddress,
+};
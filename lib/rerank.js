@@ -0,0 +1,107 @@
+// lib/rerank.js – Rerank retrieved chunks against the question.
+//
+// Rerankers:
+//   deepinfra – cross-encoder through lib/providers (the "rerank" provider and its rerank model,
+//               BAAI/bge-reranker-v2-m3 on DeepInfra by default; RERANK_MODEL overrides); scores 0..1
+//   lexical   – local weighted term coverage; scores 0..1. No network, so it is the fallback
+//               when the rerank provider has no key or the cross-encoder call fails (and handy offline)
+//   none      – keep the fused retrieval order; the score is the rank-fusion score
+// RAG_RERANKER picks the default (deepinfra when a key is set, else lexical).
+
+const { rerank: crossEncode, providerFor, isConfigured } = require("./providers");
+
+const RERANK_MODEL = process.env.RERANK_MODEL || undefined;
+const RERANK_TIMEOUT_MS = +process.env.RERANK_TIMEOUT_MS || undefined;
+const RERANKERS = ["deepinfra", "lexical", "none"];
+
+const STOP_WORDS = new Set((
+  "a an and are as at be but by can do does for from how i if in into is it its me my of on or " +
+  "our so than that the their them then there these this to us was we what when where which who " +
+  "why will with you your about please tell explain give show"
+).split(" "));
+
+function defaultReranker() {
+  const env = String(process.env.RAG_RERANKER || "").toLowerCase();
+  if (RERANKERS.includes(env)) return env;
+  return isConfigured(providerFor("rerank")) ? "deepinfra" : "lexical";
+}
+
+function terms(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}._\/-]*/gu) || [])
+    .map(t => t.replace(/[._\/-]+$/, ""))
+    .filter(t => (t.length > 1 || /\d/.test(t)) && !STOP_WORDS.has(t));
+}
+
+/* ---------------- cross-encoder ---------------- */
+function crossEncoderScores(query, texts) {
+  return crossEncode({ model: RERANK_MODEL, query, texts, timeoutMs: RERANK_TIMEOUT_MS });
+}
+
+/* ---------------- lexical ---------------- */
+// Crude suffix stripping so "calibrate" matches "calibrates" / "calibrated"
+function stem(t) {
+  return t.length > 4 ? t.replace(/(ations?|ings?|ed|es|ly|s|e)$/, "") : t;
+}
+
+// Weighted share of the question's terms found in each text. Identifiers (part numbers,
+// model names, acronyms — anything with a digit) count double: they are what vector search misses.
+function lexicalScores(query, texts) {
+  const q = [...new Set(terms(query).map(stem))];
+  if (!q.length) return texts.map(() => 0);
+  const weight = q.map(t => /\d/.test(t) ? 2 : 1);
+  const total = weight.reduce((a, b) => a + b, 0);
+  return texts.map(text => {
+    const have = new Set(terms(text).map(stem));
+    return q.reduce((sum, t, i) => sum + (have.has(t) ? weight[i] : 0), 0) / total;
+  });
+}
+
+/* ---------------- entry point ---------------- */
+// chunks: [{ content, section?, score }] → same chunks with `rerankScore`, best first.
+// Returns { reranker, chunks, error? }; `reranker` is the one that actually produced the scores.
+async function rerank(query, chunks, reranker = defaultReranker()) {
+  if (!chunks.length) return { reranker, chunks: [] };
+  const texts = chunks.map(c => c.section ? `${c.section}\n${c.content}` : c.content);
+
+  let scores, used = reranker, error;
+  if (reranker === "deepinfra") {
+    try { scores = await crossEncoderScores(query, texts); }
+    catch (err) {
+      error = err?.message || String(err);
+      console.warn("[rerank] cross-encoder unavailable, using lexical scores:", error);
+      used = "lexical";
+    }
+  }
+  if (!scores) scores = used === "none" ? chunks.map(c => c.score) : lexicalScores(query, texts);
+
+  const out = chunks
+    .map((c, i) => ({ ...c, rerankScore: Number.isFinite(scores[i]) ? scores[i] : 0 }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+  return { reranker: used, chunks: out, ...(error ? { error } : {}) };
+}
+
+/* ---------------- near duplicates ---------------- */
+function shingles(text, size = 3) {
+  const w = terms(text);
+  const out = new Set();
+  if (w.length < size) { if (w.length) out.add(w.join(" ")); return out; }
+  for (let i = 0; i + size <= w.length; i++) out.add(w.slice(i, i + size).join(" "));
+  return out;
+}
+
+// Jaccard similarity of word 3-gram sets
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const s of a) if (b.has(s)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+module.exports = {
+  rerank,
+  lexicalScores,
+  shingles,
+  similarity,
+  defaultReranker,
+  RERANKERS,
+};
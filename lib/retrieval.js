@@ -0,0 +1,246 @@
+// lib/retrieval.js – Hybrid retrieval: pgvector similarity + Postgres full-text search.
+//
+// Both searches run in parallel over the current version of each document, and their rankings
+// are merged with weighted reciprocal rank fusion:  score = Σ weight / (k + rank).
+// Keyword search catches what embeddings blur together (part numbers, acronyms like "AAVSS",
+// sensor model names); vector search catches paraphrases.
+//
+// Distance metric: cosine (<=>) everywhere, matching the HNSW index (vector_cosine_ops).
+// `filters` (collection, tags, document ids, dates, metadata – see lib/filters.js) are applied
+// inside both SQL queries.
+//
+// Tunables (env defaults, overridable per call with `options`):
+//   RAG_VECTOR_WEIGHT (1), RAG_KEYWORD_WEIGHT (1), RAG_RRF_K (60), RAG_CANDIDATES (20)
+//
+// retrieveContext() is the full stage used by the endpoints: a wider candidate set from
+// hybridSearch, reranked (lib/rerank.js), then filtered by score threshold, near-duplicate
+// similarity and a token budget. It reports every score so thresholds can be tuned:
+//   RAG_RERANKER, RAG_MIN_SCORE (per reranker: deepinfra 0.1, lexical 0.2, none 0),
+//   RAG_DEDUPE_SIMILARITY (0.8), RAG_CONTEXT_TOKENS (1500), RAG_RERANK_CANDIDATES (30)
+
+const { pool } = require("../db");
+const { embedText, toVectorLiteral } = require("./embeddings");
+const { rerank, shingles, similarity, defaultReranker, RERANKERS } = require("./rerank");
+const { estimateTokens } = require("./chunking");
+const { filterSql } = require("./filters");
+
+const DEFAULTS = {
+  vectorWeight:  +(process.env.RAG_VECTOR_WEIGHT || 1),
+  keywordWeight: +(process.env.RAG_KEYWORD_WEIGHT || 1),
+  rrfK:          +(process.env.RAG_RRF_K || 60),
+  candidates:    +(process.env.RAG_CANDIDATES || 20),
+};
+const MAX_TERMS = 32;
+const MIN_SCORES = { deepinfra: 0.1, lexical: 0.2, none: 0 };
+
+/* ---------------- options ---------------- */
+function num(v, fallback, min, max) {
+  const n = +v;
+  return v != null && v !== "" && Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+// { vectorWeight, keywordWeight, rrfK, candidates } with each clamped to a sane range
+function retrievalOptions(input) {
+  const o = input || {};
+  return {
+    vectorWeight:  num(o.vectorWeight,  DEFAULTS.vectorWeight,  0, 10),
+    keywordWeight: num(o.keywordWeight, DEFAULTS.keywordWeight, 0, 10),
+    rrfK:          num(o.rrfK,          DEFAULTS.rrfK,          1, 1000),
+    candidates:    Math.round(num(o.candidates, DEFAULTS.candidates, 1, 200)),
+  };
+}
+
+// Retrieval options plus the rerank/filter stage:
+// { reranker, minScore, dedupeSimilarity, maxTokens, rerankCandidates }
+function contextOptions(input) {
+  const o = input || {};
+  const reranker = RERANKERS.includes(String(o.reranker || "").toLowerCase())
+    ? String(o.reranker).toLowerCase()
+    : defaultReranker();
+  const envMin = process.env.RAG_MIN_SCORE;
+  return {
+    ...retrievalOptions(o),
+    reranker,
+    minScore:         num(o.minScore, num(envMin, MIN_SCORES[reranker], -100, 100), -100, 100),
+    dedupeSimilarity: num(o.dedupeSimilarity, num(process.env.RAG_DEDUPE_SIMILARITY, 0.8, 0, 1), 0, 1),
+    maxTokens:        Math.round(num(o.maxTokens, num(process.env.RAG_CONTEXT_TOKENS, 1500, 50, 32000), 50, 32000)),
+    rerankCandidates: Math.round(num(o.rerankCandidates, num(process.env.RAG_RERANK_CANDIDATES, 30, 1, 100), 1, 100)),
+  };
+}
+
+/* ---------------- keyword query ---------------- */
+// Question → to_tsquery source matching ANY of its terms ('a' | 'b' | ...).
+// Terms are quoted so identifiers such as "XJ-2041" or "v2.1" survive as single terms;
+// stop words are dropped by to_tsquery itself.
+function keywordQuery(text) {
+  const terms = String(text || "").match(/[\p{L}\p{N}][\p{L}\p{N}._\/-]*/gu) || [];
+  const seen = new Set();
+  const out = [];
+  for (const raw of terms) {
+    const t = raw.replace(/[._\/-]+$/, "");
+    if (t.length < 2 && !/\d/.test(t)) continue;
+    const key = t.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(`'${t.replace(/['\\]/g, "")}'`);
+    if (out.length >= MAX_TERMS) break;
+  }
+  return out.join(" | ");
+}
+
+/* ---------------- searches ---------------- */
+const CHUNK_COLUMNS = `c.id, c.doc_id, d.name AS doc_name, c.content, c.content_hash, c.section, c.page, c.chunk_index`;
+
+async function vectorSearch({ userId = null, embedding, limit, filters = null }) {
+  const params = [userId, toVectorLiteral(embedding), limit];
+  const where = filterSql(filters, params);
+  const res = await pool.query(
+    `SELECT ${CHUNK_COLUMNS}, c.embeddings <=> $2::vector AS distance
+     FROM document_chunks c
+     JOIN documents d ON d.id = c.doc_id AND d.is_current
+     WHERE ($1::text IS NULL OR c.user_id = $1)
+       AND c.embeddings IS NOT NULL${where}
+     ORDER BY c.embeddings <=> $2::vector
+     LIMIT $3`,
+    params
+  );
+  return res.rows;
+}
+
+async function keywordSearch({ userId = null, query, limit, filters = null }) {
+  const tsq = keywordQuery(query);
+  if (!tsq) return [];
+  const params = [userId, tsq, limit];
+  const where = filterSql(filters, params);
+  const res = await pool.query(
+    `SELECT ${CHUNK_COLUMNS}, ts_rank_cd(c.tsv, q) AS text_rank
+     FROM document_chunks c
+     JOIN documents d ON d.id = c.doc_id AND d.is_current,
+          to_tsquery('english', $2) AS q
+     WHERE ($1::text IS NULL OR c.user_id = $1)
+       AND c.tsv @@ q${where}
+     ORDER BY text_rank DESC, c.id
+     LIMIT $3`,
+    params
+  );
+  return res.rows;
+}
+
+/* ---------------- fusion ---------------- */
+// Weighted reciprocal rank fusion of ranked row lists ([{ rows, weight, rankKey }]).
+// Identical passages (same content hash) keep only their best-scoring row.
+function fuseRankings(lists, { rrfK, topK }) {
+  const byId = new Map();
+  for (const { rows, weight, rankKey } of lists) {
+    if (!weight) continue;
+    rows.forEach((row, i) => {
+      const hit = byId.get(row.id) || { ...row, score: 0, vectorRank: null, keywordRank: null };
+      hit.score += weight / (rrfK + i + 1);
+      hit[rankKey] = i + 1;
+      if (row.distance != null) hit.distance = row.distance;
+      if (row.text_rank != null) hit.text_rank = row.text_rank;
+      byId.set(row.id, hit);
+    });
+  }
+  const seen = new Set();
+  return [...byId.values()]
+    .sort((a, b) => b.score - a.score)
+    .filter(r => {
+      const key = r.content_hash || r.content;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, topK);
+}
+
+function toResult(r) {
+  return {
+    id: r.id,
+    docId: r.doc_id,
+    docName: r.doc_name,
+    content: r.content,
+    section: r.section,
+    page: r.page,
+    chunkIndex: r.chunk_index,
+    score: r.score,
+    vectorRank: r.vectorRank,
+    keywordRank: r.keywordRank,
+    distance: r.distance != null ? +r.distance : null,
+  };
+}
+
+// Top-k chunks for `query`. `embedding` may be passed when the caller already has it.
+// `filters` must come from parseFilters(). If one search fails (e.g. embeddings unavailable)
+// the other one still answers.
+async function hybridSearch({ userId = null, query, embedding = null, topK = 5, filters = null, options } = {}) {
+  const opts = retrievalOptions(options);
+  const limit = Math.max(opts.candidates, topK);
+
+  const [vec, kw] = await Promise.allSettled([
+    opts.vectorWeight > 0
+      ? (async () => vectorSearch({ userId, embedding: embedding || await embedText(query), limit, filters }))()
+      : [],
+    opts.keywordWeight > 0 ? keywordSearch({ userId, query, limit, filters }) : [],
+  ]);
+  if (vec.status === "rejected" && kw.status === "rejected") throw vec.reason;
+  if (vec.status === "rejected") console.warn("[retrieval] vector search skipped:", vec.reason?.message || vec.reason);
+  if (kw.status === "rejected") console.warn("[retrieval] keyword search skipped:", kw.reason?.message || kw.reason);
+
+  return fuseRankings([
+    { rows: vec.value || [], weight: opts.vectorWeight, rankKey: "vectorRank" },
+    { rows: kw.value || [], weight: opts.keywordWeight, rankKey: "keywordRank" },
+  ], { rrfK: opts.rrfK, topK }).map(toResult);
+}
+
+// Full retrieval stage → { chunks, report }.
+// chunks: at most topK survivors, best first. report: settings used plus kept and dropped
+// chunks with their scores (dropped reasons: below_threshold, near_duplicate, token_budget, top_k).
+async function retrieveContext({ userId = null, query, topK = 5, filters = null, options } = {}) {
+  const opts = contextOptions(options);
+  const candidates = await hybridSearch({ userId, query, topK: Math.max(opts.rerankCandidates, topK), filters, options: opts });
+  const ranked = await rerank(query, candidates, opts.reranker);
+  // After a fallback (cross-encoder down) the configured threshold is on the wrong scale
+  const minScore = ranked.reranker === opts.reranker ? opts.minScore : MIN_SCORES[ranked.reranker];
+
+  const kept = [], dropped = [], keptShingles = [];
+  let tokens = 0;
+  for (const c of ranked.chunks) {
+    const entry = { id: c.id, docId: c.docId, score: c.rerankScore, fusedScore: c.score, section: c.section, page: c.page };
+    if (c.rerankScore < minScore) { dropped.push({ ...entry, reason: "below_threshold" }); continue; }
+    const sh = shingles(c.content);
+    if (keptShingles.some(k => similarity(k, sh) >= opts.dedupeSimilarity)) { dropped.push({ ...entry, reason: "near_duplicate" }); continue; }
+    if (kept.length >= topK) { dropped.push({ ...entry, reason: "top_k" }); continue; }
+    const t = estimateTokens(c.content);
+    if (tokens + t > opts.maxTokens) { dropped.push({ ...entry, reason: "token_budget" }); continue; }
+    kept.push({ ...c, tokens: t });
+    keptShingles.push(sh);
+    tokens += t;
+  }
+
+  return {
+    chunks: kept,
+    report: {
+      reranker: ranked.reranker,
+      ...(ranked.error ? { rerankError: ranked.error } : {}),
+      minScore,
+      filters,
+      maxTokens: opts.maxTokens,
+      tokens,
+      candidates: candidates.length,
+      chunks: kept.map(c => ({ id: c.id, docId: c.docId, score: c.rerankScore, fusedScore: c.score, tokens: c.tokens, section: c.section, page: c.page })),
+      dropped,
+    },
+  };
+}
+
+module.exports = {
+  retrieveContext,
+  hybridSearch,
+  vectorSearch,
+  keywordSearch,
+  keywordQuery,
+  fuseRankings,
+  retrievalOptions,
+  contextOptions,
+};
@@ -0,0 +1,257 @@
+// lib/tools.js – Tool registry for /api/ai-expert.
+// Tools the model may call through native tool calling (OpenAI-style `tools` for Groq, DeepInfra
+// and the other OpenAI-compatible providers, Gemini `functionDeclarations`, Anthropic `tools` –
+// see ./providers), and the loop that runs them.
+
+const { buildSources } = require("./citations");
+const { evaluate } = require("./calculator");
+const { captionImage } = require("./vision");
+const { publicOnly } = require("./remote-node");
+const { isConfigured, providerFor, providersFor } = require("./providers");
+
+/*
+ * Tool shape:
+ *   name        — what the model calls
+ *   description — when to use it (the model reads this)
+ *   parameters  — JSON schema of the arguments (type "object"; string / integer / number / boolean
+ *                 properties, `required`, `enum`, `minimum` / `maximum`), sent to the provider as-is
+ *   available(ctx)       — whether the tool is offered for this request
+ *   run(args, ctx)       — → a JSON-serialisable result for the model; throw to report a failure
+ *   summarize(result)    — optional short form of the result for the trace
+ *
+ * ctx: { req, userId, db, retrieval, filters, retrievalOptions,
+ *        sources (citation sources so far – search results are appended and numbered on),
+ *        images (images generated in this answer), generateImage(prompt, { size }) }
+ */
+const TOOLS = [];
+function defineTool(def) {
+  TOOLS.push({ available: () => true, ...def });
+}
+
+const MAX_STEPS = Math.max(1, +(process.env.AI_TOOL_STEPS || 4));
+const MAX_CALLS_PER_STEP = 5;
+const MAX_RESULT_CHARS = 6000;
+const TRACE_RESULT_CHARS = 500;
+
+const TOOL_INSTRUCTIONS = [
+  "You can call tools. Use them when they help answer; answer directly when they don't.",
+  "- Only call generate_image when the user asks you to create a picture; explaining how to draw or plot something is not such a request.",
+  "- A generated image is shown to the user below your reply; don't repeat its id or invent a URL.",
+  "- Use calculator for arithmetic instead of working it out yourself.",
+  "- Cite document search results with their [marker], e.g. [2].",
+].join("\n");
+
+/* ---------------- built-ins ---------------- */
+defineTool({
+  name: "search_documents",
+  description: "Search the user's uploaded documents and return the most relevant passages, each with a citation marker.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string", description: "What to look for, in a few keywords or a short question." },
+      top_k: { type: "integer", description: "How many passages to return (1–8, default 4).", minimum: 1, maximum: 8 },
+    },
+    required: ["query"],
+  },
+  available: (ctx) => !!ctx.userId && !!ctx.retrieval,
+  run: async ({ query, top_k = 4 }, ctx) => {
+    const { chunks } = await ctx.retrieval.retrieveContext({
+      userId: ctx.userId, query, topK: top_k, filters: ctx.filters, options: ctx.retrievalOptions,
+    });
+    const sources = buildSources(chunks, ctx.sources.length + 1);
+    ctx.sources.push(...sources);
+    return {
+      results: chunks.map((c, i) => ({
+        marker: `[${sources[i].marker}]`,
+        document: c.docName || `Document ${c.docId}`,
+        ...(c.page != null ? { page: c.page } : {}),
+        ...(c.section ? { section: c.section } : {}),
+        text: c.content,
+      })),
+    };
+  },
+  summarize: (r) => ({ results: r.results.map(x => `${x.marker} ${x.document}`) }),
+});
+
+defineTool({
+  name: "list_documents",
+  description: "List the documents the user has uploaded (id, name, upload date).",
+  parameters: { type: "object", properties: {} },
+  available: (ctx) => !!ctx.userId && typeof ctx.db?.listDocuments === "function",
+  run: async (_args, ctx) => {
+    const docs = await ctx.db.listDocuments(ctx.userId);
+    return { count: docs.length, documents: docs.slice(0, 50).map(d => ({ id: d.id, name: d.name, created_at: d.created_at })) };
+  },
+  summarize: (r) => ({ count: r.count }),
+});
+
+defineTool({
+  name: "generate_image",
+  description: "Create a new image from a text prompt. Only when the user asks for a picture to be made.",
+  parameters: {
+    type: "object",
+    properties: {
+      prompt: { type: "string", description: "A vivid, specific description of the image." },
+      size: { type: "string", description: "Width x height in pixels.", enum: ["1024x1024", "1536x1024", "1024x1536", "768x768"] },
+    },
+    required: ["prompt"],
+  },
+  available: (ctx) => typeof ctx.generateImage === "function" && providersFor("image").length > 0,
+  run: async ({ prompt, size }, ctx) => {
+    const j = await ctx.generateImage(prompt, { size });
+    const id = `image_${ctx.images.length + 1}`;
+    ctx.images.push({ id, url: j.imageUrl, alt: j.alt || prompt });
+    return { image_id: id, model: j.meta?.modelUsed || null, size: `${j.meta?.width}x${j.meta?.height}` };
+  },
+});
+
+defineTool({
+  name: "caption_image",
+  description: "Describe an image in one sentence and tag it. Takes an image URL, or the image_id of an image generated in this answer.",
+  parameters: {
+    type: "object",
+    properties: {
+      image: { type: "string", description: "An http(s) image URL or an image_id such as image_1." },
+    },
+    required: ["image"],
+  },
+  available: () => !!providerFor("vision") && isConfigured(providerFor("vision")),
+  run: async ({ image }, ctx) => {
+    const own = ctx.images.find(x => x.id === image);
+    if (!own && !/^https?:\/\//i.test(image)) throw new Error("image must be an http(s) URL or the image_id of a generated image");
+    return captionImage({ imageUrl: own ? own.url : image, ...publicOnly() });
+  },
+});
+
+defineTool({
+  name: "calculator",
+  description: "Evaluate an arithmetic expression exactly: + - * / % ^, parentheses, pi, e, and sqrt, abs, round, floor, ceil, min, max, pow, log (base 10), ln, exp, sin, cos, tan.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: { type: "string", description: "For example: (1200 * 0.15) / 12" },
+    },
+    required: ["expression"],
+  },
+  run: async ({ expression }) => ({ expression, result: evaluate(expression) }),
+});
+
+/* ---------------- selection ---------------- */
+// Tools offered for a request. choice (options.tools): false / "none" offers none, an array of names
+// restricts the set, anything else offers every available tool.
+function selectTools(choice, ctx) {
+  if (choice === false || choice === "none" || choice === "false") return [];
+  const only = Array.isArray(choice) ? new Set(choice.map(String)) : null;
+  return TOOLS.filter(t => (!only || only.has(t.name)) && t.available(ctx));
+}
+
+// Declarations as the providers take them
+function toolSpecs(tools) {
+  return tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/* ---------------- running ---------------- */
+const TYPES = {
+  string:  (v) => typeof v === "string",
+  integer: (v) => Number.isInteger(v),
+  number:  (v) => typeof v === "number" && Number.isFinite(v),
+  boolean: (v) => typeof v === "boolean",
+};
+
+// Arguments against the tool's schema → an error message, or null when they are fine. Numbers sent
+// as strings ("4") are converted in place – smaller models do that a lot.
+function checkArgs(schema, args) {
+  if (!args || typeof args !== "object" || Array.isArray(args)) return "arguments must be a JSON object";
+  for (const name of schema.required || []) {
+    if (args[name] == null || args[name] === "") return `missing "${name}"`;
+  }
+  for (const [name, spec] of Object.entries(schema.properties || {})) {
+    if ((spec.type === "integer" || spec.type === "number") && typeof args[name] === "string" && /^-?\d+(\.\d+)?$/.test(args[name].trim())) {
+      args[name] = +args[name];
+    }
+    const v = args[name];
+    if (v == null) continue;
+    if (TYPES[spec.type] && !TYPES[spec.type](v)) return `"${name}" must be ${spec.type === "integer" ? "an" : "a"} ${spec.type}`;
+    if (spec.enum && !spec.enum.includes(v)) return `"${name}" must be one of: ${spec.enum.join(", ")}`;
+    if (spec.minimum != null && v < spec.minimum) return `"${name}" must be at least ${spec.minimum}`;
+    if (spec.maximum != null && v > spec.maximum) return `"${name}" must be at most ${spec.maximum}`;
+  }
+  return null;
+}
+
+function clip(text, max) {
+  return text.length > max ? text.slice(0, max) + "…" : text;
+}
+
+// One call → { content (for the model), entry (for the trace) }. Failures go back to the model as
+// { error } so it can recover or explain; they never end the answer.
+async function runCall(call, tools, ctx, step) {
+  const started = Date.now();
+  const tool = tools.find(t => t.name === call.name);
+  const entry = { step, tool: call.name, arguments: call.arguments ?? null };
+  let result;
+  try {
+    if (!tool) throw new Error(`unknown tool "${call.name}"`);
+    if (call.arguments == null) throw new Error("arguments were not valid JSON");
+    const problem = checkArgs(tool.parameters, call.arguments);
+    if (problem) throw new Error(problem);
+    result = await tool.run(call.arguments, ctx);
+    const shown = tool.summarize ? tool.summarize(result) : result;
+    const json = JSON.stringify(shown);
+    Object.assign(entry, { ok: true, result: json.length <= TRACE_RESULT_CHARS ? shown : clip(json, TRACE_RESULT_CHARS) });
+  } catch (err) {
+    result = { error: err?.message || String(err) };
+    Object.assign(entry, { ok: false, error: result.error });
+  }
+  entry.ms = Date.now() - started;
+  return { content: clip(JSON.stringify(result), MAX_RESULT_CHARS), entry };
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  const t = total || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  for (const k of Object.keys(t)) t[k] += +usage[k] || 0;
+  return t;
+}
+
+// Multi-step loop: complete(messages, { tools, toolChoice }) asks the model; the tools it calls run
+// (in order, at most MAX_CALLS_PER_STEP per step) and their results go back to it, until it answers
+// without calling one. After MAX_STEPS steps (AI_TOOL_STEPS) tools are switched off so it must answer.
+// onTool(entry) sees each trace entry as soon as its call finishes.
+// → { out: the last model result with `text` (everything it said) and `usage` summed over the steps, trace }
+async function runToolLoop({ messages, tools, ctx, complete, onTool = () => {} }) {
+  // Tool instructions go with the leading system messages
+  const lead = messages.findIndex(m => m.role !== "system");
+  const at = lead < 0 ? messages.length : lead;
+  const convo = [...messages.slice(0, at), { role: "system", content: TOOL_INSTRUCTIONS }, ...messages.slice(at)];
+  const specs = toolSpecs(tools);
+  const trace = [];
+  const texts = [];
+  let usage = null;
+  for (let step = 1; ; step++) {
+    const last = step > MAX_STEPS;
+    const out = await complete(convo, { tools: specs, toolChoice: last ? "none" : "auto" });
+    usage = addUsage(usage, out.usage);
+    if (out.text) texts.push(out.text);
+    const calls = last ? [] : out.tool_calls || [];
+    if (!calls.length) return { out: { ...out, text: texts.join("\n\n"), usage: usage || undefined }, trace };
+
+    convo.push({ role: "assistant", content: out.text || "", tool_calls: calls });
+    for (const [i, call] of calls.entries()) {
+      const { content, entry } = i < MAX_CALLS_PER_STEP
+        ? await runCall(call, tools, ctx, step)
+        : { content: JSON.stringify({ error: `at most ${MAX_CALLS_PER_STEP} tool calls per step` }), entry: null };
+      convo.push({ role: "tool", tool_call_id: call.id, name: call.name, content });
+      if (entry) {
+        trace.push(entry);
+        onTool(entry);
+      }
+    }
+  }
+}
+
+module.exports = {
+  selectTools,
+  runToolLoop,
+  checkArgs,
+};
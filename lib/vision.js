@@ -0,0 +1,89 @@
+// lib/vision.js – Image captions with the configured vision provider ("use.vision" in providers.json,
+// Gemini by default). Shared by /api/ai (mode "caption") and the caption_image tool of /api/ai-expert.
+// Images are fetched through ./remote.js: public hosts only, at most MAX_IMAGE_BYTES, read as a stream.
+// No Node-only APIs: the Edge handler uses this too (Node callers pass ./remote-node.js publicOnly()).
+
+const { httpError } = require("./http");
+const { chat, providerFor } = require("./providers");
+const { fetchRemote, readBody } = require("./remote");
+
+const FETCH_TIMEOUT_MS = 30000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Base64 without Buffer (Edge runtime)
+function arrayBufferToBase64(ab) {
+  const bytes = new Uint8Array(ab);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+// data:image/…;base64,… → { mime, data } without a fetch
+function decodeDataUrl(imageUrl) {
+  const m = String(imageUrl).match(/^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]*)$/i);
+  if (!m) throw httpError(400, "data: URLs must be base64-encoded images", "invalid_image_url");
+  const data = m[2].replace(/\s+/g, "");
+  if (data.length * 0.75 > MAX_IMAGE_BYTES) throw httpError(413, "Image too large to caption", "image_too_large");
+  return { mime: m[1].toLowerCase(), data };
+}
+
+// http(s) or data: URL → { mime, data (base64) }
+async function fetchImage(imageUrl, { signal, lookup, dispatcher } = {}) {
+  if (!/^(https?:|data:image\/)/i.test(String(imageUrl || ""))) throw httpError(400, "imageUrl must be an http(s) or data:image URL", "invalid_image_url");
+  if (/^data:/i.test(imageUrl)) return decodeDataUrl(imageUrl);
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), FETCH_TIMEOUT_MS);
+  const onAbort = () => ac.abort();
+  signal?.addEventListener?.("abort", onAbort, { once: true });
+  try {
+    const imgRes = await fetchRemote(imageUrl, { lookup, dispatcher, signal: ac.signal });
+    if (!imgRes.ok) {
+      await imgRes.body?.cancel?.();
+      throw httpError(502, `Image fetch failed: ${imgRes.status}`, "image_fetch_failed");
+    }
+    const bytes = await readBody(imgRes, MAX_IMAGE_BYTES).catch((err) => {
+      throw err?.statusCode === 413 ? httpError(413, "Image too large to caption", "image_too_large") : err;
+    });
+    return { mime: imgRes.headers.get("content-type") || "image/jpeg", data: arrayBufferToBase64(bytes) };
+  } finally {
+    clearTimeout(t);
+    signal?.removeEventListener?.("abort", onAbort);
+  }
+}
+
+// → { caption, tags }: one descriptive sentence, then 3–6 tags derived from it.
+// lookup / dispatcher: refuse names that resolve to internal addresses (see ./remote.js)
+async function captionImage({ imageUrl, signal, lookup = null, dispatcher }) {
+  const provider = providerFor("vision");
+  const { mime, data } = await fetchImage(imageUrl, { signal, lookup, dispatcher });
+  // 1) Caption generation
+  const cap = await chat({
+    provider,
+    role: "vision",
+    messages: [{
+      role: "user",
+      content: [
+        { type: "text", text: "Describe this image in one concise, specific sentence." },
+        { type: "image", mime, data },
+      ],
+    }],
+    params: { temperature: 0.2, max_tokens: 160 },
+    signal,
+  });
+  const caption = cap.text.trim();
+  // 2) Tags generation from caption
+  const tagOut = await chat({
+    provider,
+    role: "vision",
+    messages: [{ role: "user", content: `Caption: ${caption}\nReturn 3–6 comma-separated tags. Use short, concrete nouns/adjectives only. Return ONLY the tags.` }],
+    params: { temperature: 0.1, max_tokens: 60 },
+    signal,
+  });
+  const tags = tagOut.text.trim().split(",").map((s) => s.trim()).filter(Boolean).slice(0, 8);
+  return { caption, tags };
+}
+
+module.exports = {
+  captionImage,
+  fetchImage,
+};
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// /migrate.js – Versioned schema migrations (files in ./migrations)
+//
+// Usage:
+//   node migrate.js up [--to <version>]          apply pending migrations
+//   node migrate.js down [--steps <n>|--to <v>]  roll back (default: last one)
+//   node migrate.js status                       list applied / pending
+//   node migrate.js create <name>                scaffold migrations/NNNN_<name>.js
+//
+// Each migration file is named NNNN_<name>.js and exports { up, down }, where each
+// is either a SQL string or an async function(client). Every migration runs in its
+// own transaction together with its schema_migrations bookkeeping row.
+// Environment: DATABASE_URL (or POSTGRES_URL). Prefer the unpooled Neon URL:
+// the runner holds a session-level advisory lock while it works.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_KEY = 7284116; // arbitrary, shared by every migrate.js run
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(file => file.match(/^(\d+)_([\w-]+)\.js$/))
+    .filter(Boolean)
+    .map(m => ({ version: parseInt(m[1], 10), name: m[2], file: path.join(dir, m[0]) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function connect() {
+  const connectionString = process.env.DATABASE_URL || process.env.POSTGRES_URL;
+  if (!connectionString) throw new Error('Database connection string not set in environment.');
+  const local = /sslmode=disable|@(localhost|127\.0\.0\.1)[:/]/.test(connectionString);
+  return new Client({ connectionString, ssl: local ? false : { rejectUnauthorized: false } });
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     BIGINT PRIMARY KEY,
+      name        TEXT NOT NULL,
+      applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const res = await client.query(`SELECT version FROM schema_migrations ORDER BY version`);
+  return res.rows.map(r => Number(r.version));
+}
+
+async function runStep(client, migration, direction) {
+  const mod = require(migration.file);
+  const step = mod[direction];
+  if (step == null) throw new Error(`Migration ${migration.version}_${migration.name} has no "${direction}"`);
+
+  await client.query('BEGIN');
+  try {
+    if (typeof step === 'function') await step(client);
+    else await client.query(step);
+    if (direction === 'up') {
+      await client.query(`INSERT INTO schema_migrations(version, name) VALUES ($1, $2)`, [migration.version, migration.name]);
+    } else {
+      await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    err.message = `${direction} ${migration.version}_${migration.name} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Runs fn(client) with the migrations table present and the advisory lock held
+async function withLock(fn) {
+  const client = connect();
+  await client.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+    try {
+      await ensureTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+async function migrateUp({ to, log = console.log } = {}) {
+  return withLock(async (client) => {
+    const applied = new Set(await appliedVersions(client));
+    const pending = loadMigrations().filter(m => !applied.has(m.version) && (to == null || m.version <= to));
+    for (const m of pending) {
+      log(`↑ ${m.version}_${m.name}`);
+      await runStep(client, m, 'up');
+    }
+    return pending.map(m => m.version);
+  });
+}
+
+async function migrateDown({ steps = 1, to, log = console.log } = {}) {
+  return withLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+    const targets = applied
+      .slice()
+      .reverse()
+      .filter((v, i) => (to != null ? v > to : i < steps));
+    for (const v of targets) {
+      const m = byVersion.get(v);
+      if (!m) throw new Error(`Applied migration ${v} has no file in ${MIGRATIONS_DIR}`);
+      log(`↓ ${m.version}_${m.name}`);
+      await runStep(client, m, 'down');
+    }
+    return targets;
+  });
+}
+
+async function status() {
+  return withLock(async (client) => {
+    const res = await client.query(`SELECT version, applied_at FROM schema_migrations`);
+    const appliedAt = new Map(res.rows.map(r => [Number(r.version), r.applied_at]));
+    return loadMigrations().map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: appliedAt.get(m.version) || null,
+    }));
+  });
+}
+
+function create(name) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^\w-]+/g, '_');
+  if (!slug) throw new Error('Usage: node migrate.js create <name>');
+  const last = loadMigrations().pop();
+  const version = String((last ? last.version : 0) + 1).padStart(4, '0');
+  const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.js`);
+  fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+  fs.writeFileSync(file, [
+    `// migrations/${version}_${slug}.js`,
+    '',
+    'module.exports = {',
+    '  up: `',
+    '  `,',
+    '',
+    '  down: `',
+    '  `,',
+    '};',
+    '',
+  ].join('\n'));
+  return file;
+}
+
+/* ─────────────── CLI ─────────────── */
+function flag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i < 0) return undefined;
+  const v = parseInt(args[i + 1], 10);
+  if (!Number.isFinite(v)) throw new Error(`--${name} expects a number`);
+  return v;
+}
+
+async function main(argv) {
+  const [cmd = 'up', ...args] = argv;
+  if (cmd === 'up') {
+    const done = await migrateUp({ to: flag(args, 'to') });
+    console.log(done.length ? `Applied ${done.length} migration(s).` : 'Already up to date.');
+  } else if (cmd === 'down') {
+    const done = await migrateDown({ steps: flag(args, 'steps') ?? 1, to: flag(args, 'to') });
+    console.log(done.length ? `Rolled back ${done.length} migration(s).` : 'Nothing to roll back.');
+  } else if (cmd === 'status') {
+    for (const m of await status()) {
+      console.log(`${m.applied_at ? '[x]' : '[ ]'} ${String(m.version).padStart(4, '0')}_${m.name}` +
+        (m.applied_at ? `  (${new Date(m.applied_at).toISOString()})` : ''));
+    }
+  } else if (cmd === 'create') {
+    console.log('Created ' + path.relative(process.cwd(), create(args[0])));
+  } else {
+    throw new Error(`Unknown command "${cmd}". Use up, down, status or create.`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, status, create };
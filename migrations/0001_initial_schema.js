@@ -0,0 +1,49 @@
+// migrations/0001_initial_schema.js – messages, documents and document_chunks
+// Uses IF NOT EXISTS so it can be applied on databases whose tables were created by hand.
+
+module.exports = {
+  up: `
+    CREATE EXTENSION IF NOT EXISTS vector;
+
+    CREATE TABLE IF NOT EXISTS messages (
+      id         BIGSERIAL PRIMARY KEY,
+      user_id    TEXT NOT NULL,
+      role       TEXT NOT NULL CHECK (role IN ('system', 'user', 'assistant')),
+      content    TEXT NOT NULL,
+      timestamp  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS messages_user_time_idx ON messages (user_id, timestamp DESC);
+
+    CREATE TABLE IF NOT EXISTS documents (
+      id          BIGSERIAL PRIMARY KEY,
+      user_id     TEXT,
+      name        TEXT NOT NULL,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS documents_user_created_idx ON documents (user_id, created_at DESC);
+
+    -- 1024 dims = BAAI/bge-large-en-v1.5 (EMBED_MODEL in api/ingest-pdf.js)
+    CREATE TABLE IF NOT EXISTS document_chunks (
+      id          BIGSERIAL PRIMARY KEY,
+      doc_id      BIGINT NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+      user_id     TEXT,
+      content     TEXT NOT NULL,
+      embeddings  vector(1024) NOT NULL,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS document_chunks_doc_idx  ON document_chunks (doc_id);
+    CREATE INDEX IF NOT EXISTS document_chunks_user_idx ON document_chunks (user_id);
+
+    -- Approximate nearest-neighbour index for cosine distance (<=>).
+    -- HNSW needs no training data, so it can be built on an empty table.
+    CREATE INDEX IF NOT EXISTS document_chunks_embeddings_hnsw_idx
+      ON document_chunks USING hnsw (embeddings vector_cosine_ops)
+      WITH (m = 16, ef_construction = 64);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS document_chunks;
+    DROP TABLE IF EXISTS documents;
+    DROP TABLE IF EXISTS messages;
+  `,
+};
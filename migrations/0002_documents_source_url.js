@@ -0,0 +1,15 @@
+// migrations/0002_documents_source_url.js – remember where a document was ingested from
+
+module.exports = {
+  up: `
+    ALTER TABLE documents ADD COLUMN IF NOT EXISTS source_url TEXT;
+    CREATE INDEX IF NOT EXISTS documents_source_url_idx ON documents (source_url);
+    CREATE INDEX IF NOT EXISTS documents_name_idx ON documents (name);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS documents_name_idx;
+    DROP INDEX IF EXISTS documents_source_url_idx;
+    ALTER TABLE documents DROP COLUMN IF EXISTS source_url;
+  `,
+};
@@ -0,0 +1,12 @@
+// migrations/0003_documents_format.js – record the source format (pdf, docx, markdown, html, text, csv)
+
+module.exports = {
+  up: `
+    ALTER TABLE documents ADD COLUMN IF NOT EXISTS format TEXT;
+    UPDATE documents SET format = 'pdf' WHERE format IS NULL;
+  `,
+
+  down: `
+    ALTER TABLE documents DROP COLUMN IF EXISTS format;
+  `,
+};
@@ -0,0 +1,23 @@
+// migrations/0004_chunk_structure.js – per-chunk position and section metadata for citations
+
+module.exports = {
+  up: `
+    ALTER TABLE document_chunks
+      ADD COLUMN IF NOT EXISTS chunk_index INTEGER,
+      ADD COLUMN IF NOT EXISTS section     TEXT,
+      ADD COLUMN IF NOT EXISTS page        INTEGER,
+      ADD COLUMN IF NOT EXISTS token_count INTEGER;
+    ALTER TABLE documents ADD COLUMN IF NOT EXISTS chunking JSONB;
+    CREATE INDEX IF NOT EXISTS document_chunks_doc_index_idx ON document_chunks (doc_id, chunk_index);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS document_chunks_doc_index_idx;
+    ALTER TABLE documents DROP COLUMN IF EXISTS chunking;
+    ALTER TABLE document_chunks
+      DROP COLUMN IF EXISTS token_count,
+      DROP COLUMN IF EXISTS page,
+      DROP COLUMN IF EXISTS section,
+      DROP COLUMN IF EXISTS chunk_index;
+  `,
+};
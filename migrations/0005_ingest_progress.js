@@ -0,0 +1,40 @@
+// migrations/0005_ingest_progress.js – ingest status and progress so interrupted ingests can resume
+
+module.exports = {
+  up: `
+    ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS status       TEXT NOT NULL DEFAULT 'ready',
+      ADD COLUMN IF NOT EXISTS chunks_total INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS chunks_done  INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS error        TEXT,
+      ADD COLUMN IF NOT EXISTS updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+    -- Existing documents were ingested synchronously: they are complete
+    UPDATE documents d
+    SET chunks_total = c.cnt, chunks_done = c.cnt
+    FROM (SELECT doc_id, COUNT(*)::int AS cnt FROM document_chunks GROUP BY doc_id) c
+    WHERE c.doc_id = d.id;
+
+    ALTER TABLE documents ALTER COLUMN status SET DEFAULT 'pending';
+    ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_status_check;
+    ALTER TABLE documents ADD CONSTRAINT documents_status_check
+      CHECK (status IN ('pending', 'processing', 'ready', 'failed'));
+    CREATE INDEX IF NOT EXISTS documents_unfinished_idx ON documents (status) WHERE status <> 'ready';
+
+    -- Chunks are stored first and embedded afterwards
+    ALTER TABLE document_chunks ALTER COLUMN embeddings DROP NOT NULL;
+  `,
+
+  down: `
+    DELETE FROM document_chunks WHERE embeddings IS NULL;
+    ALTER TABLE document_chunks ALTER COLUMN embeddings SET NOT NULL;
+    DROP INDEX IF EXISTS documents_unfinished_idx;
+    ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_status_check;
+    ALTER TABLE documents
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS error,
+      DROP COLUMN IF EXISTS chunks_done,
+      DROP COLUMN IF EXISTS chunks_total,
+      DROP COLUMN IF EXISTS status;
+  `,
+};
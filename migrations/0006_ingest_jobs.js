@@ -0,0 +1,36 @@
+// migrations/0006_ingest_jobs.js – Postgres-backed queue for background ingestion
+
+module.exports = {
+  up: `
+    CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+    CREATE TABLE IF NOT EXISTS ingest_jobs (
+      id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id       TEXT,
+      status        TEXT NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+      stage         TEXT NOT NULL DEFAULT 'queued',
+      -- input: uploaded bytes (cleared once chunks are stored) or a URL fetched by the worker
+      input         BYTEA,
+      content_type  TEXT,
+      filename      TEXT,
+      source_url    TEXT,
+      chunking      JSONB,
+      document_id   BIGINT REFERENCES documents(id) ON DELETE SET NULL,
+      chunks_done   INTEGER NOT NULL DEFAULT 0,
+      chunks_total  INTEGER NOT NULL DEFAULT 0,
+      attempts      INTEGER NOT NULL DEFAULT 0,
+      error         TEXT,
+      locked_at     TIMESTAMPTZ,
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at   TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS ingest_jobs_claim_idx ON ingest_jobs (created_at) WHERE status IN ('queued', 'running');
+    CREATE INDEX IF NOT EXISTS ingest_jobs_user_idx ON ingest_jobs (user_id, created_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS ingest_jobs;
+  `,
+};
@@ -0,0 +1,43 @@
+// migrations/0007_document_versions.js – content hashes for duplicate detection, and document versions
+//
+// lineage_id groups the versions of one document (it is the id of the first version);
+// exactly one version per lineage is current and visible to retrieval.
+
+module.exports = {
+  up: `
+    ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS content_hash  TEXT,
+      ADD COLUMN IF NOT EXISTS lineage_id    BIGINT,
+      ADD COLUMN IF NOT EXISTS version       INTEGER NOT NULL DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS is_current    BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ;
+    UPDATE documents SET lineage_id = id WHERE lineage_id IS NULL;
+    ALTER TABLE documents ALTER COLUMN lineage_id SET NOT NULL;
+    CREATE INDEX IF NOT EXISTS documents_hash_idx ON documents (user_id, content_hash) WHERE is_current;
+    CREATE INDEX IF NOT EXISTS documents_lineage_idx ON documents (lineage_id, version DESC);
+
+    ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS content_hash TEXT;
+    UPDATE document_chunks SET content_hash = encode(digest(content, 'sha256'), 'hex') WHERE content_hash IS NULL;
+    CREATE INDEX IF NOT EXISTS document_chunks_hash_idx ON document_chunks (doc_id, content_hash);
+
+    -- Background jobs carry the duplicate/replace choice of the original request
+    ALTER TABLE ingest_jobs
+      ADD COLUMN IF NOT EXISTS mode       TEXT,
+      ADD COLUMN IF NOT EXISTS replace_id BIGINT;
+  `,
+
+  down: `
+    ALTER TABLE ingest_jobs DROP COLUMN IF EXISTS replace_id, DROP COLUMN IF EXISTS mode;
+    DROP INDEX IF EXISTS document_chunks_hash_idx;
+    ALTER TABLE document_chunks DROP COLUMN IF EXISTS content_hash;
+    DROP INDEX IF EXISTS documents_lineage_idx;
+    DROP INDEX IF EXISTS documents_hash_idx;
+    DELETE FROM documents WHERE NOT is_current;
+    ALTER TABLE documents
+      DROP COLUMN IF EXISTS superseded_at,
+      DROP COLUMN IF EXISTS is_current,
+      DROP COLUMN IF EXISTS version,
+      DROP COLUMN IF EXISTS lineage_id,
+      DROP COLUMN IF EXISTS content_hash;
+  `,
+};
@@ -0,0 +1,16 @@
+// migrations/0008_chunk_fulltext.js – full-text search vector on chunks for hybrid retrieval
+// The section title is part of the searchable text, as it is of the embedding input.
+
+module.exports = {
+  up: `
+    ALTER TABLE document_chunks
+      ADD COLUMN IF NOT EXISTS tsv tsvector
+      GENERATED ALWAYS AS (to_tsvector('english', COALESCE(section, '') || ' ' || content)) STORED;
+    CREATE INDEX IF NOT EXISTS document_chunks_tsv_idx ON document_chunks USING gin (tsv);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS document_chunks_tsv_idx;
+    ALTER TABLE document_chunks DROP COLUMN IF EXISTS tsv;
+  `,
+};
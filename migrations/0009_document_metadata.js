@@ -0,0 +1,27 @@
+// migrations/0009_document_metadata.js – collection, tags and JSON metadata for retrieval filters
+
+module.exports = {
+  up: `
+    ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS collection TEXT,
+      ADD COLUMN IF NOT EXISTS tags       TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS metadata   JSONB  NOT NULL DEFAULT '{}';
+    CREATE INDEX IF NOT EXISTS documents_collection_idx ON documents (collection) WHERE is_current;
+    CREATE INDEX IF NOT EXISTS documents_tags_idx ON documents USING gin (tags);
+    CREATE INDEX IF NOT EXISTS documents_metadata_idx ON documents USING gin (metadata jsonb_path_ops);
+
+    -- Background jobs carry the metadata of the original request
+    ALTER TABLE ingest_jobs ADD COLUMN IF NOT EXISTS document_meta JSONB;
+  `,
+
+  down: `
+    ALTER TABLE ingest_jobs DROP COLUMN IF EXISTS document_meta;
+    DROP INDEX IF EXISTS documents_metadata_idx;
+    DROP INDEX IF EXISTS documents_tags_idx;
+    DROP INDEX IF EXISTS documents_collection_idx;
+    ALTER TABLE documents
+      DROP COLUMN IF EXISTS metadata,
+      DROP COLUMN IF EXISTS tags,
+      DROP COLUMN IF EXISTS collection;
+  `,
+};
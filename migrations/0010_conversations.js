@@ -0,0 +1,35 @@
+// migrations/0010_conversations.js – conversation threads; messages belong to a conversation
+// Existing history becomes one conversation per user.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS conversations (
+      id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id     TEXT NOT NULL,
+      title       TEXT,
+      created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS conversations_user_updated_idx ON conversations (user_id, updated_at DESC);
+
+    ALTER TABLE messages
+      ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+    CREATE INDEX IF NOT EXISTS messages_conversation_idx ON messages (conversation_id, id);
+
+    INSERT INTO conversations (user_id, title, created_at, updated_at)
+    SELECT user_id, 'Earlier conversation', MIN(timestamp), MAX(timestamp)
+    FROM messages
+    WHERE conversation_id IS NULL
+    GROUP BY user_id;
+    UPDATE messages m
+    SET conversation_id = c.id
+    FROM conversations c
+    WHERE m.conversation_id IS NULL AND c.user_id = m.user_id;
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS messages_conversation_idx;
+    ALTER TABLE messages DROP COLUMN IF EXISTS conversation_id;
+    DROP TABLE IF EXISTS conversations;
+  `,
+};
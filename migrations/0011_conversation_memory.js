@@ -0,0 +1,22 @@
+// migrations/0011_conversation_memory.js – rolling conversation summaries and message embeddings
+// summary covers every message of the conversation up to and including summary_upto (a message id).
+
+module.exports = {
+  up: `
+    ALTER TABLE conversations
+      ADD COLUMN IF NOT EXISTS summary            TEXT,
+      ADD COLUMN IF NOT EXISTS summary_upto       BIGINT,
+      ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMPTZ;
+
+    -- Same model as document chunks (BAAI/bge-large-en-v1.5); only filled when MEMORY_RECALL is on
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding vector(1024);
+  `,
+
+  down: `
+    ALTER TABLE messages DROP COLUMN IF EXISTS embedding;
+    ALTER TABLE conversations
+      DROP COLUMN IF EXISTS summary_updated_at,
+      DROP COLUMN IF EXISTS summary_upto,
+      DROP COLUMN IF EXISTS summary;
+  `,
+};
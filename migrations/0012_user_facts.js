@@ -0,0 +1,27 @@
+// migrations/0012_user_facts.js – long-term user profile: durable facts remembered across conversations
+// A fact with a key (e.g. "response_language") has one value per user; newer values replace older ones.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS user_facts (
+      id               BIGSERIAL PRIMARY KEY,
+      user_id          TEXT NOT NULL,
+      category         TEXT NOT NULL DEFAULT 'other'
+                       CHECK (category IN ('identity', 'work', 'project', 'preference', 'language', 'other')),
+      key              TEXT,
+      fact             TEXT NOT NULL,
+      source           TEXT NOT NULL DEFAULT 'extracted' CHECK (source IN ('extracted', 'user')),
+      confidence       REAL,
+      conversation_id  UUID REFERENCES conversations(id) ON DELETE SET NULL,
+      created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS user_facts_user_idx ON user_facts (user_id, updated_at DESC);
+    CREATE UNIQUE INDEX IF NOT EXISTS user_facts_key_uidx ON user_facts (user_id, key) WHERE key IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS user_facts_text_uidx ON user_facts (user_id, lower(fact)) WHERE key IS NULL;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS user_facts;
+  `,
+};
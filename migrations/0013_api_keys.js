@@ -0,0 +1,24 @@
+// migrations/0013_api_keys.js – API keys for server-to-server callers (see lib/auth.js)
+// Only a SHA-256 hash of each key is stored; `prefix` is the first characters, shown in listings.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id            BIGSERIAL PRIMARY KEY,
+      user_id       TEXT NOT NULL,
+      name          TEXT,
+      prefix        TEXT NOT NULL,
+      key_hash      TEXT NOT NULL UNIQUE,
+      role          TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+      created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at    TIMESTAMPTZ,
+      last_used_at  TIMESTAMPTZ,
+      revoked_at    TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS api_keys_user_idx ON api_keys (user_id, created_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS api_keys;
+  `,
+};
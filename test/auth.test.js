@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+process.env.DATABASE_URL ||= "postgres://test@127.0.0.1:1/test"; // the pool is never used here
+const { verifyJwt } = require("../lib/auth");
+
+const NOW = Date.UTC(2025, 0, 1);
+const SEC = NOW / 1000;
+const b64 = (o) => Buffer.from(JSON.stringify(o)).toString("base64url");
+
+function hs256(claims, secret = "s3cret") {
+  const head = `${b64({ alg: "HS256", typ: "JWT" })}.${b64(claims)}`;
+  return `${head}.${crypto.createHmac("sha256", secret).update(head).digest("base64url")}`;
+}
+
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+  Object.entries(vars).forEach(([k, v]) => (v == null ? delete process.env[k] : (process.env[k] = v)));
+  try { return fn(); } finally {
+    Object.entries(saved).forEach(([k, v]) => (v == null ? delete process.env[k] : (process.env[k] = v)));
+  }
+}
+
+test("HS256 tokens verify and expire", () => withEnv({ AUTH_JWT_SECRET: "s3cret" }, () => {
+  assert.equal(verifyJwt(hs256({ sub: "u1", exp: SEC + 600 }), NOW).sub, "u1");
+  assert.equal(verifyJwt(hs256({ sub: "u1", exp: SEC - 30 }), NOW).sub, "u1"); // within the 60 s leeway
+  assert.throws(() => verifyJwt(hs256({ sub: "u1", exp: SEC - 61 }), NOW), { statusCode: 401, message: "Token expired" });
+  assert.throws(() => verifyJwt(hs256({ sub: "u1", exp: "soon" }), NOW), { message: "Token expired" });
+  assert.throws(() => verifyJwt(hs256({ sub: "u1", exp: SEC + 600, nbf: SEC + 600 }), NOW), { message: "Token not yet valid" });
+  assert.throws(() => verifyJwt(hs256({ sub: "u1", exp: SEC + 600 }, "other"), NOW), { message: "Invalid token signature" });
+}));
+
+test("tokens without exp are refused unless AUTH_JWT_REQUIRE_EXP=0", () => {
+  withEnv({ AUTH_JWT_SECRET: "s3cret", AUTH_JWT_REQUIRE_EXP: null }, () => {
+    assert.throws(() => verifyJwt(hs256({ sub: "u1" }), NOW), { statusCode: 401, message: "Token has no expiry (exp)" });
+  });
+  withEnv({ AUTH_JWT_SECRET: "s3cret", AUTH_JWT_REQUIRE_EXP: "0" }, () => {
+    assert.equal(verifyJwt(hs256({ sub: "u1" }), NOW).sub, "u1");
+  });
+});
+
+test("issuer and audience must match when configured", () => withEnv({ AUTH_JWT_SECRET: "s3cret", AUTH_JWT_ISSUER: "https://id.example", AUTH_JWT_AUDIENCE: "api,web" }, () => {
+  const ok = { sub: "u1", exp: SEC + 600, iss: "https://id.example", aud: ["x", "web"] };
+  assert.equal(verifyJwt(hs256(ok), NOW).sub, "u1");
+  assert.throws(() => verifyJwt(hs256({ ...ok, iss: "https://evil.example" }), NOW), { message: "Token issuer not accepted" });
+  assert.throws(() => verifyJwt(hs256({ ...ok, aud: "mobile" }), NOW), { message: "Token audience not accepted" });
+}));
+
+test("RS256 needs the public key, and the key is never an HMAC secret", () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const pem = publicKey.export({ type: "spki", format: "pem" });
+  const head = `${b64({ alg: "RS256" })}.${b64({ sub: "u2", exp: SEC + 600 })}`;
+  const token = `${head}.${crypto.sign("RSA-SHA256", Buffer.from(head), privateKey).toString("base64url")}`;
+  withEnv({ AUTH_JWT_SECRET: null, AUTH_JWT_PUBLIC_KEY: pem.replace(/\n/g, "\\n") }, () => {
+    assert.equal(verifyJwt(token, NOW).sub, "u2");
+    assert.throws(() => verifyJwt(hs256({ sub: "u2", exp: SEC + 600 }, pem), NOW), { message: "HS256 tokens are not accepted" });
+  });
+  withEnv({ AUTH_JWT_PUBLIC_KEY: null }, () => {
+    assert.throws(() => verifyJwt(token, NOW), { message: "RS256 tokens are not accepted" });
+  });
+});
+
+test("malformed tokens and unsupported algorithms", () => {
+  assert.throws(() => verifyJwt("abc", NOW), { message: "Malformed token" });
+  assert.throws(() => verifyJwt(`${b64({ alg: "none" })}.${b64({ sub: "u" })}.`, NOW), { message: "Unsupported token algorithm none" });
+});
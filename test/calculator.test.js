@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluate, CalcError } = require("../lib/calculator");
+
+test("precedence, power and unary minus", () => {
+  assert.equal(evaluate("2 * (3 + 4) ^ 2"), 98);
+  assert.equal(evaluate("2 ^ 3 ^ 2"), 512);
+  assert.equal(evaluate("2 ** 3"), 8);
+  assert.equal(evaluate("-2 ^ 2"), -4);
+  assert.equal(evaluate("7 % 4 - -1"), 4);
+  assert.equal(evaluate("(1200 * 0.15) / 12"), 15);
+  assert.equal(evaluate(".5e1 + 1"), 6);
+});
+
+test("constants and functions", () => {
+  assert.equal(evaluate("PI"), Math.PI);
+  assert.equal(evaluate("max(1, 7, 3) + log(1000)"), 10);
+  assert.equal(evaluate("sqrt(2) / 2"), Math.SQRT1_2);
+  assert.equal(evaluate("round(e)"), 3);
+});
+
+test("bad input is a CalcError, and nothing but arithmetic runs", () => {
+  for (const [src, message] of [
+    ["", "empty expression"],
+    ["1 / 0", "division by zero"],
+    ["1 +", "unexpected end of expression"],
+    ["(1 + 2", 'expected ")"'],
+    ["1 2", 'unexpected "2"'],
+    ["process.exit(1)", 'unexpected character "."'],
+    ["constructor(1)", 'unknown name "constructor"'],
+    ["toString(1)", 'unknown name "tostring"'],
+    ["1 = 1", 'unexpected character "="'],
+    ["10 ^ 400", "result is not a finite number"],
+    ["(".repeat(60) + "1" + ")".repeat(60), "expression is nested too deeply"],
+    ["1+".repeat(200) + "1", "expression longer than 300 characters"],
+  ]) {
+    assert.throws(() => evaluate(src), (err) => err instanceof CalcError && err.message === message, src);
+  }
+});
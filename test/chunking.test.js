@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { chunkingOptions, chunkDocument, packRecords, embeddingInput, estimateTokens } = require("../lib/chunking");
+
+test("chunkingOptions defaults and clamps", () => {
+  assert.deepEqual(chunkingOptions(), { strategy: "structure", maxTokens: 400, overlap: 50 });
+  assert.deepEqual(chunkingOptions("FIXED"), { strategy: "fixed", maxTokens: 400, overlap: 50 });
+  assert.deepEqual(chunkingOptions({ strategy: "", maxTokens: 10000, overlap: 999 }), { strategy: "structure", maxTokens: 512, overlap: 256 });
+  assert.deepEqual(chunkingOptions({ maxTokens: 10 }), { strategy: "structure", maxTokens: 64, overlap: 32 });
+});
+
+test("chunkingOptions rejects unknown strategies", () => {
+  assert.throws(() => chunkingOptions("sentense"), {
+    statusCode: 400,
+    code: "invalid_strategy",
+    details: { strategies: ["structure", "paragraph", "fixed"] },
+  });
+  assert.throws(() => chunkingOptions({ strategy: "words" }), { code: "invalid_strategy" });
+});
+
+test("structure chunks follow headings", () => {
+  const text = "# Intro\n\nThis is the first sentence of the intro. Here is another one.\n\n# Safety\n\nKeep the lidar clean. Check thresholds daily.";
+  const chunks = chunkDocument({ text }, {});
+  assert.deepEqual(chunks.map(c => c.section), ["Intro", "Safety"]);
+  assert.deepEqual(chunks.map(c => c.index), [0, 1]);
+  assert.equal(chunks[1].content, "Keep the lidar clean. Check thresholds daily.");
+  assert.equal(chunks[1].tokens, estimateTokens(chunks[1].content));
+  assert.equal(embeddingInput(chunks[1]), "Safety\n\nKeep the lidar clean. Check thresholds daily.");
+});
+
+test("pages are numbered and tiny fragments dropped", () => {
+  const chunks = chunkDocument({ text: "", pages: ["# A\n\nPage one has enough text here.", "Page two has enough text as well."] }, "paragraph");
+  assert.deepEqual(chunks.map(c => [c.page, c.content]), [[1, "Page one has enough text here."], [2, "Page two has enough text as well."]]);
+});
+
+test("fixed windows stay within maxTokens", () => {
+  const chunks = chunkDocument({ text: "w ".repeat(1000) }, { strategy: "fixed", maxTokens: 64, overlap: 16 });
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(c => c.tokens <= 64));
+});
+
+test("CSV records are packed whole", () => {
+  assert.deepEqual(packRecords(["a,b,c", "d,e,f"], 64), ["a,b,c\nd,e,f"]);
+  const long = "x".repeat(200);
+  assert.deepEqual(packRecords([long, long], 64), [long, long]);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatContext, buildSources, applyCitations } = require("../lib/citations");
+
+const chunks = [
+  { id: 11, docId: 3, docName: "Manual", page: 4, section: "Calibration", content: "Calibrate the lidar first." },
+  { id: 12, docId: 5, content: "Thresholds are  set\nper site." },
+];
+
+test("formatContext numbers one block per chunk", () => {
+  assert.equal(formatContext(chunks), "[1] Manual, p. 4 — Calibration\nCalibrate the lidar first.\n---\n[2] Document 5\nThresholds are  set\nper site.");
+});
+
+test("buildSources maps markers to documents, optionally numbering on", () => {
+  const [a, b] = buildSources(chunks);
+  assert.deepEqual(a, { marker: 1, chunkId: 11, docId: 3, document: "Manual", page: 4, section: "Calibration", chunkIndex: null, snippet: "Calibrate the lidar first." });
+  assert.equal(b.snippet, "Thresholds are set per site.");
+  assert.deepEqual(buildSources(chunks, 4).map(s => s.marker), [4, 5]);
+  const long = buildSources([{ content: "word ".repeat(100) }])[0].snippet;
+  assert.ok(long.length <= 241 && long.endsWith("…"));
+});
+
+test("applyCitations keeps real markers and drops invented ones", () => {
+  const sources = buildSources(chunks);
+  const out = applyCitations("Calibrate first [1][3]. Per site [1, 2]. Bad [7]. Range [1-2].", sources);
+  assert.equal(out.answer, "Calibrate first [1]. Per site [1][2]. Bad. Range [1][2].");
+  assert.deepEqual(out.sources.map(s => s.cited), [true, true]);
+  assert.deepEqual(applyCitations("Nothing cited.", sources).sources.map(s => s.cited), [false, false]);
+});
+
+test("applyCitations leaves code, indexing and links alone", () => {
+  const sources = buildSources(chunks);
+  const text = "Use `arr[9]` and arr[9] and [9](http://x) and\n```\nx[9]\n```";
+  assert.equal(applyCitations(text, sources).answer, text);
+});
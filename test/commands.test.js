@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tokenize, bindArgs, parseCommand, findCommand, suggestCommands, runCommand } = require("../lib/commands");
+
+test("tokenize keeps quoted strings together", () => {
+  assert.deepEqual(tokenize(`a "b c" 'd e' f`), ["a", "b c", "d e", "f"]);
+  assert.deepEqual(tokenize("   "), []);
+});
+
+test("parseCommand splits name and argument text", () => {
+  assert.deepEqual(parseCommand("  /Doc 3 what is it? "), { name: "doc", argText: "3 what is it?" });
+  assert.equal(parseCommand("hello /doc"), null);
+});
+
+test("bindArgs binds positional args, rest args and typed flags", () => {
+  const gen = findCommand("gen");
+  assert.deepEqual(bindArgs(gen, `a red fox --size 1536x1024 --seed=42`), {
+    args: { prompt: "a red fox" },
+    flags: { size: "1536x1024", seed: 42 },
+  });
+  const doc = findCommand("doc");
+  assert.deepEqual(bindArgs(doc, `7 "what" is it`), { args: { docId: 7, question: "what is it" }, flags: {} });
+});
+
+test("bindArgs reports bad input", () => {
+  const gen = findCommand("gen");
+  assert.equal(bindArgs(gen, "fox --nope 1").error, "Unknown flag --nope");
+  assert.equal(bindArgs(gen, "fox --seed x").error, "Invalid value for --seed: x");
+  assert.equal(bindArgs(gen, "fox --seed").error, "Invalid value for --seed: (missing)");
+  assert.equal(bindArgs(gen, "").error, "Missing <prompt>");
+  assert.equal(bindArgs(findCommand("summarize"), "abc").error, "<docId> must be a number");
+});
+
+test("aliases and typo suggestions", () => {
+  assert.equal(findCommand("/tldr").name, "summarize");
+  assert.deepEqual(suggestCommands("sumarize"), ["/summarize"]);
+});
+
+test("runCommand returns errors with usage, and null for plain questions", async () => {
+  assert.equal(await runCommand("what is AAVSS?", {}), null);
+  const unknown = await runCommand("/nope", {});
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.code, "unknown_command");
+  const bad = await runCommand("/summarize", {});
+  assert.equal(bad.body.code, "invalid_arguments");
+  assert.equal(bad.body.usage, "/summarize <docId>");
+  const skill = await runCommand("/skill eli5 how does lidar work", {});
+  assert.deepEqual(skill.chat, { question: "how does lidar work", skill: "eli5" });
+});
+
+test("/gen passes 429s through and falls back only when generation fails", async () => {
+  const failing = (err) => ({ generateImage: async () => { throw err; } });
+  const quota = Object.assign(new Error("Daily images quota of 20 used up"), { statusCode: 429, code: "quota_exceeded" });
+  await assert.rejects(runCommand("/gen a fox", failing(quota)), { statusCode: 429, code: "quota_exceeded" });
+  const failed = Object.assign(new Error("Image generation failed: boom"), { statusCode: 502, code: "image_generation_failed" });
+  assert.equal((await runCommand("/gen a fox", failing(failed))).body.provider, "image-fallback");
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.DATABASE_URL ||= "postgres://test@127.0.0.1:1/test"; // the pool is never used here
+const { parseConversationCursor } = require("../db");
+
+const ID = "0b5e7f3a-9c1d-4e2f-8a6b-3c4d5e6f7a8b";
+
+test("parseConversationCursor accepts nextCursor values and plain dates", () => {
+  assert.deepEqual(parseConversationCursor(`2025-03-01T12:34:56.123456Z_${ID}`), { at: "2025-03-01T12:34:56.123456Z", id: ID });
+  assert.deepEqual(parseConversationCursor("2025-03-01"), { at: "2025-03-01", id: null });
+  assert.deepEqual(parseConversationCursor("2025-03-01T12:34+02:00"), { at: "2025-03-01T12:34+02:00", id: null });
+  assert.deepEqual(parseConversationCursor("2024-02-29"), { at: "2024-02-29", id: null });
+});
+
+test("parseConversationCursor rejects impossible dates instead of rolling them over", () => {
+  for (const c of ["2025-02-30", "2023-02-29", "2025-13-01", "2025-04-31T10:00:00Z", `2025-02-30T00:00:00.000000Z_${ID}`, "2025-03-01T25:00:00Z"]) {
+    assert.equal(parseConversationCursor(c), null, c);
+  }
+});
+
+test("parseConversationCursor rejects malformed ids and anything else", () => {
+  for (const c of [
+    `2025-03-01T12:34:56.123456Z_${ID.replace(/-/g, "0")}`,          // 36 characters, no dashes
+    `2025-03-01T12:34:56.123456Z_${ID.slice(0, 35)}`,
+    `2025-03-01T12:34:56.123456Z_${ID.replace("0b5e", "zz5e")}`,
+    `2025-03-01T12:34:56.1234567Z_${ID}`,                             // more than microseconds
+    "2025-03-01T12:34:56",                                             // no time zone
+    "1700000000", "yesterday", "'; DROP TABLE conversations; --", "", null, undefined,
+  ]) {
+    assert.equal(parseConversationCursor(c), null, String(c));
+  }
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseFilters, filterSql, normalizeTags, normalizeMetadata } = require("../lib/filters");
+
+test("parseFilters normalises every field and returns null when empty", () => {
+  assert.equal(parseFilters(), null);
+  assert.equal(parseFilters({ tags: "", docIds: [] }), null);
+  assert.deepEqual(parseFilters({
+    collection: ["AAVSS", " sl-dataset "],
+    tags: "Lidar, safety,lidar",
+    anyTags: ["x"],
+    docIds: "12,15",
+    from: "2024-01-01",
+    to: "2024-01-31",
+    metadata: '{"site":"Colombo"}',
+  }), {
+    collections: ["aavss", "sl-dataset"],
+    tags: ["lidar", "safety"],
+    anyTags: ["x"],
+    docIds: ["12", "15"],
+    from: "2024-01-01T00:00:00.000Z",
+    to: "2024-01-31T23:59:59.999Z",
+    metadata: { site: "Colombo" },
+  });
+});
+
+test("parseFilters rejects bad input with 400s", () => {
+  for (const bad of [{ docIds: "1,x" }, { from: "yesterday-ish" }, { metadata: "[1]" }, { metadata: "{" }, { tags: ["#bad"] }, { collection: "a b!" }]) {
+    assert.throws(() => parseFilters(bad), { statusCode: 400 }, JSON.stringify(bad));
+  }
+  assert.throws(() => normalizeTags(Array.from({ length: 51 }, (_, i) => `t${i}`)), /at most 50 tags/);
+  assert.throws(() => normalizeMetadata({ big: "x".repeat(9000) }), /too large/);
+});
+
+test("filterSql appends parameters after the existing ones", () => {
+  const params = ["user-1"];
+  const sql = filterSql(parseFilters({ collection: "aavss", tags: "lidar", docIds: [3], metadata: { site: "A" } }), params);
+  assert.equal(sql,
+    " AND d.collection = ANY($2::text[]) AND d.tags @> $3::text[]" +
+    " AND d.lineage_id IN (SELECT lineage_id FROM documents WHERE id = ANY($4::bigint[])) AND d.metadata @> $5::jsonb");
+  assert.deepEqual(params, ["user-1", ["aavss"], ["lidar"], ["3"], '{"site":"A"}']);
+  assert.equal(filterSql(null, params), "");
+});
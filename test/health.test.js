@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const health = require("../lib/providers/health");
+
+const OPTS = { consecutiveFailures: 3, minRequests: 4, errorRate: 0.5, cooldownMs: 1000, maxCooldownMs: 3000 };
+const fail = (p, kind = "unavailable") => health.record(p, { ok: false, kind }, OPTS);
+const pass = (p, ms = 100) => health.record(p, { ok: true, ms }, OPTS);
+
+let now = 0;
+const tick = (ms) => { now += ms; };
+
+test.beforeEach(() => {
+  health.reset();
+  now = 0;
+  health.setClock(() => now);
+});
+test.after(() => health.setClock());
+
+test("consecutive failures open the breaker until the cooldown ends", () => {
+  fail("p"); fail("p");
+  assert.equal(health.stats("p").circuit, "closed");
+  fail("p");
+  assert.equal(health.stats("p").circuit, "open");
+  assert.deepEqual(health.allow("p"), { allowed: false, retryAfter: 1 });
+  tick(1000);
+  assert.equal(health.stats("p").circuit, "half_open");
+});
+
+test("half-open lets one trial through; success closes, failure reopens for longer", () => {
+  fail("p"); fail("p"); fail("p");
+  tick(1000);
+  assert.equal(health.allow("p").allowed, true);
+  assert.equal(health.allow("p").allowed, false);
+  fail("p");
+  assert.equal(health.isOpen("p"), true);
+  tick(1000);
+  assert.equal(health.isOpen("p"), true); // cooldown doubled to 2 s
+  tick(1000);
+  assert.equal(health.allow("p").allowed, true);
+  pass("p");
+  assert.equal(health.stats("p").circuit, "closed");
+  assert.equal(health.allow("p").allowed, true);
+});
+
+test("the error rate opens the breaker once minRequests is reached", () => {
+  pass("p"); fail("p"); pass("p");
+  assert.equal(health.stats("p").circuit, "closed");
+  fail("p");
+  assert.equal(health.stats("p").circuit, "open");
+  assert.equal(health.stats("p").errorRate, 0.5);
+});
+
+test("bad requests and cancelled calls don't count", () => {
+  for (let i = 0; i < 5; i++) fail("p", "bad_request");
+  assert.equal(health.stats("p").circuit, "closed");
+  assert.equal(health.stats("p").requests, 0);
+
+  fail("p"); fail("p"); fail("p");
+  tick(1000);
+  assert.equal(health.allow("p").allowed, true);
+  fail("p", "aborted"); // inconclusive trial: the next call may try again
+  assert.equal(health.stats("p").circuit, "half_open");
+  assert.equal(health.allow("p").allowed, true);
+});
+
+test("AI_BREAKER=off never refuses", () => {
+  process.env.AI_BREAKER = "off";
+  try {
+    fail("p"); fail("p"); fail("p");
+    assert.equal(health.allow("p").allowed, true);
+    assert.equal(health.isOpen("p"), false);
+  } finally {
+    delete process.env.AI_BREAKER;
+  }
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+// In-memory stand-ins for the ingest_jobs table and the ingest pipeline
+const jobs = new Map();
+const pipeline = { embed: async () => ({ complete: true }), prepare: async () => ({ documentId: 7 }) };
+
+function query(sql, params = []) {
+  const text = sql.replace(/\s+/g, " ");
+  if (text.includes("SET status = 'running'")) {
+    const job = [...jobs.values()].find(j => j.status === "queued" && !params[0].includes(j.id));
+    if (!job) return { rows: [] };
+    Object.assign(job, { status: "running", locked_at: new Date(), attempts: job.attempts + 1 });
+    return { rows: [{ ...job }] };
+  }
+  if (text.includes("SET status = 'queued', locked_at = NULL, attempts = attempts - 1")) {
+    const job = jobs.get(params[0]);
+    Object.assign(job, { status: "queued", locked_at: null, attempts: job.attempts - 1 });
+    return { rows: [] };
+  }
+  const set = text.match(/^UPDATE ingest_jobs SET (.*), updated_at = NOW\(\) WHERE id = \$1$/);
+  if (set) {
+    for (const [, key, n] of set[1].matchAll(/(\w+) = \$(\d+)/g)) jobs.get(params[0])[key] = params[+n - 1];
+    return { rows: [] };
+  }
+  if (text.startsWith("SELECT chunks_done, chunks_total FROM documents")) return { rows: [{ chunks_done: 10, chunks_total: 10 }] };
+  if (text.startsWith("SELECT chunks_total FROM documents")) return { rows: [{ chunks_total: 10 }] };
+  throw new Error("unexpected query: " + text);
+}
+
+function stub(file, exports) {
+  const id = require.resolve(path.join(__dirname, "..", file));
+  require.cache[id] = { id, filename: id, loaded: true, exports };
+}
+stub("db.js", { pool: { query: async (sql, params) => query(sql, params) } });
+stub("lib/ingest.js", {
+  prepareDocument: (...a) => pipeline.prepare(...a),
+  embedPending: (...a) => pipeline.embed(...a),
+  fetchDocument: async () => { throw new Error("no fetch expected"); },
+});
+const { runWorker, needsWorker } = require("../lib/jobs");
+
+function addJob(id) {
+  jobs.clear();
+  jobs.set(id, { id, status: "queued", attempts: 0, document_id: null, input: Buffer.from("x"), chunks_done: 0, chunks_total: null });
+  return jobs.get(id);
+}
+
+test("a job out of time goes back to the queue, keeps its progress and needs a worker", async () => {
+  const job = addJob("00000000-0000-0000-0000-000000000001");
+  pipeline.embed = async (docId, { onProgress }) => { await onProgress({ done: 4, total: 10 }); return { complete: false }; };
+  assert.deepEqual(await runWorker(), [job.id]);
+  assert.equal(job.status, "queued");
+  assert.equal(job.attempts, 0); // running out of time is not a failed attempt
+  assert.equal(job.chunks_done, 4);
+  assert.equal(job.document_id, 7);
+  assert.equal(needsWorker(job), true);
+
+  // the next run (started by polling) resumes and finishes it
+  pipeline.embed = async () => ({ complete: true });
+  await runWorker();
+  assert.equal(job.status, "succeeded");
+  assert.equal(needsWorker(job), false);
+});
+
+test("a temporary failure is retried by a later run; a 4xx fails the job", async () => {
+  const job = addJob("00000000-0000-0000-0000-000000000002");
+  pipeline.embed = async () => { throw new Error("embedding provider timed out"); };
+  await runWorker();
+  assert.equal(job.status, "queued");
+  assert.equal(job.error, "embedding provider timed out");
+  assert.equal(needsWorker(job), true);
+
+  pipeline.embed = async () => { throw Object.assign(new Error("No text found"), { statusCode: 422 }); };
+  await runWorker();
+  assert.equal(job.status, "failed");
+  assert.equal(needsWorker(job), false);
+});
+
+test("needsWorker: running jobs only once their lock is stale", () => {
+  const now = Date.now();
+  assert.equal(needsWorker({ status: "running", locked_at: new Date(now - 60 * 1000) }, now), false);
+  assert.equal(needsWorker({ status: "running", locked_at: new Date(now - 6 * 60 * 1000) }, now), true);
+  assert.equal(needsWorker({ status: "succeeded" }, now), false);
+  assert.equal(needsWorker(null, now), false);
+});
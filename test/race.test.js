@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { race, hedgeOptions, ProviderError } = require("../lib/providers");
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => { clearTimeout(t); reject(new ProviderError("aborted", "aborted")); });
+});
+
+test("hedgeOptions", () => {
+  assert.equal(hedgeOptions(undefined), null);
+  assert.equal(hedgeOptions("nope"), null);
+  assert.deepEqual(hedgeOptions("parallel"), { delayMs: 0 });
+  assert.deepEqual(hedgeOptions(250), { delayMs: 250 });
+  assert.deepEqual(hedgeOptions("99999"), { delayMs: 10000 });
+  process.env.AI_HEDGE_MS = "150";
+  try { assert.deepEqual(hedgeOptions(true), { delayMs: 150 }); } finally { delete process.env.AI_HEDGE_MS; }
+});
+
+test("a fast first provider wins before the hedge starts", async () => {
+  const calls = [];
+  const out = await race(["a", "b"], async (p) => { calls.push(p); return p; }, { delayMs: 50 });
+  assert.equal(out.result, "a");
+  assert.deepEqual(calls, ["a"]);
+  assert.deepEqual(out.hedge.attempts.map(a => [a.provider, a.outcome]), [["a", "won"]]);
+});
+
+test("the hedged call wins over a slow one, which is aborted", async () => {
+  let slowAborted = false;
+  const out = await race(["slow", "fast"], async (p, signal) => {
+    if (p === "slow") {
+      signal.addEventListener("abort", () => { slowAborted = true; });
+      await sleep(1000, signal);
+    }
+    return p;
+  }, { delayMs: 10 });
+  assert.equal(out.provider, "fast");
+  assert.equal(slowAborted, true);
+  assert.deepEqual(out.hedge.attempts.map(a => [a.provider, a.outcome]), [["slow", "aborted"], ["fast", "won"]]);
+  assert.equal(out.hedge.winner, "fast");
+});
+
+test("a failure starts the next provider at once", async () => {
+  const t0 = Date.now();
+  const out = await race(["a", "b"], async (p) => {
+    if (p === "a") throw new ProviderError("unavailable", "down", { provider: p });
+    return p;
+  }, { delayMs: 5000 });
+  assert.equal(out.provider, "b");
+  assert.ok(Date.now() - t0 < 1000);
+  assert.equal(out.hedge.attempts[0].error, "unavailable");
+});
+
+test("when every provider fails, the last real error is thrown with the report", async () => {
+  const err = await race(["a", "b", "c"], async (p) => {
+    throw new ProviderError(p === "c" ? "circuit_open" : "timeout", "no", { provider: p });
+  }).catch(e => e);
+  assert.equal(err.provider, "b");
+  assert.deepEqual(err.hedge.attempts.map(a => a.outcome), ["failed", "failed", "failed"]);
+  await assert.rejects(race([], async () => {}), { kind: "not_configured" });
+});
+
+test("only the stream that claims the win may emit; its later failure ends the race", async () => {
+  const emitted = [];
+  const err = await race(["a", "b"], async (p, signal, win) => {
+    if (p === "a") await sleep(20);
+    if (win()) emitted.push(p);
+    await sleep(10);
+    if (p === "b") throw new ProviderError("unavailable", "cut off", { provider: p });
+    return p;
+  }, { delayMs: 0 }).catch(e => e);
+  assert.deepEqual(emitted, ["b"]);
+  assert.equal(err.message, "b: cut off");
+});
+
+test("the caller's signal aborts every call", async () => {
+  const ac = new AbortController();
+  const pending = race(["a", "b"], (p, signal) => sleep(1000, signal), { delayMs: 0, signal: ac.signal });
+  setTimeout(() => ac.abort(), 10);
+  await assert.rejects(pending, { kind: "aborted" });
+});
@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tokensUsed, parseLimit } = require("../lib/ratelimit");
+
+test("tokensUsed prefers the provider's count and estimates otherwise", () => {
+  const messages = [{ role: "system", content: "x".repeat(40) }, { role: "user", content: "y".repeat(6) }];
+  assert.equal(tokensUsed(messages, { text: "z".repeat(8), usage: { total_tokens: 123 } }), 123);
+  assert.equal(tokensUsed(messages, { text: "z".repeat(8) }), 10 + 2 + 2);
+  assert.equal(tokensUsed([], {}), 0);
+});
+
+test("parseLimit reads capacity/perMinute and refuses anything else", () => {
+  assert.deepEqual(parseLimit("6/3"), { capacity: 6, perSecond: 0.05 });
+  assert.equal(parseLimit("off"), null);
+  assert.equal(parseLimit("0/5"), null);
+});
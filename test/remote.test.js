@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchRemote, readBody, checkUrl, isBlockedAddress } = require("../lib/remote");
+
+test("isBlockedAddress covers private, loopback, link-local and mapped addresses", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.31.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "224.0.0.1",
+                    "::1", "::", "fe80::1", "fd00::1", "::ffff:127.0.0.1", "::ffff:7f00:1", "64:ff9b::a9fe:a9fe"]) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "2606:4700::1111", "::ffff:8.8.8.8", "example.com"]) {
+    assert.equal(isBlockedAddress(ip), false, ip);
+  }
+});
+
+test("checkUrl refuses internal hosts and other schemes", async () => {
+  for (const url of ["http://127.0.0.1/", "http://2130706433/", "http://0x7f.1/", "http://[::1]:8080/", "http://localhost/",
+                     "http://metadata.google.internal/", "http://db:5432/", "http://printer.local/"]) {
+    await assert.rejects(checkUrl(url), { statusCode: 400, code: "url_not_allowed" }, url);
+  }
+  await assert.rejects(checkUrl("file:///etc/passwd"), { code: "invalid_url" });
+  await assert.rejects(checkUrl("not a url"), { code: "invalid_url" });
+  assert.equal((await checkUrl("https://example.com/a.pdf")).hostname, "example.com");
+});
+
+test("checkUrl checks resolved addresses when given a lookup", async () => {
+  const lookup = async (host) => (host === "evil.example" ? [{ address: "93.184.216.34" }, { address: "10.0.0.5" }] : [{ address: "93.184.216.34" }]);
+  await assert.rejects(checkUrl("http://evil.example/", lookup), { code: "url_not_allowed" });
+  await checkUrl("http://fine.example/", lookup);
+  await assert.rejects(checkUrl("http://nx.example/", async () => { throw new Error("ENOTFOUND"); }), { code: "invalid_url" });
+});
+
+test("fetchRemote checks every redirect hop", async (t) => {
+  const hops = { "https://a.example/": "https://b.example/x", "https://b.example/x": "http://169.254.169.254/latest/meta-data" };
+  const fetch = t.mock.method(globalThis, "fetch", async (url) => {
+    const next = hops[String(url)];
+    return next ? new Response(null, { status: 302, headers: { location: next } }) : new Response("ok");
+  });
+  await assert.rejects(fetchRemote("https://a.example/"), { code: "url_not_allowed" });
+  assert.equal(await (await fetchRemote("https://b.example/y")).text(), "ok");
+
+  fetch.mock.mockImplementation(async (url) => new Response(null, { status: 301, headers: { location: String(url) + "x" } }));
+  await assert.rejects(fetchRemote("https://loop.example/"), { code: "too_many_redirects" });
+});
+
+test("readBody stops past maxBytes", async () => {
+  assert.deepEqual(await readBody(new Response("hello"), 5), new TextEncoder().encode("hello"));
+  await assert.rejects(readBody(new Response("hello!"), 5), { statusCode: 413 });
+  await assert.rejects(readBody(new Response("x", { headers: { "content-length": "999999" } }), 5), { statusCode: 413 });
+  let pulled = 0;
+  const endless = new ReadableStream({ pull(c) { pulled++; c.enqueue(new Uint8Array(1024)); } });
+  await assert.rejects(readBody(new Response(endless), 4096), { statusCode: 413 });
+  assert.ok(pulled < 10);
+});
+
+test("the public-only dispatcher refuses a name that rebinds to an internal address", async (t) => {
+  const http = require("http");
+  const { Agent } = require("undici");
+  const { publicLookup } = require("../lib/remote-node");
+  const srv = http.createServer((req, res) => res.end("internal"));
+  await new Promise(r => srv.listen(0, "127.0.0.1", r));
+  t.after(() => srv.close());
+  const url = `http://rebind.example:${srv.address().port}/`;
+  const firstAnswer = async () => [{ address: "93.184.216.34", family: 4 }]; // what checkUrl sees
+  const resolveTo = (address) => (host, opts, cb) => cb(null, [{ address, family: 4 }]);
+
+  const rebinding = new Agent({ connect: { lookup: publicLookup(resolveTo("127.0.0.1")) } });
+  t.after(() => rebinding.close());
+  await assert.rejects(fetchRemote(url, { lookup: firstAnswer, dispatcher: rebinding }), { statusCode: 400, code: "url_not_allowed" });
+
+  const pub = publicLookup(resolveTo("93.184.216.34")); // both callback forms net.connect uses
+  assert.deepEqual(await new Promise((r) => pub("x.example", {}, (...a) => r(a))), [null, "93.184.216.34", 4]);
+  assert.deepEqual(await new Promise((r) => pub("x.example", { all: true }, (...a) => r(a))), [null, [{ address: "93.184.216.34", family: 4 }]]);
+});
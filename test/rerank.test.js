@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { lexicalScores, shingles, similarity, rerank } = require("../lib/rerank");
+
+test("lexicalScores: share of question terms, identifiers count double, stop words ignored", () => {
+  const [all, half, id, none] = lexicalScores("How do I calibrate the XJ-2041 lidar?", [
+    "Calibrating the lidar XJ-2041 takes ten minutes.",
+    "The lidar mount.",
+    "XJ-2041 datasheet",
+    "Nothing relevant here.",
+  ]);
+  assert.equal(all, 1);
+  assert.equal(half, 1 / 4);  // lidar (1) of calibrate (1) + lidar (1) + xj-2041 (2)
+  assert.equal(id, 2 / 4);
+  assert.equal(none, 0);
+  assert.deepEqual(lexicalScores("what is the", ["anything"]), [0]);
+});
+
+test("shingles and similarity: word 3-grams and their Jaccard overlap", () => {
+  assert.deepEqual([...shingles("The lidar must be calibrated daily")], ["lidar must calibrated", "must calibrated daily"]); // stop words dropped
+  assert.deepEqual([...shingles("lidar only")], ["lidar only"]);
+  assert.equal(shingles("").size, 0);
+  const a = shingles("mount the lidar and run the calibration routine");
+  assert.equal(similarity(a, a), 1);
+  assert.equal(similarity(a, shingles("mount the lidar and run the calibration routine again")), 3 / 4);
+  assert.equal(similarity(a, shingles("camera setup only")), 0);
+  assert.equal(similarity(a, new Set()), 0);
+});
+
+test("rerank sorts by score and keeps the fused order for none", async () => {
+  const chunks = [{ id: 1, content: "camera", score: 0.03 }, { id: 2, content: "lidar calibration", score: 0.01 }];
+  const lexical = await rerank("lidar calibration", chunks, "lexical");
+  assert.deepEqual(lexical.chunks.map(c => [c.id, c.rerankScore]), [[2, 1], [1, 0]]);
+  const none = await rerank("lidar calibration", chunks, "none");
+  assert.deepEqual(none.chunks.map(c => [c.id, c.rerankScore]), [[1, 0.03], [2, 0.01]]);
+  assert.deepEqual(await rerank("q", [], "lexical"), { reranker: "lexical", chunks: [] });
+});
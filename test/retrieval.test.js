@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The keyword search reads `keywordRows`; vector search is switched off (vectorWeight 0) where it's used
+let keywordRows = [];
+const dbPath = require.resolve("../db");
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: {
+  pool: { query: async (sql) => { if (!sql.includes("ts_rank_cd")) throw new Error("unexpected query"); return { rows: keywordRows }; } },
+} };
+delete process.env.DEEPINFRA_API_KEY; // the cross-encoder is unavailable: rerank falls back to lexical
+const { keywordQuery, fuseRankings, retrievalOptions, retrieveContext } = require("../lib/retrieval");
+
+test("keywordQuery keeps identifiers whole and ORs the terms", () => {
+  assert.equal(keywordQuery("What does the XJ-2041 sensor report in v2.1?"),
+    "'What' | 'does' | 'the' | 'XJ-2041' | 'sensor' | 'report' | 'in' | 'v2.1'");
+  assert.equal(keywordQuery("AAVSS, aavss and AAVSS."), "'AAVSS' | 'and'");
+  assert.equal(keywordQuery("a 7 b"), "'7'"); // one-letter words go, single digits stay
+  assert.equal(keywordQuery("  ?! "), "");
+});
+
+test("keywordQuery never lets quotes or backslashes into to_tsquery", () => {
+  assert.equal(keywordQuery("O'Brien's"), "'Brien'");
+  assert.equal(keywordQuery("path\\to it'"), "'path' | 'to' | 'it'");
+  for (const q of ["x' | 'y & !z \\ ':*", "'' \\\\ ''", "it\\'s a'b\\c"]) {
+    for (const term of keywordQuery(q).split(" | ").filter(Boolean)) assert.match(term, /^'[^'\\]+'$/, q);
+  }
+});
+
+test("keywordQuery stops at 32 distinct terms", () => {
+  const q = keywordQuery(Array.from({ length: 40 }, (_, i) => `term${i} term${i}`).join(" "));
+  const terms = q.split(" | ");
+  assert.equal(terms.length, 32);
+  assert.equal(terms[31], "'term31'");
+});
+
+test("fuseRankings: weighted reciprocal rank fusion", () => {
+  const vector = [{ id: 1, content: "a", distance: 0.1 }, { id: 2, content: "b", distance: 0.2 }];
+  const keyword = [{ id: 2, content: "b", text_rank: 0.9 }, { id: 3, content: "c", text_rank: 0.5 }];
+  const fused = fuseRankings([
+    { rows: vector, weight: 1, rankKey: "vectorRank" },
+    { rows: keyword, weight: 2, rankKey: "keywordRank" },
+  ], { rrfK: 60, topK: 10 });
+  assert.deepEqual(fused.map(r => r.id), [2, 3, 1]);
+  assert.equal(fused[0].score, 1 / 62 + 2 / 61);
+  assert.equal(fused[1].score, 2 / 62);
+  assert.equal(fused[2].score, 1 / 61);
+  assert.deepEqual([fused[0].vectorRank, fused[0].keywordRank, fused[0].distance, fused[0].text_rank], [2, 1, 0.2, 0.9]);
+  assert.deepEqual([fused[2].vectorRank, fused[2].keywordRank], [1, null]);
+});
+
+test("fuseRankings: a zero weight ignores a list, duplicates by content hash collapse, topK cuts", () => {
+  const vector = [{ id: 1, content_hash: "h", content: "same" }, { id: 2, content_hash: "h", content: "same" }, { id: 3, content: "other" }];
+  const keyword = [{ id: 9, content: "kw only" }];
+  const fused = fuseRankings([
+    { rows: vector, weight: 1, rankKey: "vectorRank" },
+    { rows: keyword, weight: 0, rankKey: "keywordRank" },
+  ], { rrfK: 60, topK: 5 });
+  assert.deepEqual(fused.map(r => r.id), [1, 3]);
+  assert.deepEqual(fuseRankings([{ rows: vector, weight: 1, rankKey: "vectorRank" }], { rrfK: 60, topK: 1 }).map(r => r.id), [1]);
+});
+
+test("retrievalOptions clamps to sane ranges", () => {
+  assert.deepEqual(retrievalOptions(), { vectorWeight: 1, keywordWeight: 1, rrfK: 60, candidates: 20 });
+  assert.deepEqual(retrievalOptions({ vectorWeight: -3, keywordWeight: "2.5", rrfK: 0, candidates: 999.6 }),
+    { vectorWeight: 0, keywordWeight: 2.5, rrfK: 1, candidates: 200 });
+  assert.deepEqual(retrievalOptions({ vectorWeight: "", rrfK: "abc", candidates: 7.4 }), { vectorWeight: 1, keywordWeight: 1, rrfK: 60, candidates: 7 });
+});
+
+const row = (id, content) => ({ id, doc_id: 1, doc_name: "Guide", content, content_hash: `h${id}`, section: null, page: null, chunk_index: id });
+const LIDAR = [
+  row(1, "Lidar calibration steps: mount the lidar and run the calibration routine."),
+  row(2, "Lidar calibration steps: mount the lidar and run the calibration routine again."),
+  row(3, "Lidar calibration, the long version. " + "Check every bracket and cable before you start. ".repeat(5)),
+  row(4, "Lidar maintenance guide."),
+  row(5, "Lidar cleaning schedule."),
+  row(6, "Camera setup only."),
+];
+
+test("retrieveContext drops chunks below the threshold, near duplicates, past top_k and over the token budget", async () => {
+  keywordRows = LIDAR;
+  const { chunks, report } = await retrieveContext({
+    query: "lidar calibration", topK: 2,
+    options: { reranker: "lexical", vectorWeight: 0, maxTokens: 50, dedupeSimilarity: 0.8 },
+  });
+  assert.deepEqual(chunks.map(c => c.id), [1, 4]);
+  assert.equal(report.reranker, "lexical");
+  assert.equal(report.minScore, 0.2);
+  assert.equal(report.tokens, chunks[0].tokens + chunks[1].tokens);
+  assert.deepEqual(report.dropped.map(d => [d.id, d.reason]), [
+    [2, "near_duplicate"], [3, "token_budget"], [5, "top_k"], [6, "below_threshold"],
+  ]);
+});
+
+test("retrieveContext uses the fallback reranker's threshold when the cross-encoder is down", async () => {
+  keywordRows = LIDAR;
+  // 0.9 is meant for cross-encoder scores; on the lexical scale it would drop the half matches
+  const { chunks, report } = await retrieveContext({
+    query: "lidar calibration", topK: 5,
+    options: { reranker: "deepinfra", minScore: 0.9, vectorWeight: 0, maxTokens: 4000 },
+  });
+  assert.equal(report.reranker, "lexical");
+  assert.ok(report.rerankError);
+  assert.equal(report.minScore, 0.2);
+  assert.deepEqual(chunks.map(c => c.id), [1, 3, 4, 5]);
+
+  const strict = await retrieveContext({ query: "lidar calibration", topK: 5, options: { reranker: "lexical", minScore: 0.9, vectorWeight: 0, maxTokens: 4000 } });
+  assert.equal(strict.report.minScore, 0.9);
+  assert.deepEqual(strict.chunks.map(c => c.id), [1, 3]);
+});
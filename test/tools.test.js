@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkArgs, selectTools, runToolLoop } = require("../lib/tools");
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    query: { type: "string" },
+    top_k: { type: "integer", minimum: 1, maximum: 8 },
+    size: { type: "string", enum: ["1024x1024", "768x768"] },
+  },
+  required: ["query"],
+};
+
+test("checkArgs validates against the schema", () => {
+  assert.equal(checkArgs(SCHEMA, { query: "lidar", top_k: 3 }), null);
+  assert.equal(checkArgs(SCHEMA, null), "arguments must be a JSON object");
+  assert.equal(checkArgs(SCHEMA, ["lidar"]), "arguments must be a JSON object");
+  assert.equal(checkArgs(SCHEMA, { query: "" }), 'missing "query"');
+  assert.equal(checkArgs(SCHEMA, { query: 5 }), '"query" must be a string');
+  assert.equal(checkArgs(SCHEMA, { query: "q", top_k: 2.5 }), '"top_k" must be an integer');
+  assert.equal(checkArgs(SCHEMA, { query: "q", top_k: 0 }), '"top_k" must be at least 1');
+  assert.equal(checkArgs(SCHEMA, { query: "q", top_k: 9 }), '"top_k" must be at most 8');
+  assert.equal(checkArgs(SCHEMA, { query: "q", size: "1x1" }), '"size" must be one of: 1024x1024, 768x768');
+});
+
+test("checkArgs converts numbers sent as strings", () => {
+  const args = { query: "q", top_k: " 4 " };
+  assert.equal(checkArgs(SCHEMA, args), null);
+  assert.equal(args.top_k, 4);
+  assert.equal(checkArgs(SCHEMA, { query: "q", top_k: "four" }), '"top_k" must be an integer');
+});
+
+test("selectTools honours options.tools and availability", () => {
+  assert.deepEqual(selectTools(false, {}), []);
+  assert.deepEqual(selectTools("none", {}), []);
+  const plain = selectTools(undefined, {}).map(t => t.name);
+  assert.ok(plain.includes("calculator") && !plain.includes("search_documents") && !plain.includes("generate_image"), plain);
+  const ctx = { userId: "u1", retrieval: {}, db: { listDocuments: async () => [] } };
+  assert.deepEqual(selectTools(["calculator", "list_documents"], ctx).map(t => t.name), ["list_documents", "calculator"]);
+});
+
+test("runToolLoop runs calls, reports failures to the model and sums usage", async () => {
+  const tools = selectTools(["calculator"], {});
+  const seen = [];
+  const replies = [
+    { text: "", usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }, tool_calls: [
+      { id: "c1", name: "calculator", arguments: { expression: "6 * 7" } },
+      { id: "c2", name: "calculator", arguments: { expression: "1 / 0" } },
+      { id: "c3", name: "nope", arguments: {} },
+    ] },
+    { text: "It is 42.", usage: { prompt_tokens: 20, completion_tokens: 3, total_tokens: 23 } },
+  ];
+  const complete = async (messages, opts) => {
+    seen.push({ messages: messages.map(m => ({ ...m })), opts });
+    return replies.shift();
+  };
+  const { out, trace } = await runToolLoop({
+    messages: [{ role: "system", content: "sys" }, { role: "user", content: "6*7?" }],
+    tools, ctx: {}, complete,
+  });
+  assert.equal(out.text, "It is 42.");
+  assert.deepEqual(out.usage, { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 });
+  assert.deepEqual(trace.map(e => [e.tool, e.ok, e.result ?? e.error]), [
+    ["calculator", true, { expression: "6 * 7", result: 42 }],
+    ["calculator", false, "division by zero"],
+    ["nope", false, 'unknown tool "nope"'],
+  ]);
+  assert.equal(seen[0].messages[1].role, "system"); // tool instructions after the leading system prompt
+  assert.deepEqual(seen[0].opts.tools.map(t => t.name), ["calculator"]);
+  assert.deepEqual(seen[1].messages.filter(m => m.role === "tool").map(m => m.content), [
+    '{"expression":"6 * 7","result":42}', '{"error":"division by zero"}', '{"error":"unknown tool \\"nope\\""}',
+  ]);
+});
+
+test("runToolLoop turns tools off after the last step", async () => {
+  const choices = [];
+  const complete = async (_messages, { toolChoice }) => {
+    choices.push(toolChoice);
+    return { text: "", tool_calls: [{ id: "c", name: "calculator", arguments: { expression: "1" } }] };
+  };
+  const { trace } = await runToolLoop({ messages: [{ role: "user", content: "loop" }], tools: selectTools(["calculator"], {}), ctx: {}, complete });
+  assert.deepEqual(choices, ["auto", "auto", "auto", "auto", "none"]);
+  assert.equal(trace.length, 4);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchImage } = require("../lib/vision");
+
+test("caption images come from public hosts only", async (t) => {
+  const fetched = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    fetched.push(String(url));
+    return new Response(null, { status: 302, headers: { location: "http://169.254.169.254/latest/meta-data" } });
+  });
+  await assert.rejects(fetchImage("http://127.0.0.1:5432/x.png"), { statusCode: 400, code: "url_not_allowed" });
+  await assert.rejects(fetchImage("https://cdn.example/cat.png"), { code: "url_not_allowed" });
+  await assert.rejects(fetchImage("https://intranet.example/cat.png", { lookup: async () => [{ address: "10.0.0.7" }] }), { code: "url_not_allowed" });
+  assert.deepEqual(fetched, ["https://cdn.example/cat.png"]);
+  await assert.rejects(fetchImage("file:///etc/passwd"), { code: "invalid_image_url" });
+});
+
+test("images are read up to MAX_IMAGE_BYTES", async (t) => {
+  const fetch = t.mock.method(globalThis, "fetch", async () => new Response(new Uint8Array([1, 2, 3]), { headers: { "content-type": "image/png" } }));
+  assert.deepEqual(await fetchImage("https://cdn.example/a.png"), { mime: "image/png", data: "AQID" });
+
+  let pulled = 0;
+  fetch.mock.mockImplementation(async () => new Response(new ReadableStream({
+    pull(c) { pulled++; c.enqueue(new Uint8Array(1024 * 1024)); },
+  })));
+  await assert.rejects(fetchImage("https://cdn.example/huge.png"), { statusCode: 413, code: "image_too_large" });
+  assert.ok(pulled <= 12, `pulled ${pulled} MB`);
+});
+
+test("data: URLs are decoded without a fetch", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => { throw new Error("no fetch expected"); });
+  assert.deepEqual(await fetchImage("data:image/PNG;base64,AQID"), { mime: "image/png", data: "AQID" });
+  await assert.rejects(fetchImage("data:image/svg+xml,<svg/>"), { code: "invalid_image_url" });
+});
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// /worker.js – Long-running ingest worker for hosts without Vercel cron
+//
+// Usage: node worker.js [--once]
+// Polls ingest_jobs every INGEST_WORKER_POLL_MS (default 5000) and processes queued jobs.
+
+'use strict';
+
+const { runWorker } = require('./lib/jobs');
+
+const POLL_MS = +(process.env.INGEST_WORKER_POLL_MS || 5000);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function main(argv) {
+  const once = argv.includes('--once');
+  let stopping = false;
+  process.on('SIGINT', () => { stopping = true; });
+  process.on('SIGTERM', () => { stopping = true; });
+
+  do {
+    const jobs = await runWorker({ log: (msg) => console.log(`[worker] ${msg}`) });
+    if (!jobs.length && !once) await sleep(POLL_MS);
+  } while (!once && !stopping);
+}
+
+main(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err.message || err);
+    process.exit(1);
+  });